@@ -0,0 +1,225 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/contour-winding.js
+ * Created: 2025-10-24
+ * Author: @lewopxd
+ *
+ * Description:
+ * Contour winding diagnostics. ShapePath.toShapes, called by Font without
+ * arguments, takes clockwise contours as solids and counter-clockwise ones
+ * as holes, so a reversed contour fills the counter of an O or cuts a
+ * stroke out of a letter. Every contour gets its signed area and nesting
+ * depth; one whose direction disagrees with its depth (even = solid,
+ * odd = hole) is reported and can be reversed. toShapes has two exceptions,
+ * followed here: a lone contour is solid whatever its direction, and when
+ * no contour is clockwise every one of them becomes a solid, so only the
+ * counters are lost. It has no knowledge of the DOM.
+ */
+
+import { parseContours, serializeContours } from './glyph-outline.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+// Points sampled per curve to measure areas and test containment; enough
+// for the sign of the area, far fewer than three.js' curveSegments.
+const CURVE_SAMPLES = 4;
+
+// Share of a contour's points allowed outside the one that encloses it.
+const NESTING_TOLERANCE = 0.05;
+
+// Points of a contour tested against another one, spread along it.
+const NESTING_TEST_POINTS = 32;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Computes the winding and nesting of every contour of a glyph.
+ * @param {object} glyph - A glyph of the typeface JSON.
+ * @returns {{contours: Array<{area: number, depth: number, isHole: boolean,
+ * isClockwise: boolean, isReversed: boolean}>, reversedCount: number}|null}
+ * The contours in outline order (area > 0 is counter-clockwise, y up), or
+ * null when the outline cannot be parsed.
+ */
+function analyzeGlyphWinding(glyph) {
+    const contours = parseContours(glyph?.o ?? '');
+    if (!contours) return null;
+
+    const polygons = contours.map(_flattenContour);
+    const areas = polygons.map(_signedArea);
+    const boxes = polygons.map(_boundingBox);
+
+    const analysis = contours.map((contour, index) => {
+        const area = areas[index];
+        const depth = polygons.filter((other, otherIndex) =>
+            otherIndex !== index &&
+            Math.abs(areas[otherIndex]) > Math.abs(area) &&
+            _isBoxInside(boxes[index], boxes[otherIndex]) &&
+            _isPolygonInside(polygons[index], other)
+        ).length;
+        const isHole = depth % 2 === 1;
+        return { area, depth, isHole, isClockwise: area < 0, isReversed: false };
+    });
+
+    const hasSolids = analysis.some(contour => contour.isClockwise);
+    const hasHoles = analysis.some(contour => contour.isHole);
+    analysis.forEach(contour => {
+        // A degenerate contour has no direction and is left alone.
+        if (analysis.length === 1 || contour.area === 0) return;
+        if (hasSolids) {
+            contour.isReversed = contour.isHole ? contour.isClockwise : !contour.isClockwise;
+        } else {
+            // Without clockwise contours toShapes falls back to toShapesNoHoles:
+            // the solids are what has to turn for the counters to be cut.
+            contour.isReversed = hasHoles && !contour.isHole;
+        }
+    });
+
+    return { contours: analysis, reversedCount: analysis.filter(contour => contour.isReversed).length };
+}
+
+/**
+ * Reverses the contours of a glyph whose winding disagrees with their
+ * nesting. Coordinates are kept as written.
+ * @param {object} glyph - A glyph of the typeface JSON.
+ * @returns {object} A corrected copy, or the glyph itself when nothing changes.
+ */
+function correctGlyphWinding(glyph) {
+    const analysis = analyzeGlyphWinding(glyph);
+    if (!analysis || analysis.reversedCount === 0) return glyph;
+
+    const contours = parseContours(glyph.o, { keepText: true })
+        .map((contour, index) => (analysis.contours[index].isReversed ? _reverseContour(contour) : contour));
+    return { ...glyph, o: serializeContours(contours, glyph.o) };
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+/**
+ * Walks a contour backwards. A segment from P to Q becomes one from Q to P
+ * with its cubic control points swapped.
+ * @private
+ */
+function _reverseContour(contour) {
+    const points = [contour.start, ...contour.segments.map(segment => segment.points[0])];
+    const segments = contour.segments.map((segment, index) => ({
+        command: segment.command,
+        points: [points[index], ...segment.points.slice(1).reverse()]
+    })).reverse();
+
+    return { start: points[points.length - 1], segments, isClosed: contour.isClosed };
+}
+
+/**
+ * Polygon through the contour, with every curve sampled at CURVE_SAMPLES points.
+ * @private
+ */
+function _flattenContour(contour) {
+    let current = contour.start;
+    const polygon = [current];
+
+    contour.segments.forEach(segment => {
+        const [end, ...controls] = segment.points;
+        if (segment.command === 'l') {
+            polygon.push(end);
+        } else {
+            const start = current;
+            for (let step = 1; step <= CURVE_SAMPLES; step++) {
+                polygon.push(_curvePoint(start, controls, end, step / CURVE_SAMPLES));
+            }
+        }
+        current = end;
+    });
+
+    return polygon;
+}
+
+function _curvePoint(start, controls, end, t) {
+    const mt = 1 - t;
+    if (controls.length === 1) {
+        const [c] = controls;
+        return [
+            mt * mt * start[0] + 2 * mt * t * c[0] + t * t * end[0],
+            mt * mt * start[1] + 2 * mt * t * c[1] + t * t * end[1]
+        ];
+    }
+    const [c1, c2] = controls;
+    const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+    return [
+        a * start[0] + b * c1[0] + c * c2[0] + d * end[0],
+        a * start[1] + b * c1[1] + c * c2[1] + d * end[1]
+    ];
+}
+
+/**
+ * Shoelace area, the same sign convention as THREE.ShapeUtils.area.
+ * @private
+ */
+function _signedArea(polygon) {
+    let area = 0;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        area += polygon[j][0] * polygon[i][1] - polygon[i][0] * polygon[j][1];
+    }
+    return area / 2;
+}
+
+function _boundingBox(polygon) {
+    const xs = polygon.map(point => point[0]);
+    const ys = polygon.map(point => point[1]);
+    return { xMin: Math.min(...xs), xMax: Math.max(...xs), yMin: Math.min(...ys), yMax: Math.max(...ys) };
+}
+
+/**
+ * Cheap rejection before the point tests. Boxes may overlap slightly for the
+ * same reason _isPolygonInside tolerates a few points outside.
+ * @private
+ */
+function _isBoxInside(inner, outer) {
+    const slackX = (inner.xMax - inner.xMin) * NESTING_TOLERANCE;
+    const slackY = (inner.yMax - inner.yMin) * NESTING_TOLERANCE;
+    return inner.xMin >= outer.xMin - slackX && inner.xMax <= outer.xMax + slackX &&
+        inner.yMin >= outer.yMin - slackY && inner.yMax <= outer.yMax + slackY;
+}
+
+/**
+ * Whether a polygon lies inside another. A few points may fall outside, so
+ * contours touching the enclosing curve (sampled as chords) still count as
+ * nested, while overlapping solids (common in variable fonts) do not.
+ * @private
+ */
+function _isPolygonInside(inner, outer) {
+    const step = Math.max(1, Math.floor(inner.length / NESTING_TEST_POINTS));
+    const tested = inner.filter((point, index) => index % step === 0);
+    const tolerance = Math.max(1, tested.length * NESTING_TOLERANCE);
+    let outside = 0;
+    for (const point of tested) {
+        if (!_isPointInPolygon(point, outer) && ++outside > tolerance) return false;
+    }
+    return inner.length > 1;
+}
+
+function _isPointInPolygon([x, y], polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { analyzeGlyphWinding, correctGlyphWinding };
@@ -50,9 +50,29 @@ function initEditor(elementId, onChangeCallback) {
 function getEditorInstance() {
     return cmEditor;
 }
+
+/**
+ * Moves the cursor to a line, centers it and flashes its background.
+ * @param {number} line - The 0-based line number.
+ * @returns {void}
+ */
+function revealLine(line) {
+    if (!cmEditor || line === null || line === undefined) return;
+
+    // Deferred so it runs after the refresh of a just-shown editor tab.
+    setTimeout(() => {
+        const position = { line, ch: 0 };
+        cmEditor.focus();
+        cmEditor.setCursor(position);
+        cmEditor.scrollIntoView(position, cmEditor.getScrollInfo().clientHeight / 2);
+        const handle = cmEditor.addLineClass(line, 'background', 'cm-revealed-line');
+        setTimeout(() => cmEditor.removeLineClass(handle, 'background', 'cm-revealed-line'), 1500);
+    }, 10);
+}
 //----------------------------------------> END [EDITOR INITIALIZATION & STATE]
 
 export {
     initEditor,
-    getEditorInstance
+    getEditorInstance,
+    revealLine
 };
\ No newline at end of file
@@ -9,14 +9,26 @@
  * processing via a dedicated worker. It has no direct knowledge of the DOM.
  */
 
-import { showToastMessage } from './utils.js';
+import { showToastMessage, getJsonByteSize } from './utils.js';
+import { characterFromFileName } from './workers/svg-font-converter.js';
 
 //-------------------------------------------------------------
 //--------------------[   MODULE STATE   ]---------------------
 //-------------------------------------------------------------
 
-let fontProcessorWorker;
-let activeFontRequest = null; // Holds the promise callbacks for the active worker request
+const SUPPORTED_FONT_EXTENSIONS = ['json', 'js', 'ttf', 'otf', 'ttc', 'otc', 'woff', 'woff2', 'svg'];
+
+let fontWorkerPool = { size: 1, workers: [], queue: [], nextRequestID: 1 }; // Font processor workers and pending requests
+let activeFontRequests = new Map(); // requestId -> { resolve, reject, source, poolWorker } for requests being processed
+let fontJobQueue = { jobs: [], running: false, total: 0, done: 0, failed: 0, cancelled: 0, added: [], controller: null }; // Batch file loading
+let facePickerTurn = Promise.resolve(); // Collections in a batch show their face picker one at a time
+let loadAbortControllers = new Set(); // One per user-initiated load in progress, aborted by the cancel button
+let variableFontSources = new WeakMap(); // typeface JSON -> { buffer, type, faceIndex, axes, instances } of variable fonts
+let variationJob = { running: false, next: null }; // Latest-wins queue for variation instancing
+let fontAnalyzer = { worker: null, pending: new Map(), nextAnalysisID: 1 }; // analysisId -> { fontID, fontData }
+let fontAnalysisCache = new WeakMap(); // typeface JSON -> analyzer verdict
+let contourChecker = { worker: null, pending: null, nextCheckID: 1 }; // Only the latest check runs: { checkId, fontData, promise, resolve }
+let contourCheckCache = new WeakMap(); // typeface JSON -> contour checker findings
 
 let stateManager = {}; // Injected from main.js, manages AppState
 let dependencies = { ui: null }; // For progress bars, modals, etc.
@@ -29,7 +41,7 @@ let dependencies = { ui: null }; // For progress bars, modals, etc.
 //-------------------------------------------------------------
 
 /**
- * Initializes the font manager and the font processor worker.
+ * Initializes the font manager and the font processor worker pool.
  * @param {object} injectedDependencies - An object containing references to other modules.
  * @param {function} onInitialFontsLoaded - Callback to run after default fonts are loaded.
  */
@@ -39,7 +51,7 @@ function initFontManager(injectedDependencies, onInitialFontsLoaded) {
     };
     stateManager = injectedDependencies.stateManager;
 
-    initFontProcessorWorker();
+    initFontWorkerPool();
     fetchAndStoreFonts(onInitialFontsLoaded);
 }
 //----------------------------------------> END [INITIALIZATION]
@@ -50,16 +62,26 @@ function initFontManager(injectedDependencies, onInitialFontsLoaded) {
 //-------------------------------------------------------------
 
 /**
- * Initializes the font processor worker and its message handlers, which now
- * understand a status-based messaging protocol.
+ * Sizes the font processor pool to the number of logical cores. Workers are
+ * only spawned when there is work for them, so loading a single font costs
+ * a single worker.
  */
-function initFontProcessorWorker() {
-    fontProcessorWorker = new Worker('./js/workers/font-processor.worker.js', { type: 'module' });
+function initFontWorkerPool() {
+    fontWorkerPool.size = Math.max(1, navigator.hardwareConcurrency || 2);
+}
 
-    fontProcessorWorker.onmessage = (e) => {
-        if (!activeFontRequest) return;
+/**
+ * Spawns a pool worker. Replies carry the requestId of the message they
+ * answer, following the worker's status-based protocol.
+ * @returns {{worker: Worker, requestId: number|null}} The pool entry.
+ */
+function spawnFontWorker() {
+    const poolWorker = { worker: new Worker('./js/workers/font-processor.worker.js', { type: 'module' }), requestId: null };
 
-        const { status, result, message } = e.data;
+    poolWorker.worker.onmessage = (e) => {
+        const { requestId, status, result, message, variations, sourceBuffer } = e.data;
+        const request = activeFontRequests.get(requestId);
+        if (!request) return;
 
         switch (status) {
             case 'processing':
@@ -68,49 +90,140 @@ function initFontProcessorWorker() {
                  break;
 
             case 'success':
+                // Variable fonts keep their source so other axis values can be instanced later.
+                if (variations && request.source) {
+                    const coordinates = Object.fromEntries(variations.axes.map(axis => [axis.tag, axis.defaultValue]));
+                    variableFontSources.set(result, { ...request.source, buffer: sourceBuffer, ...variations, coordinates });
+                }
                 // The worker succeeded, resolve the promise with the font data.
-                activeFontRequest.resolve(result);
-                activeFontRequest = null;
+                settleFontRequest(requestId, () => request.resolve(result));
                  break;
 
             case 'error':
                 // The worker failed, reject the promise with the error message.
-                activeFontRequest.reject(new Error(message));
-                activeFontRequest = null;
                 console.log('Error in worker');
+                settleFontRequest(requestId, () => request.reject(new Error(message)));
                 break;
         }
     };
 
-    fontProcessorWorker.onerror = (e) => {
+    poolWorker.worker.onerror = (e) => {
         // This handles critical errors, like the worker script failing to load.
         const errorMessage = `A critical error occurred in the Font Processor Worker: ${e.message}`;
-        if (activeFontRequest) {
-            activeFontRequest.reject(new Error(errorMessage));
-            activeFontRequest = null;
-        }
         console.error("Font Processor Worker Error:", e);
+        const requestId = poolWorker.requestId;
+        retireFontWorker(poolWorker);
+        if (requestId !== null) {
+            const request = activeFontRequests.get(requestId);
+            settleFontRequest(requestId, () => request.reject(new Error(errorMessage)));
+        } else {
+            dispatchFontRequests();
+        }
     };
+
+    fontWorkerPool.workers.push(poolWorker);
+    return poolWorker;
+}
+
+/**
+ * Sends a raw message to a pool worker and waits for its success/error
+ * reply. Requests beyond the pool size wait in line, and every request
+ * resolves independently of the others.
+ * @param {object} message - The worker message ({ buffer, type, action?, faceIndex?, variation?, characters? }).
+ * @param {Array<Transferable>} [transfer=[]] - Objects to transfer to the worker.
+ * @param {object} [source=null] - The { type, faceIndex } of the font, remembered with the
+ * source buffer the worker sends back if the font is variable.
+ * @param {AbortSignal} [signal=null] - Cancels the request (rejects with an AbortError).
+ * @returns {Promise<any>} The worker's result.
+ */
+function requestFontWorker(message, transfer = [], source = null, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(createAbortError());
+        }
+        const requestId = fontWorkerPool.nextRequestID++;
+        fontWorkerPool.queue.push({ requestId, message, transfer, resolve, reject, source });
+        signal?.addEventListener('abort', () => abortFontRequest(requestId), { once: true });
+        dispatchFontRequests();
+    });
+}
+
+/**
+ * Cancels a request. A queued request is simply dropped; a running one has its
+ * worker terminated, since a conversion cannot be interrupted from outside.
+ * @param {number} requestId - The request to cancel.
+ */
+function abortFontRequest(requestId) {
+    const queuedIndex = fontWorkerPool.queue.findIndex(entry => entry.requestId === requestId);
+    if (queuedIndex !== -1) {
+        const [queued] = fontWorkerPool.queue.splice(queuedIndex, 1);
+        queued.reject(createAbortError());
+        return;
+    }
+
+    const request = activeFontRequests.get(requestId);
+    if (!request) return; // Already settled.
+
+    retireFontWorker(request.poolWorker);
+    settleFontRequest(requestId, () => request.reject(createAbortError()));
+}
+
+/**
+ * Terminates a worker and removes it from the pool; a fresh one is spawned on demand.
+ * @param {{worker: Worker, requestId: number|null}} poolWorker - The pool entry.
+ */
+function retireFontWorker(poolWorker) {
+    poolWorker.worker.terminate();
+    fontWorkerPool.workers = fontWorkerPool.workers.filter(entry => entry !== poolWorker);
+}
+
+/**
+ * Hands queued requests to idle workers, spawning new ones up to the pool size.
+ */
+function dispatchFontRequests() {
+    while (fontWorkerPool.queue.length) {
+        const poolWorker = fontWorkerPool.workers.find(entry => entry.requestId === null)
+            || (fontWorkerPool.workers.length < fontWorkerPool.size ? spawnFontWorker() : null);
+        if (!poolWorker) return;
+
+        const { requestId, message, transfer, resolve, reject, source } = fontWorkerPool.queue.shift();
+        poolWorker.requestId = requestId;
+        activeFontRequests.set(requestId, { resolve, reject, source, poolWorker });
+        poolWorker.worker.postMessage({ ...message, requestId }, transfer);
+    }
+}
+
+/**
+ * Frees the worker of a finished request, settles its promise and moves the queue on.
+ * @param {number} requestId - The finished request.
+ * @param {function} settle - Resolves or rejects the request's promise.
+ */
+function settleFontRequest(requestId, settle) {
+    const request = activeFontRequests.get(requestId);
+    activeFontRequests.delete(requestId);
+    if (request.poolWorker.requestId === requestId) {
+        request.poolWorker.requestId = null;
+    }
+    settle();
+    dispatchFontRequests();
 }
 
 
 /**
  * Central processor for any font source. Determines type, gets ArrayBuffer,
- * and sends it to the worker for parsing (if binary) or handles it directly (if JSON).
+ * and sends it to the worker for parsing (if binary or SVG) or handles it directly (if JSON).
  * This robust version handles both network and HTTP errors before attempting a fallback.
  * @param {File|object} source - A File object from user input or a config object {url, name, key}.
+ * @param {AbortSignal} [signal=null] - Cancels the fetch and the conversion (rejects with an AbortError).
  * @returns {Promise<object>} A promise that resolves with the parsed .typeface.json data.
  */
-function processFontSource(source) {
+function processFontSource(source, signal = null) {
     return new Promise(async (resolve, reject) => {
-        if (activeFontRequest) {
-            return reject(new Error("Another font is already being processed. Please wait."));
-        }
-        
         const isFile = source instanceof File;
         const fileName = source.name.toLowerCase();
         const extension = fileName.split('.').pop();
-        const isBinary = ['ttf', 'otf', 'woff', 'woff2'].includes(extension);
+        const isBinary = ['ttf', 'otf', 'ttc', 'otc', 'woff', 'woff2'].includes(extension);
+        const isSvg = extension === 'svg';
 
         let buffer;
 
@@ -119,25 +232,31 @@ function processFontSource(source) {
         } else {
             try {
                 // --- Attempt 1: Fetch from the primary URL (CDN) ---
-                const response = await fetch(source.url);
+                const response = await fetch(source.url, { signal });
                 if (!response.ok) {
                     // If the response is not OK (e.g., 404), throw to trigger the fallback.
                     throw new Error(`HTTP status ${response.status}`);
                 }
                 buffer = await response.arrayBuffer();
             } catch (primaryError) {
+                if (signal?.aborted) {
+                    return reject(createAbortError());
+                }
                 // --- Attempt 2: Local Fallback ---
                 // This block is reached on a network error OR a non-ok HTTP status from the primary fetch.
                 try {
                     const urlPathSegment = source.url.substring(source.url.indexOf('/examples/') + 1);
                     const fallbackUrl = `./threejs_official/${urlPathSegment}`;
-                    const fallbackResponse = await fetch(fallbackUrl);
+                    const fallbackResponse = await fetch(fallbackUrl, { signal });
                     if (!fallbackResponse.ok) {
                         throw new Error(`HTTP status ${fallbackResponse.status}`);
                     }
                     buffer = await fallbackResponse.arrayBuffer();
                     source.isFallback = true;
                 } catch (fallbackError) {
+                    if (signal?.aborted) {
+                        return reject(createAbortError());
+                    }
                     // If we end up here, both the primary and fallback attempts have failed.
                     reject(new Error(`Failed to load font '${source.name}'. CDN: ${primaryError.message}, Fallback: ${fallbackError.message}`));
                     return; // Exit after rejecting the promise.
@@ -145,20 +264,31 @@ function processFontSource(source) {
             }
         }
 
+        if (signal?.aborted) {
+            return reject(createAbortError());
+        }
+
         // If a buffer was successfully obtained, proceed to process it.
         try {
             if (isBinary) {
                 switch (extension) {
                     case 'ttf':
-                        activeFontRequest = { resolve, reject };
-                        fontProcessorWorker.postMessage({ buffer, type: extension }, [buffer]);
+                    case 'otf':
+                    case 'ttc': // Collections loaded this way convert their first face.
+                    case 'otc':
+                    case 'woff':
+                    case 'woff2':
+                        requestFontWorker({ buffer, type: extension }, [buffer], { type: extension, faceIndex: 0 }, signal)
+                            .then(resolve, reject);
                         break;
                     default:
                         reject(new Error(`Binary format '${extension}' is not supported for processing.`));
                         break;
                 }
-            } else { // It's JSON, process on main thread
-                const jsonString = new TextDecoder().decode(buffer);
+            } else if (isSvg) { // SVG fonts and single glyph SVGs are converted in the worker too
+                requestFontWorker({ buffer, type: 'svg', fileName: source.name }, [buffer], null, signal).then(resolve, reject);
+            } else { // It's JSON (or a legacy .typeface.js wrapper), process on main thread
+                const jsonString = unwrapTypefaceJs(new TextDecoder().decode(buffer));
                 resolve(JSON.parse(jsonString));
             }
         } catch (parsingError) {
@@ -166,6 +296,136 @@ function processFontSource(source) {
         }
     });
 }
+
+/**
+ * Spawns the font analyzer worker. Verdicts are cached per typeface JSON
+ * object and stored on the font entry while it still holds that data.
+ */
+function spawnFontAnalyzer() {
+    fontAnalyzer.worker = new Worker('./js/workers/font-analyzer.js');
+
+    fontAnalyzer.worker.onmessage = (e) => {
+        const { analysisId, ...analysis } = JSON.parse(e.data);
+        const request = fontAnalyzer.pending.get(analysisId);
+        if (!request) return;
+        fontAnalyzer.pending.delete(analysisId);
+        fontAnalysisCache.set(request.fontData, analysis);
+        storeFontAnalysis(request.fontID, request.fontData, analysis);
+    };
+
+    fontAnalyzer.worker.onerror = (err) => {
+        console.error("Error in FontAnalyzer Worker:", err);
+        const failed = { overall: 'Unavailable', evaluation: 'N/A', conclusion: 'The font could not be analyzed.', detailedMetrics: null };
+        fontAnalyzer.pending.forEach(request => storeFontAnalysis(request.fontID, request.fontData, failed));
+        fontAnalyzer.pending.clear();
+        fontAnalyzer.worker.terminate();
+        fontAnalyzer.worker = null;
+    };
+}
+
+/**
+ * Runs the analyzer on the data of the current font and shows the verdict in
+ * the UI (immediately when the same data was analyzed before).
+ * @param {object} fontData - The typeface JSON of the current font.
+ */
+function analyzeCurrentFont(fontData) {
+    const state = stateManager.getState();
+    const fontID = state.currentFontID;
+    const font = state.inAppFonts[fontID];
+    if (!font || !fontData) return;
+
+    font.analysis = fontAnalysisCache.get(fontData) || null;
+    dependencies.ui.updateFontAnalysis(font);
+    if (font.analysis) return;
+
+    const isPending = [...fontAnalyzer.pending.values()].some(request => request.fontData === fontData);
+    if (isPending) return;
+
+    try {
+        if (!fontAnalyzer.worker) spawnFontAnalyzer();
+        const analysisId = fontAnalyzer.nextAnalysisID++;
+        fontAnalyzer.pending.set(analysisId, { fontID, fontData });
+        fontAnalyzer.worker.postMessage({ analysisId, fontData, fileSize: getJsonByteSize(fontData) });
+    } catch (error) {
+        console.error("Failed to initialize the FontAnalyzer Worker.", error);
+    }
+}
+
+/**
+ * Attaches a verdict to a font entry if it still holds the analyzed data,
+ * and refreshes the UI when it is the current font.
+ */
+function storeFontAnalysis(fontID, fontData, analysis) {
+    const state = stateManager.getState();
+    const font = state.inAppFonts[fontID];
+    if (!font || font.data !== fontData) return;
+
+    font.analysis = analysis;
+    if (state.currentFontID === fontID) {
+        dependencies.ui.updateFontAnalysis(font);
+    }
+}
+
+/**
+ * Spawns the contour checker worker, which finds self-intersecting and
+ * degenerate contours.
+ */
+function spawnContourChecker() {
+    contourChecker.worker = new Worker('./js/workers/contour-checker.js', { type: 'module' });
+
+    contourChecker.worker.onmessage = (e) => {
+        const { checkId, findings, error } = e.data;
+        const request = contourChecker.pending;
+        if (!request || request.checkId !== checkId) return;
+        contourChecker.pending = null;
+        if (error) console.error("ContourChecker Worker failed:", error);
+        else contourCheckCache.set(request.fontData, findings);
+        request.resolve(error ? null : findings);
+    };
+
+    contourChecker.worker.onerror = (err) => {
+        console.error("Error in ContourChecker Worker:", err);
+        contourChecker.pending?.resolve(null);
+        contourChecker.pending = null;
+        contourChecker.worker.terminate();
+        contourChecker.worker = null;
+    };
+}
+
+/**
+ * Checks the contours of a typeface JSON in the contour checker worker.
+ * A check of other data replaces the one in progress, which resolves with
+ * null: the worker is restarted rather than left to finish stale work.
+ * @param {object} fontData - The typeface JSON.
+ * @returns {Promise<Array<object>|null>} The worker findings, or null when the
+ * check was replaced or failed.
+ */
+function checkFontContours(fontData) {
+    const cached = contourCheckCache.get(fontData);
+    if (cached) return Promise.resolve(cached);
+    if (contourChecker.pending?.fontData === fontData) return contourChecker.pending.promise;
+
+    if (contourChecker.pending) {
+        contourChecker.worker.terminate();
+        contourChecker.worker = null;
+        contourChecker.pending.resolve(null);
+        contourChecker.pending = null;
+    }
+
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    try {
+        if (!contourChecker.worker) spawnContourChecker();
+        const checkId = contourChecker.nextCheckID++;
+        contourChecker.pending = { checkId, fontData, promise, resolve };
+        contourChecker.worker.postMessage({ checkId, glyphs: fontData?.glyphs });
+    } catch (error) {
+        console.error("Failed to initialize the ContourChecker Worker.", error);
+        resolve(null);
+    }
+    return promise;
+}
+
 //----------------------------------------> END [WORKER ORCHESTRATION]
 
 
@@ -174,7 +434,7 @@ function processFontSource(source) {
 //-------------------------------------------------------------
 
 /**
- * Fetches the default Three.js example fonts sequentially.
+ * Fetches the default Three.js example fonts concurrently.
  * @param {function} onComplete - Callback with the ID of the first font to be selected.
  */
 async function fetchAndStoreFonts(onComplete) {
@@ -201,27 +461,36 @@ async function fetchAndStoreFonts(onComplete) {
         { key: 'optimer_regular', name: 'optimer_regular.typeface.json', url: 'https://cdn.jsdelivr.net/npm/three@0.180.0/examples/fonts/optimer_regular.typeface.json' }
     ];
     let firstFontID = null;
+    let settledCount = 0;
 
-    for (const [index, fontConfig] of fontsToLoad.entries()) {
-        try {
-            const typefaceJson = await processFontSource(fontConfig);
-            const fontObject = {
-                originalName: fontConfig.name,
-                fontName: get_font_FullName(typefaceJson, fontConfig.name),
-                originalType: 'json',
-                jsonData: typefaceJson,
-                url: fontConfig.url,
-                isFallback: fontConfig.isFallback || false
-            };
-            const fontId = stateManager.addFont(fontObject, fontConfig.key);
-            if (!firstFontID) {
-                firstFontID = fontId;
-            }
-            dependencies.ui.updateProgressBar(5 + (index + 1) / fontsToLoad.length * 90);
-        } catch (error) {
-            console.error(`Failed to load and process '${fontConfig.name}':`, error);
+    // Fonts are fetched and converted concurrently, then added in list order.
+    const outcomes = await Promise.allSettled(fontsToLoad.map(fontConfig =>
+        processFontSource(fontConfig).finally(() => {
+            settledCount++;
+            dependencies.ui.updateProgressBar(5 + settledCount / fontsToLoad.length * 90);
+        })
+    ));
+
+    outcomes.forEach((outcome, index) => {
+        const fontConfig = fontsToLoad[index];
+        if (outcome.status === 'rejected') {
+            console.error(`Failed to load and process '${fontConfig.name}':`, outcome.reason);
+            return;
         }
-    }
+        const typefaceJson = outcome.value;
+        const fontObject = {
+            originalName: fontConfig.name,
+            fontName: get_font_FullName(typefaceJson, fontConfig.name),
+            originalType: 'json',
+            jsonData: typefaceJson,
+            url: fontConfig.url,
+            isFallback: fontConfig.isFallback || false
+        };
+        const fontId = stateManager.addFont(fontObject, fontConfig.key);
+        if (!firstFontID) {
+            firstFontID = fontId;
+        }
+    });
 
     if (onComplete && firstFontID) {
         onComplete(firstFontID);
@@ -230,36 +499,281 @@ async function fetchAndStoreFonts(onComplete) {
 }
 
 /**
- * Event handler for the file input. Triggers font processing.
+ * Event handler for the file input. Queues every selected file for processing.
  * @param {Event} event - The change event from the file input.
  */
-async function handleFileLoad(event) {
-    dependencies.ui.updateProgressBar(10);
-    const file = event.target.files[0];
-    if (!file) {
-        dependencies.ui.resetLoadingProgressOnError();
+function handleFileLoad(event) {
+    const entries = Array.from(event.target.files).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+    event.target.value = ''; // Allow the same files to be picked again.
+    enqueueFontFiles(entries);
+}
+
+/**
+ * Event handler for the SVG folder input. The folder's SVG files, each named
+ * by the codepoint of its glyph, are built into a single font.
+ * @param {Event} event - The change event from the folder input.
+ */
+function handleSvgFolderLoad(event) {
+    const svgFiles = Array.from(event.target.files).filter(file => /\.svg$/i.test(file.name));
+    event.target.value = ''; // Allow the same folder to be picked again.
+
+    if (!svgFiles.length) {
+        dependencies.ui.handle_error(new Error("The selected folder does not contain any .svg file."), { showInAlert: true });
         return;
     }
+    enqueueFontFiles(svgFiles.map(file => ({ file, path: file.webkitRelativePath || file.name })));
+}
 
-    try {
-        const typefaceJson = await processFontSource(file);
-        const fileType = file.name.toLowerCase().split('.').pop();
+/**
+ * Adds files (from the file input or a drag-and-drop of files/folders) to the
+ * batch queue and starts it if idle. Each font file becomes one job; SVGs
+ * named by codepoint are grouped per folder into a single glyph-set job.
+ * Inside a folder of such SVGs the other SVGs join the set too, which skips
+ * and reports them. Unsupported files are skipped.
+ * @param {Array<{file: File, path: string}>} entries - Files with their relative path.
+ */
+function enqueueFontFiles(entries) {
+    const jobs = [];
+    const glyphSets = new Map(); // folder path -> glyph-set job
+    const folderOf = path => (path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+    const isSvg = file => /\.svg$/i.test(file.name);
+    const glyphFolders = new Set(entries
+        .filter(({ file, path }) => isSvg(file) && characterFromFileName(file.name) && folderOf(path))
+        .map(({ path }) => folderOf(path)));
+    let skipped = 0;
+
+    entries.forEach(({ file, path }) => {
+        const extension = file.name.toLowerCase().split('.').pop();
+        if (!SUPPORTED_FONT_EXTENSIONS.includes(extension)) {
+            skipped++;
+            return;
+        }
+
+        const folder = folderOf(path);
+        if (isSvg(file) && (glyphFolders.has(folder) || characterFromFileName(file.name))) {
+            if (!glyphSets.has(folder)) {
+                const job = { kind: 'svgGlyphs', name: folder.split('/').pop() || 'svg-glyphs', files: [] };
+                glyphSets.set(folder, job);
+                jobs.push(job);
+            }
+            glyphSets.get(folder).files.push(file);
+            return;
+        }
+        jobs.push({ kind: 'file', name: file.name, file });
+    });
+
+    if (skipped) {
+        dependencies.ui.logToConsole([`Skipped ${skipped} file(s) that are not supported fonts.`]);
+    }
+    if (!jobs.length) {
+        dependencies.ui.handle_error(new Error(`No supported font found. Accepted formats: ${SUPPORTED_FONT_EXTENSIONS.map(ext => `.${ext}`).join(', ')}.`), { showInAlert: true });
+        return;
+    }
+
+    const queue = fontJobQueue;
+    if (!queue.running) {
+        Object.assign(queue, { total: 0, done: 0, failed: 0, cancelled: 0, added: [], controller: beginCancellableLoad() });
+    }
+    jobs.forEach((job, index) => { job.order = queue.total + index; });
+    queue.jobs.push(...jobs);
+    queue.total += jobs.length;
+
+    if (!queue.running) {
+        runFontJobQueue();
+    }
+}
+
+/**
+ * Processes the queued jobs, as many at once as there are pool workers, and
+ * reports per-file progress in the subheader. A failing file is logged to the
+ * console and the batch goes on. When the queue is empty the first font added
+ * (in queue order) is selected. Cancelling drops the remaining jobs and
+ * interrupts the ones in flight; fonts already added are kept.
+ */
+async function runFontJobQueue() {
+    const queue = fontJobQueue;
+    const { signal } = queue.controller;
+    const jobProgress = new Map(); // job -> progress (0-1) of the jobs in flight
+    queue.running = true;
+
+    const showProgress = () => {
+        const inFlight = Array.from(jobProgress.values()).reduce((sum, fraction) => sum + fraction, 0);
+        dependencies.ui.updateProgressBar((queue.done + inFlight) / queue.total * 100);
+    };
+
+    const runJobs = async () => {
+        while (queue.jobs.length && !signal.aborted) {
+            const job = queue.jobs.shift();
+            const reportProgress = (fraction) => {
+                jobProgress.set(job, fraction);
+                showProgress();
+            };
+
+            dependencies.ui.updateBatchStatus(queue.total > 1 ? `${queue.done + jobProgress.size + 1}/${queue.total} · ${job.name}` : '');
+            reportProgress(0.1);
+
+            try {
+                const newIDs = job.kind === 'svgGlyphs'
+                    ? await loadSvgGlyphSet(job.files, job.name, signal)
+                    : await loadFontFile(job.file, reportProgress, signal);
+                if (newIDs.length) queue.added.push({ order: job.order, newIDs });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    queue.cancelled++;
+                } else {
+                    queue.failed++;
+                    dependencies.ui.handle_error(error, {
+                        logData: [`Failed to load '${job.name}': ${error.message}`],
+                        showInAlert: queue.total === 1
+                    });
+                }
+            }
+
+            jobProgress.delete(job);
+            queue.done++;
+            showProgress();
+        }
+    };
+
+    await Promise.all(Array.from({ length: fontWorkerPool.size }, runJobs));
+
+    queue.cancelled += queue.jobs.length;
+    queue.jobs = [];
+    queue.running = false;
+    endCancellableLoad(queue.controller);
+    dependencies.ui.updateBatchStatus('');
+
+    if (queue.cancelled) {
+        dependencies.ui.logToConsole([`Font loading cancelled: ${queue.cancelled} of ${queue.total} files were not loaded.`]);
+        showToastMessage('Font loading cancelled.');
+    }
+
+    if (queue.failed && queue.total > 1) {
+        dependencies.ui.logToConsole([`Batch finished: ${queue.total - queue.failed} of ${queue.total} files loaded, ${queue.failed} failed.`], true);
+        dependencies.ui.toggleConsole(true);
+        showToastMessage(`${queue.failed} of ${queue.total} files failed to load. See the console for details.`);
+    }
+
+    if (queue.added.length) {
+        const first = queue.added.reduce((a, b) => (b.order < a.order ? b : a));
+        stateManager.selectFont(first.newIDs[0]);
+        dependencies.ui.finishLoadingProgress();
+    } else {
+        dependencies.ui.resetLoadingProgressOnError();
+    }
+}
+
+/**
+ * Converts a single font file and adds it to the state.
+ * @param {File} file - The font file.
+ * @param {function(number)} reportProgress - Receives the job's progress (0-1).
+ * @param {AbortSignal} [signal=null] - Cancels the load.
+ * @returns {Promise<string[]>} The IDs of the fonts added.
+ */
+async function loadFontFile(file, reportProgress, signal = null) {
+    const fileType = file.name.toLowerCase().split('.').pop();
+    if (fileType === 'ttc' || fileType === 'otc') {
+        return loadFontCollection(file, fileType, reportProgress, signal);
+    }
+
+    const typefaceJson = await processFontSource(file, signal);
+
+    const appStateObject = {
+        originalName: file.name,
+        fontName: get_font_FullName(typefaceJson, file.name),
+        originalType: fileType,
+        jsonData: typefaceJson,
+        variationSource: variableFontSources.get(typefaceJson) || null
+    };
+
+    return [stateManager.addFont(appStateObject)];
+}
+
+/**
+ * Loads a TrueType/OpenType collection: lists its faces in the worker, lets
+ * the user pick which ones to import and registers each chosen face as its
+ * own font entry.
+ * @param {File} file - The .ttc/.otc file.
+ * @param {string} fileType - 'ttc' or 'otc'.
+ * @param {function(number)} reportProgress - Receives the job's progress (0-1).
+ * @param {AbortSignal} [signal=null] - Cancels the load.
+ * @returns {Promise<string[]>} The IDs of the faces added (empty if the picker is cancelled).
+ */
+async function loadFontCollection(file, fileType, reportProgress, signal = null) {
+    const buffer = await file.arrayBuffer();
+    // The buffer is copied for each request so it survives being transferred.
+    const faces = await requestFontWorker({ buffer: buffer.slice(0), type: fileType, action: 'listFaces' }, [], null, signal);
+    reportProgress(0.2);
+
+    const pickFaces = () => {
+        // Collections still waiting for the picker when the batch is cancelled never show it.
+        if (signal?.aborted) throw createAbortError();
+        return faces.length === 1 ? [0] : dependencies.ui.showFacePickerModal(faces, file.name, signal);
+    };
+    const turn = facePickerTurn.then(pickFaces);
+    facePickerTurn = turn.catch(() => {});
+    const chosenFaces = await turn;
+    if (signal?.aborted) {
+        throw createAbortError();
+    }
+
+    const baseName = file.name.replace(/\.(ttc|otc)$/i, '');
+    const addedIDs = [];
+
+    for (const [index, faceIndex] of chosenFaces.entries()) {
+        const face = faces[faceIndex];
+        const faceBuffer = buffer.slice(0);
+        const typefaceJson = await requestFontWorker({ buffer: faceBuffer, type: fileType, faceIndex }, [faceBuffer], { type: fileType, faceIndex }, signal);
+        const faceFileName = `${face.postScriptName || `${baseName}-${faceIndex}`}.${fileType}`;
 
         const appStateObject = {
-            originalName: file.name,
-            fontName: get_font_FullName(typefaceJson, file.name),
+            originalName: faceFileName,
+            fontName: get_font_FullName(typefaceJson, faceFileName),
             originalType: fileType,
-            jsonData: typefaceJson
+            jsonData: typefaceJson,
+            variationSource: variableFontSources.get(typefaceJson) || null
         };
 
-        const newID = stateManager.addFont(appStateObject);
-        stateManager.selectFont(newID);
-        dependencies.ui.finishLoadingProgress();
+        addedIDs.push(stateManager.addFont(appStateObject));
+        reportProgress(0.2 + (index + 1) / chosenFaces.length * 0.8);
+    }
 
-    } catch (error) {
-        dependencies.ui.handle_error(error, { openConsole: true, showInAlert: true });
-        dependencies.ui.resetLoadingProgressOnError();
+    return addedIDs;
+}
+
+/**
+ * Builds one font from a set of per-glyph SVG files named by codepoint.
+ * Files that are not named by codepoint or cannot be read are left out and
+ * reported in a toast.
+ * @param {File[]} svgFiles - The SVG files.
+ * @param {string} setName - The font name (usually the folder name).
+ * @param {AbortSignal} [signal=null] - Cancels the load.
+ * @returns {Promise<string[]>} The ID of the font added.
+ */
+async function loadSvgGlyphSet(svgFiles, setName, signal = null) {
+    const files = await Promise.all(svgFiles.map(async file => ({ name: file.name, text: await file.text() })));
+    const { fontData: typefaceJson, skipped } = await requestFontWorker({ files, type: 'svg', familyName: setName }, [], null, signal);
+    const fileName = `${setName}.svg`;
+
+    if (skipped.length) {
+        const misnamed = skipped.filter(file => file.reason === 'not named by codepoint').length;
+        const unreadable = skipped.length - misnamed;
+        const counts = [
+            misnamed && `${misnamed} not named by codepoint`,
+            unreadable && `${unreadable} unreadable`
+        ].filter(Boolean).join(' and ');
+        skipped.forEach(file => dependencies.ui.logToConsole([`'${setName}': skipped ${file.name} (${file.reason})`]));
+        showToastMessage(`${setName}: skipped ${skipped.length} SVG file${skipped.length === 1 ? '' : 's'} (${counts}). See the console for details.`);
     }
+
+    const appStateObject = {
+        originalName: fileName,
+        fontName: get_font_FullName(typefaceJson, fileName),
+        originalType: 'svg',
+        jsonData: typefaceJson
+    };
+
+    return [stateManager.addFont(appStateObject)];
 }
 
 /**
@@ -272,19 +786,21 @@ async function loadFontFromUrl() {
         dependencies.ui.handle_error(new Error("URL cannot be empty."), { showInAlert: true });
         return;
     }
+    const controller = beginCancellableLoad();
     try {
         const fontName = url.split('/').pop() || 'new-font.json';
         const fileType = fontName.toLowerCase().split('.').pop();
         const sourceConfig = { url: url, name: fontName };
 
-        const typefaceJson = await processFontSource(sourceConfig);
+        const typefaceJson = await processFontSource(sourceConfig, controller.signal);
 
         const appStateObject = {
             originalName: fontName,
             fontName: get_font_FullName(typefaceJson, fontName),
             originalType: fileType,
             jsonData: typefaceJson,
-            url: url
+            url: url,
+            variationSource: variableFontSources.get(typefaceJson) || null
         };
 
         const newID = stateManager.addFont(appStateObject);
@@ -293,8 +809,70 @@ async function loadFontFromUrl() {
         dependencies.ui.finishLoadingProgress();
 
     } catch (error) {
-        dependencies.ui.handle_error(new Error(`Failed to load font from URL: ${error.message}`), { openConsole: true, showInAlert: true });
+        if (error.name === 'AbortError') {
+            showToastMessage('Font loading cancelled.');
+        } else {
+            dependencies.ui.handle_error(new Error(`Failed to load font from URL: ${error.message}`), { openConsole: true, showInAlert: true });
+        }
         dependencies.ui.resetLoadingProgressOnError();
+    } finally {
+        endCancellableLoad(controller);
+    }
+}
+
+/**
+ * Cancels every user-initiated font load in progress (file batches and URL
+ * loads): pending fetches are aborted and busy workers are recycled.
+ */
+function cancelFontLoad() {
+    loadAbortControllers.forEach(controller => controller.abort());
+}
+/**
+ * Instances a variable font at the given axis values in the worker. Requests
+ * are coalesced (latest wins) so dragging a slider never queues up stale work.
+ * Previews only convert the given characters and are not stored in the state.
+ * @param {string} fontID - The ID of a font with a variationSource.
+ * @param {Object<string, number>} coordinates - Axis values keyed by tag.
+ * @param {object} [options]
+ * @param {boolean} [options.preview=false] - Only render a live preview.
+ * @param {string} [options.characters] - The characters needed by the preview.
+ */
+function applyFontVariation(fontID, coordinates, { preview = false, characters = null } = {}) {
+    variationJob.next = { fontID, coordinates, preview, characters };
+    if (!variationJob.running) {
+        runNextVariationJob();
+    }
+}
+
+async function runNextVariationJob() {
+    const job = variationJob.next;
+    variationJob.next = null;
+    const font = job && stateManager.getState().inAppFonts[job.fontID];
+    if (!font || !font.variationSource) return;
+
+    variationJob.running = true;
+    try {
+        const { buffer, type, faceIndex } = font.variationSource;
+        const workBuffer = buffer.slice(0);
+        const typefaceJson = await requestFontWorker({
+            buffer: workBuffer,
+            type,
+            faceIndex,
+            variation: job.coordinates,
+            characters: job.preview ? job.characters : null
+        }, [workBuffer]);
+
+        if (job.preview) {
+            stateManager.previewFontData(job.fontID, typefaceJson);
+        } else {
+            font.variationSource.coordinates = { ...job.coordinates };
+            stateManager.updateFontData(job.fontID, typefaceJson);
+        }
+    } catch (error) {
+        dependencies.ui.handle_error(error, { openConsole: true });
+    } finally {
+        variationJob.running = false;
+        runNextVariationJob();
     }
 }
 //----------------------------------------> END [FONT DATA FETCHING & PROCESSING]
@@ -305,16 +883,28 @@ async function loadFontFromUrl() {
 //-------------------------------------------------------------
 
 /**
- * Triggers a download of the provided font data as a .json file.
+ * Triggers a download of the provided font data as a .json file, or as a
+ * legacy .typeface.js file wrapped in a `_typeface_js.loadFace(...)` call.
  * @param {string} fontDataString - The JSON string of the font data.
  * @param {string} originalFileName - The original name of the font file.
+ * @param {string} [format='json'] - 'json' or 'typeface.js'.
  */
-function saveFont(fontDataString, originalFileName) {
-    const blob = new Blob([fontDataString], { type: 'application/json' });
+function saveFont(fontDataString, originalFileName, format = 'json') {
+    document.getElementById('saveFontContextMenu').style.display = 'none';
+
+    const isTypefaceJs = format === 'typeface.js';
+    const content = isTypefaceJs
+        ? `if (_typeface_js && _typeface_js.loadFace) _typeface_js.loadFace(${fontDataString});`
+        : fontDataString;
+    const baseName = isTypefaceJs
+        ? originalFileName.replace(/(\.typeface)?\.(json|js|svg|ttf|otf|ttc|otc|woff2?)$/i, '')
+        : originalFileName.replace(/\.(json|js|svg|ttf|otf|ttc|otc|woff2?)$/i, '');
+
+    const blob = new Blob([content], { type: isTypefaceJs ? 'text/javascript' : 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = originalFileName.replace(/\.(json|ttf|otf|woff2?)$/i, '') + '.json';
+    a.download = baseName + (isTypefaceJs ? '.typeface.js' : '.json');
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -328,6 +918,11 @@ function loadFontFromFile() {
     document.getElementById('fileInput').click();
     document.getElementById('addFontContextMenu').style.display = 'none';
 }
+
+function loadSvgGlyphFolder() {
+    document.getElementById('svgFolderInput').click();
+    document.getElementById('addFontContextMenu').style.display = 'none';
+}
 //----------------------------------------> END [FONT SAVING]
 
 
@@ -335,6 +930,26 @@ function loadFontFromFile() {
 //--------------------[   HELPER FUNCTIONS   ]-----------------
 //-------------------------------------------------------------
 
+/**
+ * Registers a cancellable load and shows the cancel button.
+ * @returns {AbortController} The load's controller.
+ */
+function beginCancellableLoad() {
+    const controller = new AbortController();
+    loadAbortControllers.add(controller);
+    dependencies.ui.setLoadCancellable(true);
+    return controller;
+}
+
+function endCancellableLoad(controller) {
+    loadAbortControllers.delete(controller);
+    dependencies.ui.setLoadCancellable(loadAbortControllers.size > 0);
+}
+
+function createAbortError() {
+    return new DOMException('Font loading was cancelled.', 'AbortError');
+}
+
 /**
  * Extracts a display-friendly full name from the font's metadata.
  * @param {object} jsonData - The .typeface.json object.
@@ -342,7 +957,9 @@ function loadFontFromFile() {
  * @returns {string} The formatted font name.
  */
 function get_font_FullName(jsonData, fallbackFileName) {
-    if (!jsonData) return fallbackFileName.replace(/\.(json|ttf|otf|woff2?)/gi, '').trim();
+    // Same extensions as saveFont, so 'Font.typeface.js' falls back to 'Font'.
+    const fallbackName = fallbackFileName.replace(/(\.typeface)?\.(json|js|svg|ttf|otf|ttc|otc|woff2?)$/i, '').trim();
+    if (!jsonData) return fallbackName;
     let fontName = '';
     const info = jsonData.original_font_information;
     if (info) {
@@ -353,7 +970,30 @@ function get_font_FullName(jsonData, fallbackFileName) {
             fontName = (subFamily && subFamily.toLowerCase() !== 'regular') ? `${family} ${subFamily}` : family;
         }
     }
-    return fontName ? fontName.trim() : fallbackFileName.replace(/\.(json|ttf|otf|woff2?)/gi, '').trim();
+    return fontName ? fontName.trim() : fallbackName;
+}
+
+/**
+ * Unwraps the legacy typeface.js format, where the font JSON is passed to
+ * `_typeface_js.loadFace(...)`. Any other text is returned untouched.
+ * @param {string} text - The file contents.
+ * @returns {string} The bare JSON string.
+ */
+function unwrapTypefaceJs(text) {
+    const call = /_typeface_js\s*(?:\.\s*loadFace|\[\s*['"]loadFace['"]\s*\])\s*\(/g;
+    let match;
+    let lastMatch = null;
+    while ((match = call.exec(text)) !== null) {
+        lastMatch = match; // The guard `if (_typeface_js && _typeface_js.loadFace)` precedes the real call.
+    }
+    if (!lastMatch) return text;
+
+    const start = text.indexOf('{', lastMatch.index + lastMatch[0].length);
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new Error('The _typeface_js.loadFace(...) call does not contain a font object.');
+    }
+    return text.slice(start, end + 1);
 }
 
 /**
@@ -400,9 +1040,16 @@ function deleteUserFont(event, fontId) {
 export {
     initFontManager,
     handleFileLoad,
+    handleSvgFolderLoad,
+    enqueueFontFiles,
+    cancelFontLoad,
     loadFontFromUrl,
+    applyFontVariation,
+    analyzeCurrentFont,
+    checkFontContours,
     saveFont,
     loadFontFromFile,
+    loadSvgGlyphFolder,
     provideFontDataForRestore,
     copyFontUrl,
     deleteUserFont,
@@ -0,0 +1,516 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/font-optimizer.js
+ * Created: 2025-10-21
+ * Author: @lewopxd
+ *
+ * Description:
+ * Shrinks typeface JSON files by lowering the precision of their coordinates.
+ * Coordinates are either rounded to a number of decimals, or rescaled to a
+ * smaller `resolution` and rounded to integers. three.js renders glyphs at
+ * `size / resolution`, so a rescaled font keeps its rendered size and only
+ * loses what the rounding removes. Outlines can also be simplified: collinear
+ * and zero-length segments are merged away and runs of short lines are refit
+ * as quadratic curves, which lowers the command count of every glyph (and the
+ * triangle count of TextGeometry). It has no knowledge of the DOM.
+ */
+
+import { parseOutline, parseContours } from './glyph-outline.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+// Font-level values that three.js multiplies by `size / resolution`.
+const SCALED_FONT_METRICS = ['ascender', 'descender', 'underlinePosition', 'underlineThickness', 'lineHeight'];
+const SCALED_GLYPH_METRICS = ['ha', 'x_min', 'x_max'];
+
+// Lines longer than this fraction of the resolution are never refit as curves.
+const SHORT_SEGMENT_RATIO = 0.1;
+// Largest turn (radians) between two lines of a run that is refit as a curve.
+const MAX_CURVE_TURN = Math.PI / 5;
+// Fewer lines than this are left as they are.
+const MIN_CURVE_SEGMENTS = 3;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Creates a copy of the font with quantized coordinates. Line segments that
+ * collapse onto the previous point are dropped.
+ * @param {object} fontData - The typeface JSON.
+ * @param {object} options
+ * @param {'decimals'|'resolution'} options.mode - Round in place or rescale to a new resolution.
+ * @param {number} [options.decimals=0] - Decimals kept in 'decimals' mode.
+ * @param {number} [options.resolution] - Target resolution in 'resolution' mode.
+ * @returns {{fontData: object, maxError: number}} The optimized font and the largest
+ * point displacement, in units of the source font.
+ */
+function quantizeFont(fontData, { mode, decimals = 0, resolution } = {}) {
+    const sourceResolution = fontData.resolution || 1000;
+    let factor = 1;
+    let quantize;
+
+    if (mode === 'decimals') {
+        const step = Math.pow(10, Math.max(0, Math.round(decimals)));
+        quantize = value => Math.round(value * step) / step;
+    } else if (mode === 'resolution') {
+        if (!(resolution > 0)) {
+            throw new Error(`Invalid target resolution: '${resolution}'.`);
+        }
+        factor = resolution / sourceResolution;
+        quantize = value => Math.round(value * factor);
+    } else {
+        throw new Error(`Unknown optimization mode: '${mode}'.`);
+    }
+
+    let maxError = 0;
+    const trackError = (value, quantized) => {
+        const error = Math.abs(quantized / factor - value);
+        if (error > maxError) maxError = error;
+        return quantized;
+    };
+
+    const glyphs = {};
+    Object.entries(fontData.glyphs || {}).forEach(([char, glyph]) => {
+        const optimized = { ...glyph };
+        SCALED_GLYPH_METRICS.forEach(key => {
+            if (typeof glyph[key] === 'number') optimized[key] = quantize(glyph[key]);
+        });
+        if (typeof glyph.o === 'string') {
+            optimized.o = _quantizeOutline(glyph.o, value => trackError(value, quantize(value)));
+        }
+        glyphs[char] = optimized;
+    });
+
+    const optimizedFont = { ...fontData, glyphs };
+
+    if (mode === 'resolution') {
+        SCALED_FONT_METRICS.forEach(key => {
+            if (typeof fontData[key] === 'number') optimizedFont[key] = quantize(fontData[key]);
+        });
+        if (fontData.boundingBox) {
+            optimizedFont.boundingBox = {};
+            Object.entries(fontData.boundingBox).forEach(([key, value]) => {
+                optimizedFont.boundingBox[key] = typeof value === 'number' ? quantize(value) : value;
+            });
+        }
+        optimizedFont.resolution = resolution;
+    }
+
+    return { fontData: optimizedFont, maxError };
+}
+
+/**
+ * Creates a copy of the font with simplified outlines. Every contour keeps
+ * its start point, curves are only created from runs of short lines.
+ * @param {object} fontData - The typeface JSON.
+ * @param {object} [options]
+ * @param {number} [options.tolerance=1] - Largest allowed deviation, in font units.
+ * @returns {{fontData: object, maxError: number}} The simplified font and the
+ * largest measured deviation from the source outlines.
+ */
+function simplifyFont(fontData, { tolerance = 1 } = {}) {
+    const maxSegmentLength = (fontData.resolution || 1000) * SHORT_SEGMENT_RATIO;
+    let maxError = 0;
+
+    const glyphs = {};
+    Object.entries(fontData.glyphs || {}).forEach(([char, glyph]) => {
+        if (typeof glyph.o !== 'string' || !glyph.o.trim()) {
+            glyphs[char] = glyph;
+            return;
+        }
+        const result = _simplifyOutline(glyph.o, Math.max(0, tolerance), maxSegmentLength);
+        if (result.maxError > maxError) maxError = result.maxError;
+        glyphs[char] = { ...glyph, o: result.outline };
+    });
+
+    return { fontData: { ...fontData, glyphs }, maxError };
+}
+
+/**
+ * Average number of drawing commands per glyph, counted the same way as
+ * `avgCommandsPerGlyph` in font-analyzer.js.
+ * @param {object} fontData - The typeface JSON.
+ * @returns {number} The average, 0 for fonts without glyphs.
+ */
+function getAverageCommandsPerGlyph(fontData) {
+    const glyphs = Object.values(fontData.glyphs || {});
+    if (glyphs.length === 0) return 0;
+    const totalCommands = glyphs.reduce((total, glyph) =>
+        total + (typeof glyph.o === 'string' ? (glyph.o.match(/[mlqb]/g) || []).length : 0), 0);
+    return totalCommands / glyphs.length;
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+/**
+ * Rewrites an outline string with every coordinate passed through `quantize`.
+ * Malformed outlines are kept as they are.
+ * @private
+ */
+function _quantizeOutline(outline, quantize) {
+    const commands = parseOutline(outline);
+    if (!commands) return outline;
+
+    const output = [];
+    let currentX = null;
+    let currentY = null;
+
+    commands.forEach(({ command, points }) => {
+        if (command === 'z') {
+            output.push(command);
+            return;
+        }
+
+        const values = points.flat().map(quantize);
+        // The end point comes first in every command.
+        const [x, y] = values;
+        if (command === 'l' && x === currentX && y === currentY) return;
+
+        output.push(command, ...values.map(String));
+        currentX = x;
+        currentY = y;
+    });
+
+    // Keep the trailing space TTFLoader leaves, so untouched fonts stay byte-identical.
+    return output.join(' ') + (outline.endsWith(' ') && output.length ? ' ' : '');
+}
+
+/**
+ * Simplifies every contour of an outline string. Points taken over from the
+ * source keep their text as written; only the points the fitter creates are
+ * formatted. Malformed outlines are kept as they are.
+ * @returns {{outline: string, maxError: number}}
+ * @private
+ */
+function _simplifyOutline(outline, tolerance, maxSegmentLength) {
+    const contours = parseContours(outline, { keepText: true });
+    if (!contours) return { outline, maxError: 0 };
+
+    // The fitter works on numbers; source points are found again by identity.
+    const sourceText = new Map();
+    const toNumbers = point => {
+        const numbers = point.map(Number);
+        sourceText.set(numbers, point);
+        return numbers;
+    };
+    const isIntegerOutline = !outline.includes('.');
+    const format = point => sourceText.get(point)
+        || point.map(value => String(isIntegerOutline ? Math.round(value) : Number(value.toFixed(2))));
+
+    const output = [];
+    let maxError = 0;
+
+    contours.forEach(contour => {
+        const start = toNumbers(contour.start);
+        const segments = contour.segments.map(({ command, points }) => ({ command, points: points.map(toNumbers) }));
+        const result = _simplifyContour({ start, segments }, tolerance, maxSegmentLength);
+        if (result.maxError > maxError) maxError = result.maxError;
+
+        output.push('m', ...format(start));
+        result.segments.forEach(({ command, points }) => {
+            output.push(command);
+            points.forEach(point => output.push(...format(point)));
+        });
+        if (contour.isClosed) output.push('z');
+    });
+
+    return {
+        outline: output.join(' ') + (outline.endsWith(' ') && output.length ? ' ' : ''),
+        maxError
+    };
+}
+
+/**
+ * Drops zero-length segments and simplifies each run of consecutive lines.
+ * Curves from the source are kept untouched.
+ * @private
+ */
+function _simplifyContour(contour, tolerance, maxSegmentLength) {
+    const segments = [];
+    let run = [contour.start];
+    let maxError = 0;
+
+    const flushRun = () => {
+        if (run.length > 1) {
+            const result = _simplifyLineRun(run, tolerance, maxSegmentLength);
+            segments.push(...result.segments);
+            if (result.maxError > maxError) maxError = result.maxError;
+        }
+        run = [run[run.length - 1]];
+    };
+
+    contour.segments.forEach(segment => {
+        const start = run[run.length - 1];
+        if (segment.points.every(point => _isSamePoint(point, start))) return;
+
+        if (segment.command === 'l') {
+            run.push(segment.points[0]);
+            return;
+        }
+        flushRun();
+        segments.push(segment);
+        run = [segment.points[0]];
+    });
+    flushRun();
+
+    return { segments, maxError };
+}
+
+/**
+ * Turns a polyline into as few segments as the tolerance allows: smooth runs
+ * of short lines become quadratic curves, the remaining lines are merged
+ * while their dropped points stay within the tolerance.
+ * @private
+ */
+function _simplifyLineRun(points, tolerance, maxSegmentLength) {
+    const segments = [];
+    let lines = [points[0]];
+    let maxError = 0;
+
+    const trackError = error => { if (error > maxError) maxError = error; };
+    const flushLines = () => {
+        if (lines.length > 1) {
+            const merged = _mergeCollinear(lines, tolerance);
+            trackError(merged.maxError);
+            merged.points.slice(1).forEach(point => segments.push({ command: 'l', points: [point] }));
+        }
+        lines = [lines[lines.length - 1]];
+    };
+
+    _splitSmoothRuns(points, maxSegmentLength).forEach(chain => {
+        if (chain.length - 1 < MIN_CURVE_SEGMENTS) {
+            lines.push(...chain.slice(1));
+            return;
+        }
+        const fitted = _fitQuadratics(chain, tolerance);
+        trackError(fitted.maxError);
+        fitted.segments.forEach(segment => {
+            if (segment.command === 'l') {
+                lines.push(segment.points[0]);
+            } else {
+                flushLines();
+                segments.push(segment);
+                lines = [segment.points[0]];
+            }
+        });
+    });
+    flushLines();
+
+    return { segments, maxError };
+}
+
+/**
+ * Splits a polyline into chains that share their end points. A chain only
+ * continues through short lines that turn gently, so corners and long
+ * straight edges end it.
+ * @private
+ */
+function _splitSmoothRuns(points, maxSegmentLength) {
+    const chains = [];
+    let chain = [points[0]];
+
+    for (let i = 1; i < points.length; i++) {
+        const start = points[i - 1];
+        const end = points[i];
+        const isShort = Math.hypot(end[0] - start[0], end[1] - start[1]) <= maxSegmentLength;
+        const isSmooth = chain.length < 2 || _turnAngle(chain[chain.length - 2], start, end) <= MAX_CURVE_TURN;
+
+        if (!isShort || !isSmooth) {
+            if (chain.length > 1) chains.push(chain);
+            chain = [start];
+        }
+        chain.push(end);
+        if (!isShort) {
+            chains.push(chain);
+            chain = [end];
+        }
+    }
+    if (chain.length > 1) chains.push(chain);
+
+    return chains;
+}
+
+/**
+ * Fits one quadratic curve through the points, splitting the run at the
+ * worst point until every piece is within the tolerance. Pieces of one or
+ * two lines are returned as lines.
+ * @private
+ */
+function _fitQuadratics(points, tolerance) {
+    if (points.length - 1 < MIN_CURVE_SEGMENTS) {
+        return { segments: points.slice(1).map(point => ({ command: 'l', points: [point] })), maxError: 0 };
+    }
+
+    const fit = _fitQuadratic(points);
+    if (fit.error <= tolerance) {
+        return { segments: [{ command: 'q', points: [points[points.length - 1], fit.control] }], maxError: fit.error };
+    }
+
+    const split = Math.min(Math.max(fit.worstIndex, 1), points.length - 2);
+    const left = _fitQuadratics(points.slice(0, split + 1), tolerance);
+    const right = _fitQuadratics(points.slice(split), tolerance);
+    return { segments: [...left.segments, ...right.segments], maxError: Math.max(left.maxError, right.maxError) };
+}
+
+/**
+ * Least-squares control point for a quadratic from the first to the last
+ * point. Parameters start at chord length and are refined twice towards
+ * the nearest curve point. The error is the largest distance between the
+ * curve and the points or the midpoints of the source lines.
+ * @private
+ */
+function _fitQuadratic(points) {
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        lengths.push(lengths[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+    const totalLength = lengths[lengths.length - 1] || 1;
+    const params = lengths.map(length => length / totalLength);
+
+    let control;
+    for (let pass = 0; pass < 3; pass++) {
+        control = _leastSquaresControl(points, params);
+        if (pass < 2) {
+            for (let i = 1; i < points.length - 1; i++) {
+                params[i] = _nearestParameter(first, control, last, points[i], params[i]);
+            }
+        }
+    }
+
+    let error = 0;
+    let worstIndex = 1;
+    for (let i = 1; i < points.length; i++) {
+        const midpoint = [(points[i - 1][0] + points[i][0]) / 2, (points[i - 1][1] + points[i][1]) / 2];
+        const midpointParam = _nearestParameter(first, control, last, midpoint, (params[i - 1] + params[i]) / 2);
+        const worst = Math.max(
+            _distance(_quadraticAt(first, control, last, params[i]), points[i]),
+            _distance(_quadraticAt(first, control, last, midpointParam), midpoint)
+        );
+        if (worst > error) {
+            error = worst;
+            worstIndex = i;
+        }
+    }
+
+    return { control, error, worstIndex };
+}
+
+function _leastSquaresControl(points, params) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    let weightSum = 0;
+    let sumX = 0;
+    let sumY = 0;
+
+    params.forEach((t, i) => {
+        const weight = 2 * t * (1 - t);
+        const a = (1 - t) * (1 - t);
+        const b = t * t;
+        sumX += weight * (points[i][0] - a * first[0] - b * last[0]);
+        sumY += weight * (points[i][1] - a * first[1] - b * last[1]);
+        weightSum += weight * weight;
+    });
+
+    return weightSum > 0
+        ? [sumX / weightSum, sumY / weightSum]
+        : [(first[0] + last[0]) / 2, (first[1] + last[1]) / 2];
+}
+
+/**
+ * Newton steps on the squared distance between the curve and a point.
+ * @private
+ */
+function _nearestParameter(start, control, end, point, t) {
+    for (let step = 0; step < 3; step++) {
+        const [x, y] = _quadraticAt(start, control, end, t);
+        const dx = 2 * ((1 - t) * (control[0] - start[0]) + t * (end[0] - control[0]));
+        const dy = 2 * ((1 - t) * (control[1] - start[1]) + t * (end[1] - control[1]));
+        const ddx = 2 * (end[0] - 2 * control[0] + start[0]);
+        const ddy = 2 * (end[1] - 2 * control[1] + start[1]);
+        const numerator = (x - point[0]) * dx + (y - point[1]) * dy;
+        const denominator = dx * dx + dy * dy + (x - point[0]) * ddx + (y - point[1]) * ddy;
+        if (denominator === 0) break;
+        t = Math.min(1, Math.max(0, t - numerator / denominator));
+    }
+    return t;
+}
+
+function _quadraticAt(start, control, end, t) {
+    return [
+        (1 - t) * (1 - t) * start[0] + 2 * t * (1 - t) * control[0] + t * t * end[0],
+        (1 - t) * (1 - t) * start[1] + 2 * t * (1 - t) * control[1] + t * t * end[1]
+    ];
+}
+
+function _distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * Ramer-Douglas-Peucker on a polyline: drops the points that lie within the
+ * tolerance of the line that replaces them (exactly collinear ones at 0).
+ * @private
+ */
+function _mergeCollinear(points, tolerance) {
+    if (points.length < 3) return { points, maxError: 0 };
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    let worstDistance = -1;
+    let worstIndex = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const distance = _distanceToSegment(points[i], first, last);
+        if (distance > worstDistance) {
+            worstDistance = distance;
+            worstIndex = i;
+        }
+    }
+
+    if (worstDistance <= tolerance) {
+        return { points: [first, last], maxError: worstDistance };
+    }
+
+    const left = _mergeCollinear(points.slice(0, worstIndex + 1), tolerance);
+    const right = _mergeCollinear(points.slice(worstIndex), tolerance);
+    return { points: [...left.points, ...right.points.slice(1)], maxError: Math.max(left.maxError, right.maxError) };
+}
+
+function _distanceToSegment(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.min(1, Math.max(0, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared))
+        : 0;
+    return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+}
+
+function _turnAngle(previous, corner, next) {
+    const angleIn = Math.atan2(corner[1] - previous[1], corner[0] - previous[0]);
+    const angleOut = Math.atan2(next[1] - corner[1], next[0] - corner[0]);
+    const turn = Math.abs(angleOut - angleIn) % (2 * Math.PI);
+    return turn > Math.PI ? 2 * Math.PI - turn : turn;
+}
+
+function _isSamePoint(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { quantizeFont, simplifyFont, getAverageCommandsPerGlyph };
@@ -11,8 +11,8 @@
 
 /**
  * Converts Three.js font path commands to a valid SVG path data string.
- * This version correctly reorders the points for the quadratic curve 'q' command.
- * @param {string} commands - The Three.js path commands ('m', 'l', 'q').
+ * This version correctly reorders the points for the 'q' and 'b' curve commands.
+ * @param {string} commands - The Three.js path commands ('m', 'l', 'q', 'b').
  * @returns {string} The SVG path data string.
  */
 function toSVGPath(commands) {
@@ -40,6 +40,16 @@ function toSVGPath(commands) {
                 // SVG standard requires: controlPoint, then endPoint
                 pathData += `Q ${controlPointX} ${controlPointY} ${endPointX} ${endPointY} `;
                 break;
+            case 'b':
+                // Cubic curves (CFF/OTF) follow the same order: endPoint, control1, control2
+                const bEndX = tokens[i++];
+                const bEndY = tokens[i++];
+                const c1X = tokens[i++];
+                const c1Y = tokens[i++];
+                const c2X = tokens[i++];
+                const c2Y = tokens[i++];
+                pathData += `C ${c1X} ${c1Y} ${c2X} ${c2Y} ${bEndX} ${bEndY} `;
+                break;
         }
     }
     return pathData.trim();
@@ -105,6 +115,14 @@ function generatePreviewSVG({ fontData, text, color }) {
                             if (controlPointY < text_yMin) text_yMin = controlPointY;
                             if (controlPointY > text_yMax) text_yMax = controlPointY;
                             break;
+                        case 'b':
+                            for (let p = 0; p < 3; p++) {
+                                i++; // Omitir coordenada X
+                                const pointY = parseFloat(tokens[i++]);
+                                if (pointY < text_yMin) text_yMin = pointY;
+                                if (pointY > text_yMax) text_yMax = pointY;
+                            }
+                            break;
                     }
                 }
             }
@@ -0,0 +1,176 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/font-subsetter.js
+ * Created: 2025-10-20
+ * Author: @lewopxd
+ *
+ * Description:
+ * Builds smaller typeface JSON files that only contain a chosen set of
+ * characters (a preset range, a pasted string or a glyph grid selection).
+ * The sides of the bounding box set by dropped glyphs are recomputed from
+ * the kept outlines, in the units of the source font's own bounding box.
+ * It has no knowledge of the DOM.
+ */
+
+import { outlineBounds } from './glyph-outline.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+const SUBSET_PRESETS = {
+    'basic-latin': { label: 'Basic Latin (U+0020–U+007E)', ranges: [[0x20, 0x7E]] },
+    'latin-1': { label: 'Latin-1 (U+0020–U+00FF)', ranges: [[0x20, 0x7E], [0xA0, 0xFF]] },
+    'digits': { label: 'Digits only (0–9)', ranges: [[0x30, 0x39]] }
+};
+
+const BOX_SIDES = ['xMin', 'xMax', 'yMin', 'yMax'];
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Returns the characters of a subset source, without duplicates.
+ * @param {string} preset - A SUBSET_PRESETS key, 'text' or 'selection'.
+ * @param {object} [sources]
+ * @param {string} [sources.text] - The pasted string (preset 'text').
+ * @param {Iterable<string>} [sources.selection] - The selected glyphs (preset 'selection').
+ * @returns {string[]} The characters.
+ */
+function resolveSubsetCharacters(preset, { text = '', selection = [] } = {}) {
+    if (preset === 'text') {
+        // Line breaks and tabs only separate what was pasted.
+        return [...new Set(Array.from(text).filter(char => !/[\n\r\t]/.test(char)))];
+    }
+    if (preset === 'selection') {
+        return [...new Set(selection)];
+    }
+
+    const definition = SUBSET_PRESETS[preset];
+    if (!definition) {
+        throw new Error(`Unknown subset preset: '${preset}'.`);
+    }
+    const characters = [];
+    definition.ranges.forEach(([first, last]) => {
+        for (let codePoint = first; codePoint <= last; codePoint++) {
+            characters.push(String.fromCodePoint(codePoint));
+        }
+    });
+    return characters;
+}
+
+/**
+ * Creates a copy of the font that only keeps the given characters. Every
+ * other property is preserved and the bounding box is fitted to the kept
+ * glyphs.
+ * @param {object} fontData - The typeface JSON.
+ * @param {Iterable<string>} characters - The characters to keep.
+ * @returns {{fontData: object, kept: string[], missing: string[]}} The subset font,
+ * the characters it contains and the requested ones the font does not have.
+ */
+function subsetFont(fontData, characters) {
+    const sourceGlyphs = fontData.glyphs || {};
+    const wanted = new Set(characters);
+    const glyphs = {};
+
+    // Keep the source order so the output diffs cleanly against the original.
+    Object.keys(sourceGlyphs).forEach(char => {
+        if (wanted.has(char)) glyphs[char] = sourceGlyphs[char];
+    });
+
+    const kept = Object.keys(glyphs);
+    const missing = [...wanted].filter(char => !(char in glyphs));
+    const subset = { ...fontData, glyphs };
+
+    if (fontData.boundingBox) {
+        subset.boundingBox = fitBoundingBox(fontData.boundingBox, sourceGlyphs, glyphs);
+    }
+
+    return { fontData: subset, kept, missing };
+}
+
+/**
+ * Recomputes the sides of the bounding box that the removed glyphs set.
+ * Fonts from facetype.js store the box in outline units, while TTFLoader
+ * keeps the raw head table values (font units, scaled by
+ * 100000 / (unitsPerEm * 72) in the outlines). The unit is found by
+ * looking for the scale under which the box sides round to the outline
+ * extents; only those sides follow the outlines, the others (set by glyphs
+ * the typeface JSON never had) are kept, as is the whole box when no scale
+ * fits. Without a usable source box, the outline extents are returned.
+ * @param {object} sourceBox - The `boundingBox` of the source font.
+ * @param {object} sourceGlyphs - The `glyphs` of the source font.
+ * @param {object} subsetGlyphs - The glyphs the box is for.
+ * @returns {{xMin: number, xMax: number, yMin: number, yMax: number}}
+ */
+function fitBoundingBox(sourceBox, sourceGlyphs, subsetGlyphs) {
+    const subsetBounds = outlineBounds(subsetGlyphs);
+    const isUsableBox = BOX_SIDES.every(side => Number.isFinite(sourceBox?.[side]));
+    if (!isUsableBox) {
+        return subsetBounds ? { ...subsetBounds } : { xMin: 0, xMax: 0, yMin: 0, yMax: 0 };
+    }
+
+    const box = { xMin: sourceBox.xMin, xMax: sourceBox.xMax, yMin: sourceBox.yMin, yMax: sourceBox.yMax };
+    const sourceBounds = outlineBounds(sourceGlyphs);
+    const scale = sourceBounds && _boxScale(sourceBox, sourceBounds);
+    if (!scale) return box;
+
+    if (!subsetBounds) {
+        return { xMin: 0, xMax: 0, yMin: 0, yMax: 0 };
+    }
+
+    BOX_SIDES.forEach(side => {
+        const isSetByOutlines = Math.round(sourceBox[side] * scale) === sourceBounds[side];
+        if (isSetByOutlines && subsetBounds[side] !== sourceBounds[side]) {
+            box[side] = Math.round(subsetBounds[side] / scale);
+        }
+    });
+    return box;
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+/**
+ * Finds the scale from box units to outline units: 1, or the TTFLoader
+ * scale of the unitsPerEm that makes the most box sides round to the
+ * outline extents. Every side fits the estimate taken from itself, so a
+ * scale needs at least two.
+ * @returns {number|null} The scale, or null when none fits two sides.
+ * @private
+ */
+function _boxScale(box, bounds) {
+    const scales = [1];
+    BOX_SIDES.forEach(side => {
+        if (!box[side] || !bounds[side]) return;
+        const unitsPerEm = Math.round((box[side] / bounds[side]) * 100000 / 72);
+        // Rounded outlines put the estimate within a couple of units.
+        for (let delta = -2; delta <= 2; delta++) {
+            if (unitsPerEm + delta > 0) scales.push(100000 / ((unitsPerEm + delta) * 72));
+        }
+    });
+
+    let best = null;
+    let bestMatches = 1;
+    scales.forEach(scale => {
+        const matches = BOX_SIDES.filter(side => Math.round(box[side] * scale) === bounds[side]).length;
+        if (matches > bestMatches) {
+            best = scale;
+            bestMatches = matches;
+        }
+    });
+    return best;
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { SUBSET_PRESETS, resolveSubsetCharacters, subsetFont, fitBoundingBox };
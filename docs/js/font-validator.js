@@ -0,0 +1,497 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/font-validator.js
+ * Created: 2025-10-23
+ * Author: @lewopxd
+ *
+ * Description:
+ * Checks a typeface JSON against what three.js' Font and ShapePath expect
+ * and repairs the problems that have an unambiguous fix. Outlines are read
+ * exactly like FontLoader does (split on single spaces), so a finding means
+ * the glyph renders wrong or throws, not merely that it looks unusual.
+ * Findings carry the JSON path they refer to and, when the source text is
+ * given, its line. It has no knowledge of the DOM.
+ */
+
+import { analyzeGlyphWinding, correctGlyphWinding } from './contour-winding.js';
+import { OUTLINE_ARGUMENTS, isDrawingCommand, parseContours, serializeContours, outlineBounds } from './glyph-outline.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+// Upper-case commands written by some older converters, ignored by three.js.
+const COMMAND_ALIASES = { M: 'm', L: 'l', Q: 'q', B: 'b', Z: 'z' };
+
+// facetype.js writes every font at this resolution.
+const DEFAULT_RESOLUTION = 1000;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Validates a typeface JSON.
+ * @param {object} fontData - The typeface JSON.
+ * @param {object} [options]
+ * @param {string} [options.sourceText] - The JSON text the data was parsed from,
+ * used to find the line of every finding.
+ * @returns {Array<{severity: 'error'|'warning', code: string, message: string,
+ * char: string|null, path: string[], line: number|null, fix: string|null}>}
+ * The findings, font-wide ones first. `fix` labels the repair applyFixes makes.
+ */
+function validateFont(fontData, { sourceText = null } = {}) {
+    const problems = [];
+    const report = (severity, code, message, { char = null, path = [], fix = null } = {}) => {
+        problems.push({ severity, code, message, char, path, line: null, fix });
+    };
+
+    if (!fontData || typeof fontData !== 'object' || Array.isArray(fontData)) {
+        report('error', 'invalid-font', 'The file is not a typeface JSON object.');
+        return problems;
+    }
+
+    _checkFontMetrics(fontData, report);
+
+    const glyphs = fontData.glyphs;
+    if (!glyphs || typeof glyphs !== 'object' || Array.isArray(glyphs)) {
+        report('error', 'invalid-glyphs', 'The "glyphs" object is missing, so no character can be drawn.', { path: ['glyphs'] });
+    } else {
+        if (!glyphs[' ']) {
+            report('warning', 'missing-space-glyph', 'There is no space glyph: three.js draws "?" for spaces, or throws when that is missing too.', {
+                path: ['glyphs'],
+                fix: 'Add a space glyph'
+            });
+        }
+        Object.keys(glyphs).forEach(char => _checkGlyph(char, glyphs[char], report));
+    }
+
+    if (sourceText !== null) _locateProblems(problems, sourceText);
+    return problems;
+}
+
+/**
+ * Validates the text of the editor, reporting a syntax error as the only
+ * finding when it is not valid JSON.
+ * @param {string} sourceText - The JSON text.
+ * @returns {Array<object>} The findings, see validateFont.
+ */
+function validateFontSource(sourceText) {
+    let fontData;
+    try {
+        fontData = JSON.parse(sourceText);
+    } catch (error) {
+        const position = Number(/position (\d+)/.exec(error.message)?.[1]);
+        const line = Number.isFinite(position) ? sourceText.slice(0, position).split('\n').length - 1 : null;
+        return [{ severity: 'error', code: 'invalid-json', message: `Invalid JSON: ${error.message}`, char: null, path: [], line, fix: null }];
+    }
+    return validateFont(fontData, { sourceText });
+}
+
+/**
+ * Applies the repairs of the given findings. Findings without a fix are
+ * ignored; the input is not modified.
+ * @param {object} fontData - The typeface JSON the findings were made on.
+ * @param {Array<object>} problems - Findings from validateFont.
+ * @returns {object} The repaired typeface JSON.
+ */
+function applyFixes(fontData, problems) {
+    const fixed = { ...fontData };
+    if (fontData.glyphs && typeof fontData.glyphs === 'object') fixed.glyphs = { ...fontData.glyphs };
+
+    problems.forEach(problem => {
+        if (!problem.fix) return;
+        if (problem.char !== null && fixed.glyphs?.[problem.char]) {
+            // Copied once per finding so the source glyph is never touched.
+            fixed.glyphs[problem.char] = { ...fixed.glyphs[problem.char] };
+        }
+        FIXES[problem.code]?.(fixed, problem);
+    });
+
+    return fixed;
+}
+
+/**
+ * Turns the findings of the contour checker worker into validator findings,
+ * one per glyph and kind of defect. They also carry `highlights`, the places
+ * to mark on the glyph as { x, y, contour, commands } where `commands` are
+ * indexes of the outline commands (`m`, `l`, `q`, `b`) involved.
+ * @param {Array<object>} findings - The findings posted by contour-checker.js.
+ * @param {object} [options]
+ * @param {string} [options.sourceText] - The JSON text, see validateFont.
+ * @returns {Array<object>} The findings, see validateFont.
+ */
+function describeContourFindings(findings, { sourceText = null } = {}) {
+    const groups = new Map();
+    findings.forEach(finding => {
+        const key = `${finding.type}\n${finding.char}`;
+        if (!groups.has(key)) groups.set(key, { type: finding.type, char: finding.char, contours: [], count: 0, highlights: [] });
+        const group = groups.get(key);
+        group.contours.push(finding.contour);
+        group.count += finding.count;
+        finding.locations.forEach(location => group.highlights.push({ ...location, contour: finding.contour }));
+    });
+
+    const problems = [...groups.values()].map(({ type, char, contours, count, highlights }) => {
+        const at = `${_formatPoint(highlights[0])}${count > 1 ? ` and ${count - 1} more place${count === 2 ? '' : 's'}` : ''}`;
+        const problem = { severity: 'warning', code: null, message: '', char, path: ['glyphs', char, 'o'], line: null, fix: null, contours, highlights };
+
+        if (type === 'self-intersection') {
+            problem.severity = 'error';
+            problem.code = 'self-intersection';
+            problem.message = `Glyph "${char}" crosses itself at ${at}: three.js triangulates it with holes or stray triangles.`;
+        } else if (type === 'zero-area') {
+            const label = `${contours.length} contour${contours.length === 1 ? '' : 's'}`;
+            problem.code = 'degenerate-contour';
+            problem.message = `Glyph "${char}" has ${label} without area at ${at}: three.js takes ${contours.length === 1 ? 'it for a hole' : 'them for holes'} and may triangulate the glyph wrong.`;
+            problem.fix = `Remove ${label}`;
+        } else {
+            problem.code = 'contour-spike';
+            problem.message = `Glyph "${char}" doubles back on itself at ${at}: the extruded text shows a spike there.`;
+        }
+        return problem;
+    });
+
+    if (sourceText !== null) _locateProblems(problems, sourceText);
+    return problems;
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//------------------------[   CHECKS   ]-----------------------
+//-------------------------------------------------------------
+
+/**
+ * The font-wide values read by createPaths: `resolution` for the scale and
+ * the bounding box plus `underlineThickness` for the line height.
+ * @private
+ */
+function _checkFontMetrics(fontData, report) {
+    if (!_isPositive(fontData.resolution)) {
+        report('error', 'missing-resolution', 'The "resolution" is missing or not a positive number, so every glyph is scaled to NaN.', {
+            path: ['resolution'],
+            fix: `Set resolution to ${DEFAULT_RESOLUTION}`
+        });
+    }
+
+    const box = fontData.boundingBox;
+    const isBoxValid = box && ['xMin', 'xMax', 'yMin', 'yMax'].every(key => Number.isFinite(box[key]));
+    if (!isBoxValid || box.yMax <= box.yMin) {
+        const detail = !box ? 'is missing' : isBoxValid ? 'has no height' : 'is incomplete';
+        report('error', 'invalid-bounding-box', `The "boundingBox" ${detail}; three.js derives the line height from it.`, {
+            path: ['boundingBox'],
+            fix: 'Recompute from the outlines'
+        });
+    }
+
+    const thickness = fontData.underlineThickness;
+    if (!Number.isFinite(thickness)) {
+        report('error', 'invalid-underline-thickness', 'The "underlineThickness" is missing or not a number, so multi-line text gets a NaN line height.', {
+            path: ['underlineThickness'],
+            fix: `Set to ${_defaultUnderlineThickness(fontData)}`
+        });
+    } else if (thickness < 0) {
+        report('warning', 'negative-underline-thickness', 'The "underlineThickness" is negative, which pulls the lines of multi-line text together.', {
+            path: ['underlineThickness'],
+            fix: `Set to ${-thickness}`
+        });
+    }
+}
+
+/**
+ * @private
+ */
+function _checkGlyph(char, glyph, report) {
+    const path = ['glyphs', char];
+
+    if (Array.from(char).length !== 1) {
+        report('warning', 'invalid-glyph-key', `Glyph "${char}" is not a single character: three.js looks glyphs up one character at a time and never draws it.`, { char, path });
+    }
+    if (!glyph || typeof glyph !== 'object' || Array.isArray(glyph)) {
+        report('error', 'invalid-glyph', `Glyph "${char}" is not an object.`, { char, path });
+        return;
+    }
+
+    if (glyph.o !== undefined && typeof glyph.o !== 'string') {
+        report('error', 'invalid-outline', `Glyph "${char}" has an outline ("o") that is not a string.`, { char, path: [...path, 'o'] });
+    } else if (glyph.o) {
+        // Winding is only meaningful once the outline itself reads correctly.
+        if (_checkOutline(char, glyph.o, report)) _checkWinding(char, glyph, report);
+    }
+
+    if (!Number.isFinite(glyph.ha)) {
+        report('error', 'missing-advance', `Glyph "${char}" has no advance width ("ha"): it and every character after it are placed at NaN.`, {
+            char,
+            path: [...path, 'ha'],
+            fix: `Set advance to ${_estimateAdvance(glyph)}`
+        });
+    }
+    // An empty glyph (a space) has nothing for the previews to fit.
+    const isDrawn = typeof glyph.o === 'string' && glyph.o.split(/\s+/).some(isDrawingCommand);
+    if (isDrawn && (!Number.isFinite(glyph.x_min) || !Number.isFinite(glyph.x_max))) {
+        report('warning', 'invalid-extents', `Glyph "${char}" is missing "x_min" or "x_max", used by the glyph previews.`, {
+            char,
+            path: [...path, Number.isFinite(glyph.x_min) ? 'x_max' : 'x_min'],
+            fix: 'Recompute from the outline'
+        });
+    }
+}
+
+/**
+ * Walks an outline the way ShapePath is fed by FontLoader and reports one
+ * finding per kind of defect, counting its occurrences.
+ * @returns {boolean} Whether the outline is free of defects.
+ * @private
+ */
+function _checkOutline(char, outline, report) {
+    const tokens = outline.split(' ');
+    const defects = {};
+    const note = (code, token) => {
+        defects[code] = defects[code] || { count: 0, first: token };
+        defects[code].count++;
+    };
+    let hasMoved = false;
+
+    for (let i = 0; i < tokens.length;) {
+        let action = tokens[i++];
+
+        if (action === '' || action === 'z') continue;
+        if (COMMAND_ALIASES[action]) {
+            note('unknown-command', action);
+            action = COMMAND_ALIASES[action];
+            if (action === 'z') continue;
+        } else if (!isDrawingCommand(action)) {
+            note(Number.isFinite(Number(action)) ? 'stray-coordinate' : /\s/.test(action) ? 'irregular-whitespace' : 'invalid-command', action);
+            continue;
+        }
+
+        if (action === 'm') hasMoved = true;
+        else if (!hasMoved) {
+            note('missing-move', action);
+            hasMoved = true; // ShapePath throws on the first one already.
+        }
+
+        for (let j = 0; j < OUTLINE_ARGUMENTS[action]; j++, i++) {
+            const token = tokens[i];
+            if (token === undefined || isDrawingCommand(token) || COMMAND_ALIASES[token]) {
+                note('truncated-command', action);
+                break;
+            }
+            if (token === '' || /\s/.test(token)) note('irregular-whitespace', token);
+            else if (!Number.isFinite(Number(token))) note('nan-coordinate', token);
+        }
+    }
+
+    const path = ['glyphs', char, 'o'];
+    const times = code => defects[code].count > 1 ? ` (${defects[code].count} times)` : '';
+    const messages = {
+        'missing-move': () => ({ severity: 'error', fix: /^\s*l /.test(outline) ? 'Turn the first line into a move' : null, message: `Glyph "${char}" starts drawing with "${defects['missing-move'].first}" before any "m", which makes ShapePath throw.` }),
+        'invalid-command': () => ({ severity: 'error', fix: null, message: `Glyph "${char}" has unknown command "${defects['invalid-command'].first}"${times('invalid-command')}, skipped by three.js.` }),
+        'unknown-command': () => ({ severity: 'error', fix: 'Use lower-case commands', message: `Glyph "${char}" uses upper-case command "${defects['unknown-command'].first}"${times('unknown-command')}, which three.js ignores.` }),
+        'truncated-command': () => ({ severity: 'error', fix: null, message: `Glyph "${char}" has a "${defects['truncated-command'].first}" command with too few coordinates${times('truncated-command')}.` }),
+        'stray-coordinate': () => ({ severity: 'error', fix: null, message: `Glyph "${char}" has a coordinate that belongs to no command ("${defects['stray-coordinate'].first}")${times('stray-coordinate')}: a command has too many coordinates.` }),
+        'nan-coordinate': () => ({ severity: 'error', fix: null, message: `Glyph "${char}" has a coordinate that is not a number ("${defects['nan-coordinate'].first}")${times('nan-coordinate')}.` }),
+        'irregular-whitespace': () => ({ severity: 'error', fix: 'Normalize the spacing', message: `Glyph "${char}" separates tokens with something other than a single space${times('irregular-whitespace')}: three.js reads the gap as a 0 or NaN coordinate.` })
+    };
+
+    Object.keys(messages).forEach(code => {
+        if (!defects[code]) return;
+        const { severity, message, fix } = messages[code]();
+        report(severity, code, message, { char, path, fix });
+    });
+    return Object.keys(defects).length === 0;
+}
+
+/**
+ * Reports contours whose direction disagrees with their nesting. A reversed
+ * outer contour always garbles the glyph; a nested contour wound like the one
+ * around it is only filled, which may be an intended overlap.
+ * @private
+ */
+function _checkWinding(char, glyph, report) {
+    const winding = analyzeGlyphWinding(glyph);
+    if (!winding?.reversedCount) return;
+
+    const reversedOuter = winding.contours.filter(contour => contour.isReversed && contour.depth === 0).length;
+    const reversedNested = winding.reversedCount - reversedOuter;
+    const contours = count => `${count} contour${count === 1 ? '' : 's'}`;
+    const message = reversedOuter
+        ? `Glyph "${char}" has ${contours(reversedOuter)} wound like a hole at the outside: three.js cuts ${reversedOuter === 1 ? 'it' : 'them'} out or garbles the glyph.`
+        : `Glyph "${char}" has ${contours(reversedNested)} wound like the contour around ${reversedNested === 1 ? 'it' : 'them'}: three.js fills ${reversedNested === 1 ? 'it' : 'them'} instead of cutting a hole. Reverse if this is a counter (O, A, B).`;
+
+    report(reversedOuter ? 'error' : 'warning', 'wrong-winding', message, {
+        char,
+        path: ['glyphs', char, 'o'],
+        fix: `Reverse ${contours(winding.reversedCount)}`
+    });
+}
+
+//----------------------------------------> END [CHECKS]
+
+
+//-------------------------------------------------------------
+//-------------------------[   FIXES   ]-----------------------
+//-------------------------------------------------------------
+
+/**
+ * Repairs keyed by finding code. They receive the copy made by applyFixes,
+ * whose glyph for the finding is already a fresh object.
+ * @private
+ */
+const FIXES = {
+    'missing-resolution': (fontData) => {
+        fontData.resolution = DEFAULT_RESOLUTION;
+    },
+    'invalid-bounding-box': (fontData) => {
+        fontData.boundingBox = outlineBounds(Object.values(fontData.glyphs)) || { xMin: 0, xMax: 0, yMin: 0, yMax: 0 };
+    },
+    'invalid-underline-thickness': (fontData) => {
+        fontData.underlineThickness = _defaultUnderlineThickness(fontData);
+    },
+    'negative-underline-thickness': (fontData) => {
+        fontData.underlineThickness = Math.abs(fontData.underlineThickness);
+    },
+    'missing-space-glyph': (fontData) => {
+        const resolution = _isPositive(fontData.resolution) ? fontData.resolution : DEFAULT_RESOLUTION;
+        fontData.glyphs[' '] = { ha: Math.round(resolution / 4), x_min: 0, x_max: 0, o: '' };
+    },
+    'missing-advance': (fontData, { char }) => {
+        fontData.glyphs[char].ha = _estimateAdvance(fontData.glyphs[char]);
+    },
+    'invalid-extents': (fontData, { char }) => {
+        const glyph = fontData.glyphs[char];
+        const bounds = outlineBounds([glyph]);
+        glyph.x_min = bounds ? Math.floor(bounds.xMin) : 0;
+        glyph.x_max = bounds ? Math.ceil(bounds.xMax) : 0;
+    },
+    'irregular-whitespace': (fontData, { char }) => {
+        const glyph = fontData.glyphs[char];
+        // TTFLoader ends every outline with a space; keep it so diffs stay small.
+        glyph.o = glyph.o.trim().split(/\s+/).join(' ') + (glyph.o.endsWith(' ') ? ' ' : '');
+    },
+    'unknown-command': (fontData, { char }) => {
+        const glyph = fontData.glyphs[char];
+        glyph.o = glyph.o.split(' ').map(token => COMMAND_ALIASES[token] || token).join(' ');
+    },
+    'missing-move': (fontData, { char }) => {
+        const glyph = fontData.glyphs[char];
+        glyph.o = glyph.o.replace(/^(\s*)l /, '$1m ');
+    },
+    'wrong-winding': (fontData, { char }) => {
+        fontData.glyphs[char] = correctGlyphWinding(fontData.glyphs[char]);
+    },
+    'degenerate-contour': (fontData, { char, contours }) => {
+        const glyph = fontData.glyphs[char];
+        glyph.o = _removeContours(glyph.o, new Set(contours));
+    }
+};
+
+//----------------------------------------> END [FIXES]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+function _isPositive(value) {
+    return Number.isFinite(value) && value > 0;
+}
+
+function _defaultUnderlineThickness(fontData) {
+    return Math.round((_isPositive(fontData.resolution) ? fontData.resolution : DEFAULT_RESOLUTION) / 20);
+}
+
+/**
+ * Advance width for a glyph without `ha`: its right edge plus the same
+ * bearing on the right as it has on the left.
+ * @private
+ */
+function _estimateAdvance(glyph) {
+    const bounds = outlineBounds([glyph]);
+    const xMin = Number.isFinite(glyph.x_min) ? glyph.x_min : bounds?.xMin ?? 0;
+    const xMax = Number.isFinite(glyph.x_max) ? glyph.x_max : bounds?.xMax ?? 0;
+    return Math.round(xMax + Math.max(0, xMin));
+}
+
+function _formatPoint({ x, y }) {
+    return `(${Math.round(x * 10) / 10}, ${Math.round(y * 10) / 10})`;
+}
+
+/**
+ * Drops the contours at the given indexes (counted by `m` commands) from
+ * an outline, keeping the coordinates as written.
+ * @private
+ */
+function _removeContours(outline, indexes) {
+    const contours = parseContours(outline, { keepText: true });
+    if (!contours) return outline;
+    return serializeContours(contours.filter((contour, index) => !indexes.has(index)), outline);
+}
+
+/**
+ * Sets the line of every finding from the JSON text: the line of its key,
+ * or of the closest enclosing key when that one is missing.
+ * @private
+ */
+function _locateProblems(problems, sourceText) {
+    const keyLines = _mapKeyLines(sourceText);
+    problems.forEach(problem => {
+        for (let depth = problem.path.length; depth > 0 && problem.line === null; depth--) {
+            problem.line = keyLines.get(JSON.stringify(problem.path.slice(0, depth))) ?? null;
+        }
+    });
+}
+
+/**
+ * Maps the path of every key up to the glyph properties (three levels deep)
+ * to its 0-based line. A small scanner instead of a pattern on the
+ * pretty-printed layout, so hand-formatted edits are located too.
+ * @returns {Map<string, number>} JSON-encoded paths to lines.
+ * @private
+ */
+function _mapKeyLines(text) {
+    const keyLines = new Map();
+    const stack = [];
+    let line = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        const container = stack[stack.length - 1];
+
+        if (ch === '\n') {
+            line++;
+        } else if (ch === '"') {
+            let end = i + 1;
+            while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+            if (container?.expectsKey) {
+                const raw = text.slice(i, end + 1);
+                try {
+                    container.key = JSON.parse(raw);
+                } catch (e) {
+                    container.key = raw.slice(1, -1);
+                }
+                container.expectsKey = false;
+                if (stack.length <= 3) keyLines.set(JSON.stringify(stack.map(c => c.key)), line);
+            }
+            i = end;
+        } else if (ch === '{' || ch === '[') {
+            stack.push({ expectsKey: ch === '{', isObject: ch === '{', key: null });
+        } else if (ch === '}' || ch === ']') {
+            stack.pop();
+        } else if (ch === ',' && container?.isObject) {
+            container.expectsKey = true;
+        }
+    }
+
+    return keyLines;
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { validateFont, validateFontSource, describeContourFindings, applyFixes };
@@ -0,0 +1,98 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/glyph-filter.js
+ * Created: 2025-10-29
+ * Author: @lewopxd
+ *
+ * Description:
+ * Parses the filter of the glyph grid. A query is a comma-separated list of
+ * terms and a glyph is shown when it matches any of them:
+ *   U+00E9, 0xE9              one code point
+ *   U+0400-04FF, a-z          a range of code points (also "..")
+ *   cyrillic, latin ext       grid sections and Unicode blocks by name (3+ letters)
+ *   é, aeiou                  the characters typed
+ * It has no knowledge of the DOM.
+ */
+
+import { UNICODE_BLOCKS, getUnicodeBlock } from './unicode-coverage.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+const CODE_POINT_TERM = /^(?:U\+|0x)([0-9A-F]{1,6})$/i;
+const CODE_POINT_RANGE_TERM = /^(?:U\+|0x)([0-9A-F]{1,6})\s*(?:-|–|\.\.)\s*(?:U\+|0x)?([0-9A-F]{1,6})$/i;
+
+// Section and block names are plain ASCII; shorter terms are read as characters.
+const NAME_TERM = /^[a-z][a-z0-9 &-]{2,}$/i;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Builds the test for a filter query.
+ * @param {string} query - The text of the filter box.
+ * @param {object} [options]
+ * @param {string[]} [options.sectionNames] - Names of the grid sections, so
+ * that "digits" or "punctuation" select them.
+ * @returns {Function|null} (char, sectionName) => boolean, or null when the
+ * query is empty. `sectionName` is the grid section of the glyph, if any.
+ */
+function parseGlyphFilter(query, { sectionNames = [] } = {}) {
+    const text = (query || '').trim();
+    if (!text) return null;
+
+    // A lone comma is looked up, not taken for a separator.
+    const terms = text.split(/\s*,\s*/).filter(Boolean);
+    if (terms.length === 0) terms.push(text);
+
+    const tests = terms.map(term => _parseTerm(term, sectionNames));
+    return (char, sectionName = null) => tests.some(test => test(char, sectionName));
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+function _parseTerm(term, sectionNames) {
+    const single = CODE_POINT_TERM.exec(term);
+    if (single) {
+        const codePoint = parseInt(single[1], 16);
+        return char => char.codePointAt(0) === codePoint && Array.from(char).length === 1;
+    }
+
+    const range = CODE_POINT_RANGE_TERM.exec(term);
+    const characters = Array.from(term);
+    if (range || (characters.length === 3 && characters[1] === '-')) {
+        const bounds = range
+            ? [parseInt(range[1], 16), parseInt(range[2], 16)]
+            : [characters[0].codePointAt(0), characters[2].codePointAt(0)];
+        const [first, last] = [Math.min(...bounds), Math.max(...bounds)];
+        return char => Array.from(char).length === 1 && char.codePointAt(0) >= first && char.codePointAt(0) <= last;
+    }
+
+    const name = term.toLowerCase();
+    const isSectionName = sectionNames.some(section => section.toLowerCase().includes(name));
+    const blocks = UNICODE_BLOCKS.map(([block]) => block).filter(block => block.toLowerCase().includes(name));
+    if (NAME_TERM.test(term) && (isSectionName || blocks.length > 0)) {
+        return (char, sectionName) => Boolean(
+            sectionName?.toLowerCase().includes(name) ||
+            (Array.from(char).length === 1 && blocks.includes(getUnicodeBlock(char.codePointAt(0))))
+        );
+    }
+
+    const literals = new Set(characters.filter(char => char.trim()));
+    return char => literals.has(char);
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { parseGlyphFilter };
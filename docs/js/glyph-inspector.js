@@ -0,0 +1,914 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/glyph-inspector.js
+ * Created: 2025-10-27
+ * Author: @lewopxd
+ *
+ * Description:
+ * A large view of a single glyph in a draggable window. It draws the
+ * outline with its on-curve and control points, labels every point with
+ * the index of its command, and shows the metric lines of the glyph and
+ * the font. It also marks the places reported by the contour checker: the
+ * outline commands involved are drawn over the glyph and every location
+ * gets a ring.
+ * An editing mode drags points, adds and removes nodes, converts
+ * segments between lines and curves and changes `ha`. Every change is
+ * handed to the application, which writes it into the font being edited.
+ */
+
+import { bringToFront, positionModal } from './utils.js';
+import { parseOutline } from './glyph-outline.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+const CANVAS_PADDING = 32; // CSS pixels around the glyph
+const HIGHLIGHT_COLOR = '#ff3b30';
+const ON_CURVE_COLOR = '#007aff';
+const CONTROL_COLOR = '#ff9500';
+const ADVANCE_COLOR = '#34c759';
+
+const HIT_RADIUS = 7; // CSS pixels around a point or segment that pick it
+const SEGMENT_SAMPLES = 24; // points per segment when looking for the one clicked
+
+// Font-wide lines drawn across the canvas: [typeface JSON key, label].
+const FONT_METRIC_LINES = [
+    ['ascender', 'ascender'],
+    ['descender', 'descender'],
+    ['underlinePosition', 'underlinePosition']
+];
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//--------------------[   MODULE STATE   ]---------------------
+//-------------------------------------------------------------
+
+let inspectorState = {
+    char: null,
+    fontData: null,
+    highlights: [],
+    message: '',
+    // Layers toggled from the inspector toolbar
+    layers: { points: true, labels: true, metrics: true },
+    // Editing mode
+    isEditing: false,
+    segments: null,   // the parsed outline of the glyph, null if it does not parse
+    transform: null,  // font units -> canvas pixels of the last drawing
+    selection: null,  // { index, control }: a segment and one of its controls, -1 for its end point
+    drag: null,       // the point being dragged, see _onPointerDown
+    undoStack: []     // previous { o, ha } of the glyph
+};
+
+let callbacks = {
+    onGlyphEdit: null
+};
+
+//----------------------------------------> END [MODULE STATE]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Connects the editing mode to the application.
+ * @param {object} options
+ * @param {Function} options.onGlyphEdit - (char, glyph) => fontData|null. Writes
+ * the edited glyph into the font being edited and returns the font data
+ * with the change, or null when it was refused.
+ */
+function initGlyphInspector({ onGlyphEdit }) {
+    callbacks.onGlyphEdit = onGlyphEdit;
+    const canvas = document.getElementById('glyphInspectorCanvas');
+    if (!canvas) return;
+
+    canvas.addEventListener('pointerdown', _onPointerDown);
+    canvas.addEventListener('pointermove', _onPointerMove);
+    canvas.addEventListener('pointerup', _onPointerUp);
+    canvas.addEventListener('pointercancel', _onPointerUp);
+    canvas.addEventListener('dblclick', _onDoubleClick);
+    canvas.addEventListener('keydown', _onKeyDown);
+
+    document.getElementById('glyphInspectorEditToggle').onchange = (event) => {
+        inspectorState.isEditing = event.target.checked;
+        inspectorState.selection = null;
+        _syncEditControls();
+        _draw();
+    };
+    document.getElementById('glyphInspectorAdvance').onchange = _onAdvanceChange;
+    document.getElementById('glyphInspectorSegmentType').onchange = (event) => _convertSelection(event.target.value);
+    document.getElementById('glyphInspectorDeleteBtn').onclick = _deleteSelection;
+    document.getElementById('glyphInspectorUndoBtn').onclick = _undo;
+}
+
+/**
+ * Opens the inspector on a glyph, or shows another glyph in it when it is
+ * already open (keeping its position).
+ * @param {string} char - The glyph key.
+ * @param {object} fontData - The typeface JSON the glyph belongs to.
+ * @param {object} [options]
+ * @param {Array<{x: number, y: number, commands: number[]}>} [options.highlights] -
+ * Places to mark, with the indexes of the outline commands (`m`, `l`, `q`,
+ * `b`) to draw over the glyph.
+ * @param {string} [options.message] - Text shown under the glyph.
+ */
+function openGlyphInspector(char, fontData, { highlights = [], message = '' } = {}) {
+    const modal = document.getElementById('glyphInspectorModal');
+    if (!modal) return;
+    inspectorState = {
+        ...inspectorState,
+        char,
+        fontData,
+        highlights,
+        message,
+        segments: _parseSegments(fontData?.glyphs?.[char]?.o ?? ''),
+        selection: null,
+        drag: null,
+        undoStack: []
+    };
+
+    const codePoint = char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+    document.getElementById('glyphInspectorTitle').textContent = `Glyph "${char}" · U+${codePoint}`;
+    document.getElementById('glyphInspectorCloseBtn').onclick = closeGlyphInspector;
+    _initLayerToggles();
+    _showDetails();
+    _renderLocations();
+
+    if (modal.style.display !== 'flex') {
+        positionModal(modal, null, { centerX: true, centerY: true });
+        modal.style.display = 'flex';
+    }
+    bringToFront(modal);
+    _draw();
+}
+
+function closeGlyphInspector() {
+    const modal = document.getElementById('glyphInspectorModal');
+    if (modal) modal.style.display = 'none';
+    inspectorState = {
+        ...inspectorState,
+        char: null,
+        fontData: null,
+        highlights: [],
+        message: '',
+        segments: null,
+        selection: null,
+        drag: null,
+        undoStack: []
+    };
+}
+
+/**
+ * Shows the inspected glyph as it is in newer data of its font (after
+ * typing in the JSON editor, saving or discarding). When the glyph itself
+ * changed, the marked places, the selection and the undo history go.
+ * @param {object} fontData - The typeface JSON the glyph belongs to.
+ */
+function refreshGlyphInspector(fontData) {
+    const { char, drag } = inspectorState;
+    if (!char || drag || fontData === inspectorState.fontData) return;
+
+    const previous = inspectorState.fontData?.glyphs?.[char];
+    const glyph = fontData?.glyphs?.[char];
+    inspectorState.fontData = fontData;
+    if (previous?.o !== glyph?.o || previous?.ha !== glyph?.ha) {
+        inspectorState = {
+            ...inspectorState,
+            highlights: [],
+            message: '',
+            segments: _parseSegments(glyph?.o ?? ''),
+            selection: null,
+            undoStack: []
+        };
+        _renderLocations();
+    }
+    _showDetails();
+    _draw();
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//----------------------[   RENDERING   ]----------------------
+//-------------------------------------------------------------
+
+function _initLayerToggles() {
+    Object.keys(inspectorState.layers).forEach(layer => {
+        const checkbox = document.getElementById(`glyphInspector-${layer}`);
+        if (!checkbox) return;
+        checkbox.checked = inspectorState.layers[layer];
+        checkbox.onchange = () => {
+            inspectorState.layers[layer] = checkbox.checked;
+            _draw();
+        };
+    });
+}
+
+function _showDetails() {
+    document.getElementById('glyphInspectorMessage').textContent = inspectorState.message || _describeGlyph();
+    _syncEditControls();
+}
+
+function _describeGlyph() {
+    const glyph = _getGlyph();
+    if (!glyph) return 'The glyph is not in the font.';
+    const { segments } = inspectorState;
+    const commands = segments ? `${segments.length} commands` : 'unreadable outline';
+    return `ha ${glyph.ha} · x_min ${glyph.x_min} · x_max ${glyph.x_max} · ${commands}`;
+}
+
+function _renderLocations() {
+    const list = document.getElementById('glyphInspectorLocations');
+    list.innerHTML = '';
+    inspectorState.highlights.forEach(({ x, y, commands }) => {
+        const item = document.createElement('li');
+        const round = value => Math.round(value * 10) / 10;
+        item.textContent = `(${round(x)}, ${round(y)}) · command${commands.length === 1 ? '' : 's'} ${commands.join(', ')}`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Draws the metric lines, the glyph filled with its outline, the points and
+ * their labels, and the highlighted commands and locations on top.
+ * @private
+ */
+function _draw() {
+    const canvas = document.getElementById('glyphInspectorCanvas');
+    const { fontData, layers, segments, isEditing, drag } = inspectorState;
+    const glyph = _getGlyph();
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * ratio;
+    canvas.height = canvas.clientHeight * ratio;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+
+    // The view does not move while a point is being dragged.
+    const transform = drag?.transform || _fitTransform(canvas, glyph, fontData, segments || []);
+    inspectorState.transform = transform;
+    if (!transform) return;
+
+    const isDark = document.body.getAttribute('data-theme') === 'dark';
+    const textColor = isDark ? '#ffffff' : '#2d2d2d';
+    ctx.font = '10px monospace';
+
+    if (layers.metrics) _drawMetrics(ctx, canvas, glyph, fontData, transform, isDark);
+    if (!segments) return;
+
+    ctx.beginPath();
+    segments.forEach(segment => _traceSegment(ctx, segment, transform));
+    ctx.fillStyle = isDark ? 'rgba(255, 255, 255, 0.18)' : 'rgba(45, 45, 45, 0.15)';
+    ctx.fill();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = textColor;
+    ctx.stroke();
+
+    if (layers.points || isEditing) _drawPoints(ctx, segments, transform, isDark);
+    if (layers.labels) _drawLabels(ctx, segments, transform, textColor);
+    _drawHighlights(ctx, segments, transform);
+    if (isEditing) _drawSelection(ctx, segments, transform);
+}
+
+/**
+ * Baseline, advance and extents of the glyph, and the font's vertical
+ * metrics, each with its name and value.
+ * @private
+ */
+function _drawMetrics(ctx, canvas, glyph, fontData, transform, isDark) {
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const lineColor = isDark ? 'rgba(255, 255, 255, 0.35)' : 'rgba(0, 0, 0, 0.3)';
+
+    const horizontal = (y, label, color, dash) => {
+        if (!Number.isFinite(y)) return;
+        const py = Math.round(transform([0, y]).y) + 0.5;
+        ctx.beginPath();
+        ctx.setLineDash(dash);
+        ctx.moveTo(0, py);
+        ctx.lineTo(width, py);
+        ctx.strokeStyle = color;
+        ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.fillText(`${label} ${y}`, 4, py - 3);
+    };
+    const vertical = (x, label, color, dash) => {
+        if (!Number.isFinite(x)) return;
+        const px = Math.round(transform([x, 0]).x) + 0.5;
+        ctx.beginPath();
+        ctx.setLineDash(dash);
+        ctx.moveTo(px, 0);
+        ctx.lineTo(px, height);
+        ctx.strokeStyle = color;
+        ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.fillText(`${label} ${x}`, px + 3, height - 4 - (label === 'x_max' ? 12 : 0));
+    };
+
+    ctx.lineWidth = 1;
+    FONT_METRIC_LINES.forEach(([key, label]) => horizontal(fontData?.[key], label, lineColor, [4, 4]));
+    horizontal(0, 'baseline', lineColor, []);
+    vertical(glyph?.x_min, 'x_min', lineColor, [2, 3]);
+    vertical(glyph?.x_max, 'x_max', lineColor, [2, 3]);
+    vertical(glyph?.ha, 'ha', ADVANCE_COLOR, []);
+    ctx.setLineDash([]);
+}
+
+/**
+ * On-curve points as squares, control points as circles joined to the
+ * on-curve points they pull.
+ * @private
+ */
+function _drawPoints(ctx, segments, transform, isDark) {
+    ctx.beginPath();
+    segments.filter(segment => segment.controls.length).forEach(segment => {
+        const start = transform(segment.start);
+        const end = transform(segment.end);
+        const controls = segment.controls.map(transform);
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(controls[0].x, controls[0].y);
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(controls[controls.length - 1].x, controls[controls.length - 1].y);
+    });
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = isDark ? 'rgba(255, 149, 0, 0.6)' : 'rgba(255, 149, 0, 0.8)';
+    ctx.stroke();
+
+    segments.forEach(segment => {
+        segment.controls.forEach(control => {
+            const p = transform(control);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.strokeStyle = CONTROL_COLOR;
+            ctx.stroke();
+        });
+        const p = transform(segment.end);
+        ctx.fillStyle = ON_CURVE_COLOR;
+        ctx.fillRect(p.x - 3, p.y - 3, segment.command === 'm' ? 7 : 6, segment.command === 'm' ? 7 : 6);
+    });
+}
+
+/**
+ * Labels every point with the index of its command: "12" for the point a
+ * command ends at, "12a"/"12b" for its control points.
+ * @private
+ */
+function _drawLabels(ctx, segments, transform, textColor) {
+    ctx.fillStyle = textColor;
+    segments.forEach(segment => {
+        const p = transform(segment.end);
+        ctx.fillText(String(segment.index), p.x + 5, p.y - 5);
+        segment.controls.forEach((control, index) => {
+            const c = transform(control);
+            ctx.fillText(`${segment.index}${'ab'[index]}`, c.x + 5, c.y - 5);
+        });
+    });
+}
+
+function _drawHighlights(ctx, segments, transform) {
+    const highlighted = new Set(inspectorState.highlights.flatMap(highlight => highlight.commands));
+    ctx.beginPath();
+    segments.filter(segment => highlighted.has(segment.index)).forEach(segment => {
+        // A highlighted `m` stands for the edge closing its contour.
+        const drawn = _drawnSegment(segment);
+        if (!drawn) return;
+        const start = transform(drawn.start);
+        ctx.moveTo(start.x, start.y);
+        _traceSegment(ctx, drawn, transform);
+    });
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = HIGHLIGHT_COLOR;
+    ctx.stroke();
+
+    inspectorState.highlights.forEach(highlight => {
+        const point = transform([highlight.x, highlight.y]);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 7, 0, Math.PI * 2);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = HIGHLIGHT_COLOR;
+        ctx.stroke();
+    });
+    ctx.lineWidth = 1;
+}
+
+function _drawSelection(ctx, segments, transform) {
+    const { selection } = inspectorState;
+    const segment = selection && segments[selection.index];
+    if (!segment) return;
+    const p = transform(selection.control < 0 ? segment.end : segment.controls[selection.control]);
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = selection.control < 0 ? ON_CURVE_COLOR : CONTROL_COLOR;
+    ctx.stroke();
+    ctx.lineWidth = 1;
+}
+
+function _traceSegment(ctx, { command, end, controls }, transform) {
+    const p = transform(end);
+    if (command === 'm') {
+        ctx.moveTo(p.x, p.y);
+    } else if (command === 'l') {
+        ctx.lineTo(p.x, p.y);
+    } else if (command === 'q') {
+        const c = transform(controls[0]);
+        ctx.quadraticCurveTo(c.x, c.y, p.x, p.y);
+    } else {
+        const c1 = transform(controls[0]);
+        const c2 = transform(controls[1]);
+        ctx.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, p.x, p.y);
+    }
+}
+
+/**
+ * Maps font units to canvas pixels, y up. The view spans the origin, the
+ * advance, the glyph extents, every point (control points included) and the
+ * font's vertical metrics.
+ * @returns {Function|null} [x, y] -> { x, y } with an `invert` method, or
+ * null when there is nothing to fit.
+ * @private
+ */
+function _fitTransform(canvas, glyph, fontData, segments) {
+    if (!glyph) return null;
+    const finite = values => values.filter(Number.isFinite);
+    const points = segments.flatMap(segment => [segment.end, ...segment.controls]);
+    const xs = finite([0, glyph.ha, glyph.x_min, glyph.x_max, ...points.map(point => point[0])]);
+    const ys = finite([
+        0,
+        fontData?.ascender,
+        fontData?.descender,
+        fontData?.underlinePosition,
+        fontData?.boundingBox?.yMin,
+        fontData?.boundingBox?.yMax,
+        ...points.map(point => point[1])
+    ]);
+    const xMin = Math.min(...xs), xMax = Math.max(...xs);
+    const yMin = Math.min(...ys), yMax = Math.max(...ys);
+    const width = xMax - xMin;
+    const height = yMax - yMin;
+    if (!(width > 0) || !(height > 0)) return null;
+
+    const scale = Math.min(
+        (canvas.clientWidth - CANVAS_PADDING * 2) / width,
+        (canvas.clientHeight - CANVAS_PADDING * 2) / height
+    );
+    const offsetX = canvas.clientWidth / 2 - (xMin + width / 2) * scale;
+    const offsetY = canvas.clientHeight / 2 + (yMin + height / 2) * scale;
+    const transform = ([x, y]) => ({ x: x * scale + offsetX, y: -y * scale + offsetY });
+    // Canvas pixels back to font units, for the pointer.
+    transform.invert = ({ x, y }) => [(x - offsetX) / scale, (offsetY - y) / scale];
+    return transform;
+}
+
+//----------------------------------------> END [RENDERING]
+
+
+//-------------------------------------------------------------
+//-----------------------[   EDITING   ]-----------------------
+//-------------------------------------------------------------
+
+/**
+ * Enables the editing controls that apply to the glyph and the selection.
+ * Glyphs that are missing or whose outline does not parse cannot be edited.
+ * @private
+ */
+function _syncEditControls() {
+    const { segments, selection, undoStack } = inspectorState;
+    const glyph = _getGlyph();
+    const toggle = document.getElementById('glyphInspectorEditToggle');
+    toggle.disabled = !glyph || !segments;
+    if (toggle.disabled) inspectorState.isEditing = false;
+    toggle.checked = inspectorState.isEditing;
+    document.getElementById('glyphInspectorEditPanel').style.display = inspectorState.isEditing ? 'block' : 'none';
+    document.getElementById('glyphInspectorCanvas').classList.toggle('is-editing', inspectorState.isEditing);
+
+    const advance = document.getElementById('glyphInspectorAdvance');
+    if (document.activeElement !== advance) advance.value = glyph?.ha ?? '';
+
+    const segment = selection ? segments[selection.index] : null;
+    const typeSelect = document.getElementById('glyphInspectorSegmentType');
+    typeSelect.disabled = !segment || segment.command === 'm';
+    typeSelect.value = segment && segment.command !== 'm' ? segment.command : 'l';
+    document.getElementById('glyphInspectorDeleteBtn').disabled = !segment;
+    document.getElementById('glyphInspectorUndoBtn').disabled = undoStack.length === 0;
+}
+
+/**
+ * Selects the point under the pointer and starts dragging it. An on-curve
+ * point takes the handles of its cubic curves along (unless Alt is held),
+ * and so does the last point of a contour that repeats the first one.
+ * @private
+ */
+function _onPointerDown(event) {
+    if (!inspectorState.isEditing || event.button !== 0 || !inspectorState.transform) return;
+    const canvas = event.currentTarget;
+    canvas.focus();
+
+    const selection = _hitPoint({ x: event.offsetX, y: event.offsetY });
+    inspectorState.selection = selection;
+    if (selection) {
+        const targets = _dragTargets(selection, event.altKey);
+        inspectorState.drag = {
+            pointerId: event.pointerId,
+            transform: inspectorState.transform,
+            start: inspectorState.transform.invert({ x: event.offsetX, y: event.offsetY }),
+            targets,
+            origins: targets.map(point => [...point]),
+            hasMoved: false
+        };
+        canvas.setPointerCapture(event.pointerId);
+    }
+    _syncEditControls();
+    _draw();
+}
+
+function _onPointerMove(event) {
+    const { drag } = inspectorState;
+    const canvas = event.currentTarget;
+    if (!drag) {
+        if (inspectorState.isEditing && inspectorState.transform) {
+            canvas.style.cursor = _hitPoint({ x: event.offsetX, y: event.offsetY }) ? 'pointer' : '';
+        }
+        return;
+    }
+    if (event.pointerId !== drag.pointerId) return;
+
+    // Points snap to whole font units.
+    const [x, y] = drag.transform.invert({ x: event.offsetX, y: event.offsetY });
+    const [dx, dy] = [x - drag.start[0], y - drag.start[1]];
+    drag.targets.forEach((point, i) => {
+        point[0] = Math.round(drag.origins[i][0] + dx);
+        point[1] = Math.round(drag.origins[i][1] + dy);
+    });
+    drag.hasMoved = drag.targets.some((point, i) => point[0] !== drag.origins[i][0] || point[1] !== drag.origins[i][1]);
+    canvas.style.cursor = 'grabbing';
+    _draw();
+}
+
+function _onPointerUp(event) {
+    const { drag } = inspectorState;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    inspectorState.drag = null;
+    event.currentTarget.style.cursor = '';
+    if (drag.hasMoved) {
+        _editGlyph({ o: _serializeSegments(inspectorState.segments, _getGlyph().o) });
+    } else {
+        _draw();
+    }
+}
+
+/**
+ * A double click on a segment adds a node there, splitting the segment
+ * into two of the same kind that keep its shape.
+ * @private
+ */
+function _onDoubleClick(event) {
+    if (!inspectorState.isEditing || !inspectorState.transform) return;
+    const point = { x: event.offsetX, y: event.offsetY };
+    if (_hitPoint(point)) return;
+    const hit = _hitSegment(point);
+    if (!hit) return;
+
+    const segments = [...inspectorState.segments];
+    const segment = segments[hit.index];
+    let index;
+    if (segment.command === 'm') {
+        // The edge closing the contour becomes a line to the new node.
+        index = _contourOf(segment).at(-1).index + 1;
+        const last = segments[index - 1];
+        segments.splice(index - 1, 1, { ...last, closes: false }, {
+            command: 'l',
+            end: _roundPoint(_lerp(segment.contourEnd, segment.end, hit.t)),
+            controls: [],
+            closes: last.closes
+        });
+    } else {
+        const { left, right } = _splitBezier([segment.start, ...segment.controls, segment.end], hit.t);
+        index = hit.index;
+        segments.splice(index, 1, {
+            command: segment.command,
+            end: _roundPoint(left.at(-1)),
+            controls: left.slice(1, -1).map(_roundPoint)
+        }, {
+            ...segment,
+            controls: right.slice(1, -1).map(_roundPoint)
+        });
+    }
+    inspectorState.selection = { index, control: -1 };
+    _editGlyph({ o: _serializeSegments(segments, _getGlyph().o) });
+}
+
+function _onKeyDown(event) {
+    if (!inspectorState.isEditing) return;
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        _deleteSelection();
+    } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+        event.preventDefault();
+        _undo();
+    } else if (event.key === 'Escape') {
+        inspectorState.selection = null;
+        _syncEditControls();
+        _draw();
+    }
+}
+
+function _onAdvanceChange(event) {
+    const glyph = _getGlyph();
+    const advance = Math.round(Number(event.target.value));
+    if (!glyph || event.target.value === '' || !Number.isFinite(advance) || advance === glyph.ha) {
+        _syncEditControls();
+        return;
+    }
+    _editGlyph({ ha: advance });
+}
+
+/**
+ * Removes the selected point. Removing a control point lowers the degree of
+ * its curve (b -> q -> l); removing an on-curve point joins its two
+ * segments, and a contour left with a single point is removed.
+ * @private
+ */
+function _deleteSelection() {
+    const { selection } = inspectorState;
+    const segments = [...inspectorState.segments];
+    const segment = selection && segments[selection.index];
+    if (!segment) return;
+
+    if (selection.control >= 0) {
+        segments[segment.index] = {
+            ...segment,
+            command: segment.command === 'b' ? 'q' : 'l',
+            controls: segment.controls.filter((control, i) => i !== selection.control)
+        };
+    } else {
+        const contour = _contourOf(segment);
+        if (contour.length <= 2) {
+            segments.splice(contour[0].index, contour.length);
+        } else if (segment.command === 'm') {
+            // The next point opens the contour.
+            const next = segments[segment.index + 1];
+            segments.splice(segment.index, 2, { ...next, command: 'm', controls: [] });
+        } else {
+            if (segment.closes) segments[segment.index - 1] = { ...segments[segment.index - 1], closes: true };
+            segments.splice(segment.index, 1);
+        }
+    }
+    inspectorState.selection = null;
+    _editGlyph({ o: _serializeSegments(segments, _getGlyph().o) });
+}
+
+/**
+ * Turns the selected segment into a line (l), a quadratic (q) or a cubic
+ * (b) curve. Lines become flat curves and quadratics become the identical
+ * cubic; cubics become the closest quadratic.
+ * @private
+ */
+function _convertSelection(command) {
+    const { selection } = inspectorState;
+    const segments = [...inspectorState.segments];
+    const segment = selection && segments[selection.index];
+    if (!segment || segment.command === 'm' || segment.command === command) return;
+
+    const { start, end, controls } = segment;
+    let converted = [];
+    if (command === 'q') {
+        converted = segment.command === 'b'
+            ? [start.map((value, axis) => (3 * (controls[0][axis] + controls[1][axis]) - value - end[axis]) / 4)]
+            : [_lerp(start, end, 1 / 2)];
+    } else if (command === 'b') {
+        converted = segment.command === 'q'
+            ? [_lerp(start, controls[0], 2 / 3), _lerp(end, controls[0], 2 / 3)]
+            : [_lerp(start, end, 1 / 3), _lerp(start, end, 2 / 3)];
+    }
+    segments[segment.index] = { ...segment, command, controls: converted.map(_roundPoint) };
+    inspectorState.selection = { index: segment.index, control: -1 };
+    _editGlyph({ o: _serializeSegments(segments, _getGlyph().o) });
+}
+
+function _undo() {
+    const previous = inspectorState.undoStack.pop();
+    if (!previous) return;
+    inspectorState.selection = null;
+    if (!_editGlyph(previous, { isUndo: true })) inspectorState.undoStack.push(previous);
+}
+
+/**
+ * Hands the glyph with `changes` applied to the application. A new outline
+ * also updates `x_min` and `x_max`. When the change is refused the glyph is
+ * shown as it still is.
+ * @param {{o?: string, ha?: number}} changes
+ * @param {object} [options]
+ * @param {boolean} [options.isUndo=false] - Do not record the change in the undo history.
+ * @returns {boolean} Whether the change was applied.
+ * @private
+ */
+function _editGlyph(changes, { isUndo = false } = {}) {
+    const glyph = _getGlyph();
+    const edited = { ...glyph, ...changes };
+    if (changes.o !== undefined) Object.assign(edited, _outlineExtents(_parseSegments(changes.o) || []));
+
+    const fontData = callbacks.onGlyphEdit?.(inspectorState.char, edited) || null;
+    if (fontData) {
+        if (!isUndo) inspectorState.undoStack.push({ o: glyph.o, ha: glyph.ha });
+        // The marked places refer to the outline as it was.
+        inspectorState = { ...inspectorState, fontData, highlights: [], message: '' };
+        _renderLocations();
+    }
+
+    inspectorState.segments = _parseSegments(_getGlyph().o ?? '');
+    if (!fontData || !inspectorState.segments?.[inspectorState.selection?.index]) inspectorState.selection = null;
+    _showDetails();
+    _draw();
+    return Boolean(fontData);
+}
+
+/**
+ * The point within HIT_RADIUS of a canvas position, the nearest one first.
+ * @returns {{index: number, control: number}|null}
+ * @private
+ */
+function _hitPoint(position) {
+    const { segments, transform } = inspectorState;
+    let best = null;
+    (segments || []).forEach(segment => {
+        [segment.end, ...segment.controls].forEach((point, i) => {
+            const p = transform(point);
+            const distance = Math.hypot(p.x - position.x, p.y - position.y);
+            if (distance <= HIT_RADIUS && (!best || distance < best.distance)) {
+                best = { index: segment.index, control: i - 1, distance };
+            }
+        });
+    });
+    return best && { index: best.index, control: best.control };
+}
+
+/**
+ * The segment within HIT_RADIUS of a canvas position, with the curve
+ * parameter `t` of the nearest sample. An `m` stands for its closing edge.
+ * @returns {{index: number, t: number}|null}
+ * @private
+ */
+function _hitSegment(position) {
+    const { segments, transform } = inspectorState;
+    let best = null;
+    (segments || []).forEach(segment => {
+        const drawn = _drawnSegment(segment);
+        if (!drawn) return;
+        const points = [drawn.start, ...drawn.controls, drawn.end];
+        for (let step = 1; step < SEGMENT_SAMPLES; step++) {
+            const t = step / SEGMENT_SAMPLES;
+            const p = transform(_splitBezier(points, t).left.at(-1));
+            const distance = Math.hypot(p.x - position.x, p.y - position.y);
+            if (distance <= HIT_RADIUS && (!best || distance < best.distance)) {
+                best = { index: segment.index, t, distance };
+            }
+        }
+    });
+    return best && { index: best.index, t: best.t };
+}
+
+function _dragTargets({ index, control }, isAlone) {
+    const { segments } = inspectorState;
+    const segment = segments[index];
+    if (control >= 0) return [segment.controls[control]];
+    if (isAlone) return [segment.end];
+
+    const contour = _contourOf(segment);
+    const [first, last] = [contour[0], contour.at(-1)];
+    const moved = [segment];
+    if (first !== last && (segment === first || segment === last) && first.end[0] === last.end[0] && first.end[1] === last.end[1]) {
+        moved.push(segment === first ? last : first);
+    }
+
+    const targets = [];
+    moved.forEach(point => {
+        targets.push(point.end);
+        if (point.command === 'b') targets.push(point.controls[1]);
+        const next = segments[point.index + 1];
+        if (next?.command === 'b' && next.contour === point.contour) targets.push(next.controls[0]);
+    });
+    return [...new Set(targets)];
+}
+
+//----------------------------------------> END [EDITING]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+function _getGlyph() {
+    return inspectorState.fontData?.glyphs?.[inspectorState.char] || null;
+}
+
+/**
+ * Lists the commands of an outline as { index, command, start, end,
+ * controls, contour }, indexed like the contour checker counts them. An `m`
+ * also gets `contourEnd`, the last point of its contour, and the segment
+ * before a `z` gets `closes`. Returns null for malformed outlines.
+ * @private
+ */
+function _parseSegments(outline) {
+    const commands = parseOutline(outline);
+    if (!commands) return null;
+    const segments = [];
+    let move = null;
+    let current = null;
+    let contour = 0;
+
+    commands.forEach(({ command, points }) => {
+        if (command === 'z') {
+            if (segments.length) segments[segments.length - 1].closes = true;
+            return;
+        }
+
+        if (command === 'm' && segments.length) contour++;
+        // A curve opening an outline (no `m`) starts where it ends.
+        const segment = { index: segments.length, command, start: current || points[0], end: points[0], controls: points.slice(1), contour };
+        if (command === 'm') move = segment;
+        if (move) move.contourEnd = points[0];
+        segments.push(segment);
+        current = points[0];
+    });
+
+    return segments;
+}
+
+/**
+ * Writes segments back as an outline, keeping the `z` tokens and the
+ * trailing space TTFLoader ends every outline with.
+ * @private
+ */
+function _serializeSegments(segments, originalOutline = '') {
+    const tokens = [];
+    segments.forEach(({ command, end, controls, closes }) => {
+        tokens.push(command, ...end, ...controls.flat());
+        if (closes) tokens.push('z');
+    });
+    if (tokens.length === 0) return '';
+    return tokens.join(' ') + (!originalOutline || originalOutline.endsWith(' ') ? ' ' : '');
+}
+
+/**
+ * `x_min` and `x_max` of an outline, from every point, as the validator's
+ * fix for missing extents computes them.
+ * @private
+ */
+function _outlineExtents(segments) {
+    const xs = segments.flatMap(segment => [segment.end, ...segment.controls]).map(point => point[0]);
+    if (xs.length === 0) return { x_min: 0, x_max: 0 };
+    return { x_min: Math.floor(Math.min(...xs)), x_max: Math.ceil(Math.max(...xs)) };
+}
+
+function _contourOf(segment) {
+    return inspectorState.segments.filter(other => other.contour === segment.contour);
+}
+
+/**
+ * The segment as it is drawn: an `m` is the edge closing its contour, or
+ * null when the contour already ends on its first point.
+ * @private
+ */
+function _drawnSegment(segment) {
+    if (segment.command !== 'm') return segment;
+    const { contourEnd, end } = segment;
+    if (contourEnd[0] === end[0] && contourEnd[1] === end[1]) return null;
+    return { command: 'l', start: contourEnd, end, controls: [] };
+}
+
+/**
+ * Splits a Bézier curve given by its control polygon at `t` (de Casteljau).
+ * The last point of `left` is the point on the curve.
+ * @returns {{left: number[][], right: number[][]}} The control polygons of both halves.
+ * @private
+ */
+function _splitBezier(points, t) {
+    const left = [points[0]];
+    const right = [points[points.length - 1]];
+    let level = points;
+    while (level.length > 1) {
+        level = level.slice(1).map((point, i) => _lerp(level[i], point, t));
+        left.push(level[0]);
+        right.unshift(level[level.length - 1]);
+    }
+    return { left, right };
+}
+
+function _lerp(a, b, t) {
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+function _roundPoint(point) {
+    return point.map(Math.round);
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { initGlyphInspector, openGlyphInspector, closeGlyphInspector, refreshGlyphInspector };
@@ -0,0 +1,125 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/glyph-metrics.js
+ * Created: 2025-10-22
+ * Author: @lewopxd
+ *
+ * Description:
+ * Per-glyph complexity metrics: drawing commands, curve ratio and an estimate
+ * of the triangles TextGeometry builds for a glyph with the viewer's settings.
+ * font-analyzer.js only reports font-wide averages, which hide the few glyphs
+ * that dominate the geometry cost. It has no knowledge of the DOM.
+ */
+
+import { parseContours } from './glyph-outline.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+// Mirrors the TextGeometry options of createTextGeometry in viewer-core.js.
+const TEXT_GEOMETRY_SETTINGS = { curveSegments: 12, bevelSegments: 2, steps: 1 };
+
+const GLYPH_METRICS = {
+    commands: { label: 'Commands' },
+    curveRatio: { label: 'Curve ratio (%)' },
+    triangles: { label: 'Estimated triangles' }
+};
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Measures the complexity of a glyph.
+ * @param {object} glyph - A glyph of the typeface JSON ({ ha, x_min, x_max, o }).
+ * @param {object} [options]
+ * @param {boolean} [options.is3D=true] - Estimate the extruded and bevelled 3D geometry.
+ * @returns {{commands: number, curves: number, curveRatio: number, contours: number,
+ * holes: number, points: number, triangles: number}} The metrics, all 0 for empty glyphs.
+ */
+function getGlyphMetrics(glyph, { is3D = true } = {}) {
+    const outline = typeof glyph?.o === 'string' ? glyph.o : '';
+
+    // Counted the same way as font-analyzer.js.
+    const commands = (outline.match(/[mlqb]/g) || []).length;
+    const curves = (outline.match(/[qb]/g) || []).length;
+
+    const contours = _measureContours(outline);
+    const solidSign = contours.length ? Math.sign(contours[0].area) : 1;
+    let points = 0;
+    let faceTriangles = 0;
+    let holes = 0;
+
+    contours.forEach(contour => {
+        points += contour.points;
+        // Triangulating a polygon costs n - 2 triangles, every hole adds n + 2.
+        if (Math.sign(contour.area) === solidSign || contour.area === 0) {
+            faceTriangles += Math.max(0, contour.points - 2);
+        } else {
+            faceTriangles += contour.points + 2;
+            holes++;
+        }
+    });
+
+    const { steps, bevelSegments } = TEXT_GEOMETRY_SETTINGS;
+    const sideLayers = steps + (is3D ? 2 * bevelSegments : 0);
+    const triangles = contours.length ? 2 * faceTriangles + 2 * points * sideLayers : 0;
+
+    return {
+        commands,
+        curves,
+        curveRatio: commands > 0 ? (curves / commands) * 100 : 0,
+        contours: contours.length,
+        holes,
+        points,
+        triangles
+    };
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+/**
+ * Measures the contours of an outline: the number of points three.js samples
+ * for them (one per line, `curveSegments` per curve) and the signed area of
+ * their on-curve polygon, used to tell holes from solid shapes. Malformed
+ * outlines have no contours.
+ * @private
+ */
+function _measureContours(outline) {
+    return (parseContours(outline) || []).map(({ start, segments }) => {
+        const vertices = [start, ...segments.map(segment => segment.points[0])];
+        let points = 1;
+        segments.forEach(segment => {
+            points += segment.command === 'l' ? 1 : TEXT_GEOMETRY_SETTINGS.curveSegments;
+        });
+
+        const first = vertices[0];
+        const last = vertices[vertices.length - 1];
+        // A contour that returns to its start does not repeat that point.
+        if (vertices.length > 1 && first[0] === last[0] && first[1] === last[1]) points--;
+
+        return { points, area: _signedArea(vertices) };
+    });
+}
+
+function _signedArea(vertices) {
+    let area = 0;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        area += (vertices[j][0] - vertices[i][0]) * (vertices[j][1] + vertices[i][1]);
+    }
+    return area / 2;
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { GLYPH_METRICS, TEXT_GEOMETRY_SETTINGS, getGlyphMetrics };
@@ -0,0 +1,116 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/glyph-operations.js
+ * Created: 2025-10-31
+ * Author: @lewopxd
+ *
+ * Description:
+ * Adds, duplicates and removes glyphs of a typeface JSON. Every operation
+ * returns a new font object (the source is not modified). New glyphs cannot
+ * grow the bounding box, so it is only refitted when glyphs are removed.
+ * It has no knowledge of the DOM.
+ */
+
+import { fitBoundingBox } from './font-subsetter.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+const CODE_POINT_KEY = /^(?:U\+|0x)([0-9A-F]{1,6})$/i;
+
+// facetype.js writes every font at this resolution.
+const DEFAULT_RESOLUTION = 1000;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Reads the glyph key typed by the user: one character, or its code point
+ * as U+00E9 / 0xE9.
+ * @param {string} text
+ * @returns {string|null} The character, or null when the text is neither.
+ */
+function parseGlyphKey(text) {
+    const codePoint = CODE_POINT_KEY.exec((text || '').trim());
+    if (codePoint) {
+        const value = parseInt(codePoint[1], 16);
+        // Lone surrogates cannot be JSON keys that three.js would look up.
+        if (value > 0x10FFFF || (value >= 0xD800 && value <= 0xDFFF)) return null;
+        return String.fromCodePoint(value);
+    }
+    // A lone space is a valid key, so the text is not trimmed here.
+    return Array.from(text || '').length === 1 ? text : null;
+}
+
+/**
+ * Adds an empty glyph (no outline) as wide as the space glyph, or a quarter
+ * of the resolution when the font has none.
+ * @param {object} fontData - The typeface JSON.
+ * @param {string} char - The new glyph key.
+ * @returns {object} The new typeface JSON.
+ */
+function createGlyph(fontData, char) {
+    _assertFree(fontData, char);
+    const space = fontData.glyphs?.[' '];
+    const resolution = fontData.resolution > 0 ? fontData.resolution : DEFAULT_RESOLUTION;
+    const ha = Number.isFinite(space?.ha) ? space.ha : Math.round(resolution / 4);
+    return { ...fontData, glyphs: { ...fontData.glyphs, [char]: { ha, x_min: 0, x_max: 0, o: '' } } };
+}
+
+/**
+ * Copies a glyph to another key.
+ * @param {object} fontData - The typeface JSON.
+ * @param {string} sourceChar - The glyph to copy.
+ * @param {string} char - The new glyph key.
+ * @returns {object} The new typeface JSON.
+ */
+function duplicateGlyph(fontData, sourceChar, char) {
+    const source = fontData.glyphs?.[sourceChar];
+    if (!source) {
+        throw new Error(`Glyph "${sourceChar}" does not exist in the font.`);
+    }
+    _assertFree(fontData, char);
+    return { ...fontData, glyphs: { ...fontData.glyphs, [char]: { ...source } } };
+}
+
+/**
+ * Removes glyphs; keys that are not in the font are ignored. The box sides
+ * that a removed glyph set are fitted to the remaining outlines.
+ * @param {object} fontData - The typeface JSON.
+ * @param {Iterable<string>} chars - The glyph keys to remove.
+ * @returns {object} The new typeface JSON.
+ */
+function deleteGlyphs(fontData, chars) {
+    const removed = new Set(chars);
+    const glyphs = Object.fromEntries(Object.entries(fontData.glyphs || {}).filter(([char]) => !removed.has(char)));
+    if (!fontData.boundingBox) {
+        return { ...fontData, glyphs };
+    }
+    return { ...fontData, glyphs, boundingBox: fitBoundingBox(fontData.boundingBox, fontData.glyphs || {}, glyphs) };
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+function _assertFree(fontData, char) {
+    if (typeof char !== 'string' || char === '') {
+        throw new Error('A glyph needs a character.');
+    }
+    if (fontData.glyphs && Object.prototype.hasOwnProperty.call(fontData.glyphs, char)) {
+        throw new Error(`Glyph "${char}" already exists in the font.`);
+    }
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { parseGlyphKey, createGlyph, duplicateGlyph, deleteGlyphs };
@@ -0,0 +1,155 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/glyph-outline.js
+ * Created: 2025-10-20
+ * Author: @lewopxd
+ *
+ * Description:
+ * Reads the `o` outline strings of a typeface JSON: `m x y`, `l x y`,
+ * `q x y cx cy`, `b x y c1x c1y c2x c2y` and `z`, separated by spaces,
+ * the end point always first. Every module that walks outlines (the
+ * contour checker worker included) parses them here, so a malformed
+ * outline (an unknown token, a missing coordinate or one that is not a
+ * number) is unreadable everywhere alike; font-validator.js is the one
+ * that tells what is wrong with it. It has no knowledge of the DOM.
+ */
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+// Number of coordinates following each outline command.
+const OUTLINE_ARGUMENTS = Object.freeze({ m: 2, l: 2, q: 4, b: 6 });
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Whether a token is a drawing command (`m`, `l`, `q` or `b`).
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isDrawingCommand(token) {
+    return Object.prototype.hasOwnProperty.call(OUTLINE_ARGUMENTS, token);
+}
+
+/**
+ * Lists the commands of an outline, `z` included.
+ * @param {string} outline - The `o` string of a glyph.
+ * @param {object} [options]
+ * @param {boolean} [options.keepText=false] - Keep the coordinates as written
+ * instead of as numbers, to write them back unchanged.
+ * @returns {Array<{command: string, points: Array<Array<number|string>>}>|null}
+ * The commands with their points (end point first, then the control points),
+ * or null for a malformed outline.
+ */
+function parseOutline(outline, { keepText = false } = {}) {
+    if (typeof outline !== 'string') return null;
+    const tokens = outline.trim().split(/\s+/).filter(Boolean);
+    const commands = [];
+
+    for (let i = 0; i < tokens.length;) {
+        const command = tokens[i++];
+        if (command === 'z') {
+            commands.push({ command, points: [] });
+            continue;
+        }
+        if (!isDrawingCommand(command)) return null;
+
+        const count = OUTLINE_ARGUMENTS[command];
+        const values = tokens.slice(i, i + count);
+        if (values.length < count || values.some(value => !Number.isFinite(Number(value)))) return null;
+        i += count;
+
+        const points = [];
+        for (let j = 0; j < count; j += 2) {
+            points.push(keepText ? [values[j], values[j + 1]] : [Number(values[j]), Number(values[j + 1])]);
+        }
+        commands.push({ command, points });
+    }
+
+    return commands;
+}
+
+/**
+ * Splits an outline into contours, one per `m`. A contour is closed when a
+ * `z` follows it; three.js closes every contour either way.
+ * @param {string} outline - The `o` string of a glyph.
+ * @param {object} [options] - As for parseOutline.
+ * @returns {Array<{start: Array<number|string>, segments: Array<{command: string,
+ * points: Array<Array<number|string>>}>, isClosed: boolean}>|null} The contours,
+ * or null for a malformed outline or one that draws before its first `m`.
+ */
+function parseContours(outline, options) {
+    const commands = parseOutline(outline, options);
+    if (!commands) return null;
+
+    const contours = [];
+    let contour = null;
+    for (const { command, points } of commands) {
+        if (command === 'z') {
+            if (contour) contour.isClosed = true;
+        } else if (command === 'm') {
+            contour = { start: points[0], segments: [], isClosed: false };
+            contours.push(contour);
+        } else if (contour) {
+            contour.segments.push({ command, points });
+        } else {
+            return null;
+        }
+    }
+
+    return contours;
+}
+
+/**
+ * Writes contours back as an outline string.
+ * @param {Array<object>} contours - Contours as parseContours returns them.
+ * @param {string} [sourceOutline=''] - The outline they were read from: its
+ * trailing space, which TTFLoader ends every outline with, is kept so
+ * diffs stay small.
+ * @returns {string} The outline.
+ */
+function serializeContours(contours, sourceOutline = '') {
+    const tokens = [];
+    contours.forEach(({ start, segments, isClosed }) => {
+        tokens.push('m', ...start);
+        segments.forEach(({ command, points }) => tokens.push(command, ...points.flat()));
+        if (isClosed) tokens.push('z');
+    });
+    return tokens.join(' ') + (tokens.length && sourceOutline.endsWith(' ') ? ' ' : '');
+}
+
+/**
+ * Extents of every outline point (on and off curve) of a set of glyphs.
+ * Malformed outlines are left out.
+ * @param {Array<object>|object} glyphs - Glyphs of the typeface JSON, as a
+ * list or keyed by character.
+ * @returns {{xMin: number, xMax: number, yMin: number, yMax: number}|null}
+ * The extents, or null when no glyph has a point.
+ */
+function outlineBounds(glyphs) {
+    const bounds = { xMin: Infinity, xMax: -Infinity, yMin: Infinity, yMax: -Infinity };
+
+    (Array.isArray(glyphs) ? glyphs : Object.values(glyphs || {})).forEach(glyph => {
+        parseOutline(glyph?.o)?.forEach(({ points }) => {
+            points.forEach(([x, y]) => {
+                if (x < bounds.xMin) bounds.xMin = x;
+                if (x > bounds.xMax) bounds.xMax = x;
+                if (y < bounds.yMin) bounds.yMin = y;
+                if (y > bounds.yMax) bounds.yMax = y;
+            });
+        });
+    });
+
+    return bounds.xMin === Infinity ? null : bounds;
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+export { OUTLINE_ARGUMENTS, isDrawingCommand, parseOutline, parseContours, serializeContours, outlineBounds };
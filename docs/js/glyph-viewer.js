@@ -9,6 +9,11 @@
  * variable height items and collapsible sections.
  */
 
+import { GLYPH_METRICS, getGlyphMetrics } from './glyph-metrics.js';
+import { parseGlyphFilter } from './glyph-filter.js';
+import { loadUnicodeNames, areUnicodeNamesLoaded, getUnicodeName, formatCodePoint } from './unicode-names.js';
+import { outlineBounds } from './glyph-outline.js';
+
 // --- CONSTANTES DE DISEÑO ---
 const GLYPH_CARD_WIDTH = 80;
 const GLYPH_CARD_HEIGHT = 80;
@@ -24,6 +29,13 @@ let glyphViewerState = {
     fontData: null,
     glyphMap: null,
     isSortActive: false,
+    // Selección múltiple (Ctrl/Cmd + clic, Mayús + clic para rangos)
+    selectedChars: new Set(),
+    selectionAnchor: null,
+    // Mapa de calor por complejidad (métrica de glyph-metrics.js o null)
+    heatmap: { metric: null, sortByMetric: false, is3D: true, values: null, max: 0 },
+    // Filtro del cuadro de búsqueda (ver glyph-filter.js); matchCount cuenta los glifos que pasan
+    filter: { query: '', test: null, matchCount: 0 },
     // Callbacks
     onGlyphClick: () => {},
     onCategoryToggle: () => {},
@@ -57,14 +69,25 @@ function render(fontData, glyphMap, isSortActive, onGlyphClick, onCategoryToggle
     glyphViewerState.onGlyphClick = onGlyphClick;
     glyphViewerState.onCategoryToggle = onCategoryToggle;
 
+    // Descartar de la selección los glifos que ya no existen en la fuente
+    const glyphs = fontData.glyphs || {};
+    glyphViewerState.selectedChars = new Set([...glyphViewerState.selectedChars].filter(char => char in glyphs));
+
+    // Los nombres Unicode de los tooltips se cargan la primera vez
+    if (!areUnicodeNamesLoaded()) loadUnicodeNames().then(loaded => loaded && updateVisiblePool());
+
     try {
-        // 2. Construir la lista de visualización a partir de los datos jerárquicos
+        // 2. Calcular la métrica del mapa de calor, si hay una activa
+        computeHeatmapValues();
+        compileFilter();
+
+        // 3. Construir la lista de visualización a partir de los datos jerárquicos
         buildDisplayList();
         
-        // 3. Calcular el layout (posiciones y altura total)
+        // 4. Calcular el layout (posiciones y altura total)
         calculateLayout();
 
-        // 4. Asignar el evento de scroll y renderizar la vista inicial
+        // 5. Asignar el evento de scroll y renderizar la vista inicial
         glyphViewerState.nodes.container.onscroll = updateVisiblePool;
         updateVisiblePool();
     } catch (error) {
@@ -78,34 +101,62 @@ function render(fontData, glyphMap, isSortActive, onGlyphClick, onCategoryToggle
  * Esta lista contiene tanto objetos de encabezado como de glifos.
  */
 function buildDisplayList() {
-    const { glyphMap, isSortActive, fontData } = glyphViewerState;
+    const { glyphMap, isSortActive, fontData, filter } = glyphViewerState;
     const glyphs = fontData.glyphs || {};
+    // El glyphMap puede ser del estado anterior de la fuente mientras el worker lo recalcula
+    const matches = (key, sectionName = null) => Object.prototype.hasOwnProperty.call(glyphs, key) && (!filter.test || filter.test(key, sectionName));
     glyphViewerState.displayList = [];
+    filter.matchCount = 0;
 
     let keysToShow = [];
-    if (isSortActive && glyphMap && glyphMap.categorizedOrder) {
-        // Modo Ordenado: Recorrer las categorías
+    const { heatmap } = glyphViewerState;
+    if (heatmap.values && heatmap.sortByMetric) {
+        // Modo Métrica: todos los glifos, del más costoso al más simple
+        keysToShow = Object.keys(glyphs).filter(key => matches(key)).sort((a, b) => heatmap.values.get(b) - heatmap.values.get(a));
+        keysToShow.forEach(key => {
+            glyphViewerState.displayList.push({ isHeader: false, char: key, data: glyphs[key] });
+        });
+        filter.matchCount = keysToShow.length;
+    } else if (isSortActive && glyphMap && glyphMap.categorizedOrder) {
+        // Modo Ordenado: Recorrer las categorías (con filtro, solo las que tienen coincidencias)
         glyphMap.categorizedOrder.forEach(category => {
+            const keys = category.keys.filter(key => matches(key, category.name));
+            if (keys.length === 0) return;
+            filter.matchCount += keys.length;
             glyphViewerState.displayList.push({
                 isHeader: true,
                 name: category.name,
                 isCollapsed: category.isCollapsed,
-                count: category.keys.length
+                count: keys.length
             });
             if (!category.isCollapsed) {
-                category.keys.forEach(key => {
+                keys.forEach(key => {
                     glyphViewerState.displayList.push({ isHeader: false, char: key, data: glyphs[key] });
                 });
             }
         });
     } else {
         // Modo Original: Simplemente añadir todos los glifos
-        keysToShow = (glyphMap && glyphMap.originalOrder) ? glyphMap.originalOrder : Object.keys(glyphs);
+        keysToShow = ((glyphMap && glyphMap.originalOrder) ? glyphMap.originalOrder : Object.keys(glyphs)).filter(key => matches(key));
         keysToShow.forEach(key => {
             glyphViewerState.displayList.push({ isHeader: false, char: key, data: glyphs[key] });
         });
+        filter.matchCount = keysToShow.length;
     }
-    document.getElementById('glyphCount').textContent = `${Object.keys(glyphs).length} Glyphs`;
+    updateGlyphCount();
+}
+
+/**
+ * Muestra el total de glifos y, si la hay, la cantidad seleccionada.
+ */
+function updateGlyphCount() {
+    const glyphs = glyphViewerState.fontData?.glyphs || {};
+    const { filter } = glyphViewerState;
+    const selectedCount = glyphViewerState.selectedChars.size;
+    const total = filter.test
+        ? `${filter.matchCount} / ${Object.keys(glyphs).length} Glyphs`
+        : `${Object.keys(glyphs).length} Glyphs`;
+    document.getElementById('glyphCount').textContent = selectedCount ? `${total} · ${selectedCount} selected` : total;
 }
 
 /**
@@ -225,7 +276,7 @@ function renderPool(firstItemIndex) {
                 
                 const itemData = displayList[dataIndex];
                 const card = document.createElement('div');
-                card.className = 'glyph-card';
+                card.className = `glyph-card ${glyphViewerState.selectedChars.has(itemData.char) ? 'is-selected' : ''}`;
                 card.style.top = `${currentItem.top}px`;
                 card.style.left = `${layoutMap.horizontalOffset + (j * (GLYPH_CARD_WIDTH + GLYPH_CARD_GAP))}px`;
 
@@ -238,9 +289,9 @@ function renderPool(firstItemIndex) {
 
                 card.appendChild(canvas);
                 card.appendChild(charSpan);
-                if (typeof onGlyphClick === 'function') {
-                    card.onclick = () => onGlyphClick(itemData.char);
-                }
+                card.title = describeGlyph(itemData.char);
+                applyHeatmapToCard(card, itemData.char);
+                card.onclick = (e) => handleCardClick(e, itemData.char, onGlyphClick);
                 nodes.poolContainer.appendChild(card);
                 drawGlyphOnCanvas(canvas, itemData.data, fontData.boundingBox);
             }
@@ -251,6 +302,188 @@ function renderPool(firstItemIndex) {
     }
 }
 
+/**
+ * Clic simple: limpia la selección y delega en onGlyphClick.
+ * Ctrl/Cmd + clic alterna el glifo; Mayús + clic selecciona el rango
+ * desde el último glifo marcado, en el orden visible de la cuadrícula.
+ */
+function handleCardClick(e, char, onGlyphClick) {
+    const { selectedChars, displayList } = glyphViewerState;
+
+    if (e.ctrlKey || e.metaKey) {
+        if (selectedChars.has(char)) selectedChars.delete(char);
+        else selectedChars.add(char);
+        glyphViewerState.selectionAnchor = char;
+    } else if (e.shiftKey && glyphViewerState.selectionAnchor !== null) {
+        const visibleChars = displayList.filter(item => !item.isHeader).map(item => item.char);
+        const from = visibleChars.indexOf(glyphViewerState.selectionAnchor);
+        const to = visibleChars.indexOf(char);
+        if (from !== -1 && to !== -1) {
+            visibleChars.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(c => selectedChars.add(c));
+        }
+    } else {
+        const hadSelection = selectedChars.size > 0;
+        selectedChars.clear();
+        glyphViewerState.selectionAnchor = char;
+        if (hadSelection) refreshSelection();
+        if (typeof onGlyphClick === 'function') onGlyphClick(char);
+        return;
+    }
+    refreshSelection();
+}
+
+function refreshSelection() {
+    updateGlyphCount();
+    updateVisiblePool();
+}
+
+/**
+ * Devuelve los glifos seleccionados en el orden de la fuente.
+ */
+function getSelectedGlyphs() {
+    const glyphs = glyphViewerState.fontData?.glyphs || {};
+    return Object.keys(glyphs).filter(char => glyphViewerState.selectedChars.has(char));
+}
+
+/**
+ * Devuelve el último glifo pulsado en la cuadrícula, o null si ya no está en la fuente.
+ */
+function getActiveGlyph() {
+    const { selectionAnchor, fontData } = glyphViewerState;
+    return selectionAnchor !== null && fontData?.glyphs && selectionAnchor in fontData.glyphs ? selectionAnchor : null;
+}
+
+function clearGlyphSelection() {
+    glyphViewerState.selectedChars.clear();
+    glyphViewerState.selectionAnchor = null;
+    if (glyphViewerState.nodes.container) refreshSelection();
+}
+
+/**
+ * Selecciona un glifo y desplaza la cuadrícula hasta él, desplegando su
+ * categoría si estaba contraída. Devuelve false si el glifo no está en la fuente.
+ */
+function revealGlyph(char) {
+    const { nodes, glyphMap, fontData } = glyphViewerState;
+    if (!nodes.container || !fontData?.glyphs || !(char in fontData.glyphs)) return false;
+
+    const collapsedCategory = glyphMap?.categorizedOrder?.find(category => category.isCollapsed && category.keys.includes(char));
+    if (collapsedCategory && glyphViewerState.isSortActive) {
+        collapsedCategory.isCollapsed = false;
+        buildDisplayList();
+        calculateLayout();
+    }
+
+    // Si el filtro oculta el glifo, se quita el filtro
+    if (!glyphViewerState.displayList.some(item => !item.isHeader && item.char === char) && glyphViewerState.filter.test) {
+        const filterInput = document.getElementById('glyphFilterInput');
+        if (filterInput) filterInput.value = '';
+        glyphViewerState.filter.query = '';
+        compileFilter();
+        buildDisplayList();
+        calculateLayout();
+    }
+
+    const displayIndex = glyphViewerState.displayList.findIndex(item => !item.isHeader && item.char === char);
+    if (displayIndex === -1) return false;
+
+    // La fila es el último elemento del layout que empieza antes del glifo
+    const row = glyphViewerState.layoutMap.items.filter(item => item.index <= displayIndex).pop();
+    nodes.container.scrollTop = Math.max(0, row.top - (nodes.container.clientHeight - row.height) / 2);
+
+    glyphViewerState.selectedChars = new Set([char]);
+    glyphViewerState.selectionAnchor = char;
+    refreshSelection();
+    return true;
+}
+
+/**
+ * Filtra la cuadrícula con la consulta del cuadro de búsqueda (ver
+ * glyph-filter.js) y vuelve al principio de la lista.
+ */
+function setGlyphFilter(query) {
+    glyphViewerState.filter.query = query || '';
+    compileFilter();
+    const { nodes, fontData } = glyphViewerState;
+    if (!nodes.container || !fontData) return;
+    buildDisplayList();
+    calculateLayout();
+    nodes.container.scrollTop = 0;
+    updateVisiblePool();
+}
+
+/**
+ * Traduce la consulta a una función de prueba. Las secciones del glyphMap
+ * actual permiten filtrar por su nombre ("digits", "cyrillic").
+ */
+function compileFilter() {
+    const { filter, glyphMap } = glyphViewerState;
+    const sectionNames = glyphMap?.categorizedOrder?.map(category => category.name) || [];
+    filter.test = parseGlyphFilter(filter.query, { sectionNames });
+}
+
+/**
+ * Texto del tooltip de una tarjeta: puntos de código y nombre Unicode.
+ */
+function describeGlyph(char) {
+    const codePoints = Array.from(char).map(c => formatCodePoint(c.codePointAt(0))).join(' ');
+    const name = Array.from(char).length === 1 ? getUnicodeName(char) : null;
+    return name ? `${codePoints} ${name}` : codePoints;
+}
+
+/**
+ * Activa el mapa de calor con una métrica de GLYPH_METRICS (null lo desactiva)
+ * y, opcionalmente, ordena los glifos por ella. `is3D` es el modo actual del
+ * visor, del que depende la estimación de triángulos. Se aplica en el
+ * próximo render.
+ */
+function setHeatmap({ metric = null, sortByMetric = false, is3D = true } = {}) {
+    glyphViewerState.heatmap.metric = GLYPH_METRICS[metric] ? metric : null;
+    glyphViewerState.heatmap.sortByMetric = sortByMetric;
+    glyphViewerState.heatmap.is3D = is3D;
+}
+
+/**
+ * Calcula la métrica activa para cada glifo y su máximo, que fija la escala
+ * de color. El porcentaje de curvas usa siempre la escala 0–100.
+ */
+function computeHeatmapValues() {
+    const { heatmap, fontData } = glyphViewerState;
+    heatmap.values = null;
+    heatmap.max = 0;
+    if (!heatmap.metric) return;
+
+    const values = new Map();
+    Object.entries(fontData.glyphs || {}).forEach(([char, glyph]) => {
+        const value = getGlyphMetrics(glyph, { is3D: heatmap.is3D })[heatmap.metric];
+        values.set(char, value);
+        if (value > heatmap.max) heatmap.max = value;
+    });
+    heatmap.values = values;
+    if (heatmap.metric === 'curveRatio') heatmap.max = 100;
+}
+
+/**
+ * Colorea una tarjeta de verde (simple) a rojo (costosa) y muestra el valor.
+ */
+function applyHeatmapToCard(card, char) {
+    const { heatmap } = glyphViewerState;
+    if (!heatmap.values) return;
+
+    const value = heatmap.values.get(char) || 0;
+    const ratio = heatmap.max > 0 ? value / heatmap.max : 0;
+    const displayValue = heatmap.metric === 'curveRatio' ? `${Math.round(value)}%` : value.toLocaleString();
+
+    card.classList.add('has-heat');
+    card.style.setProperty('--heat-color', `hsl(${Math.round(120 * (1 - ratio))}, 75%, 45%)`);
+    card.title = `${card.title}\n${GLYPH_METRICS[heatmap.metric].label}: ${displayValue}`;
+
+    const badge = document.createElement('span');
+    badge.className = 'glyph-metric';
+    badge.textContent = displayValue;
+    card.appendChild(badge);
+}
+
 /**
  * Función pública llamada cuando el panel es redimensionado.
  */
@@ -271,12 +504,20 @@ function drawGlyphOnCanvas(canvas, glyphData, fontBoundingBox) {
     const padding = canvas.width * 0.15;
     const drawableWidth = canvas.width - (padding * 2);
     const drawableHeight = canvas.height - (padding * 2);
-    const glyphWidth = glyphData.x_max - (glyphData.x_min || 0);
+    // Los glifos CFF llegan con x_min/x_max nulos: se usan los puntos del contorno.
+    let xMin = glyphData.x_min;
+    let xMax = glyphData.x_max;
+    if (!Number.isFinite(glyphData.x_min) || !Number.isFinite(glyphData.x_max)) {
+        const bounds = outlineBounds([glyphData]);
+        if (!bounds) return;
+        ({ xMin, xMax } = bounds);
+    }
+    const glyphWidth = xMax - xMin;
     const fontHeight = fontBoundingBox.yMax - fontBoundingBox.yMin;
     if (glyphWidth <= 0 || fontHeight <= 0) return;
 
     const scale = Math.min(drawableWidth / glyphWidth, drawableHeight / fontHeight);
-    const glyphCenterX = (glyphData.x_min || 0) + glyphWidth / 2;
+    const glyphCenterX = xMin + glyphWidth / 2;
     const glyphCenterY = fontBoundingBox.yMin + fontHeight / 2;
     const offsetX = (canvas.width / 2) - (glyphCenterX * scale);
     const offsetY = (canvas.height / 2) + (glyphCenterY * scale);
@@ -290,6 +531,7 @@ function drawGlyphOnCanvas(canvas, glyphData, fontBoundingBox) {
             case 'm': { const p = transform(parseFloat(pathCommands[i++]), parseFloat(pathCommands[i++])); ctx.moveTo(p.x, p.y); break; }
             case 'l': { const p = transform(parseFloat(pathCommands[i++]), parseFloat(pathCommands[i++])); ctx.lineTo(p.x, p.y); break; }
             case 'q': { const p1 = transform(parseFloat(pathCommands[i++]), parseFloat(pathCommands[i++])); const p2 = transform(parseFloat(pathCommands[i++]), parseFloat(pathCommands[i++])); ctx.quadraticCurveTo(p2.x, p2.y, p1.x, p1.y); break; }
+            case 'b': { const p1 = transform(parseFloat(pathCommands[i++]), parseFloat(pathCommands[i++])); const c1 = transform(parseFloat(pathCommands[i++]), parseFloat(pathCommands[i++])); const c2 = transform(parseFloat(pathCommands[i++]), parseFloat(pathCommands[i++])); ctx.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, p1.x, p1.y); break; }
         }
     }
     const currentTheme = document.body.getAttribute('data-theme');
@@ -297,4 +539,4 @@ function drawGlyphOnCanvas(canvas, glyphData, fontBoundingBox) {
     ctx.fill();
 }
 
-export { render, measureAndRender };
\ No newline at end of file
+export { render, measureAndRender, setHeatmap, setGlyphFilter, getSelectedGlyphs, getActiveGlyph, clearGlyphSelection, revealGlyph, drawGlyphOnCanvas };
\ No newline at end of file
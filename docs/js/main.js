@@ -18,6 +18,12 @@ import * as Viewer from './viewer-bridge.js';
 import * as Versioner from './three-versioner.js';
 import * as GlyphViewer from './glyph-viewer.js';
 import * as FontPreviewer from './font-previewer.js';
+import * as FontSubsetter from './font-subsetter.js';
+import * as FontOptimizer from './font-optimizer.js';
+import * as FontValidator from './font-validator.js';
+import * as GlyphInspector from './glyph-inspector.js';
+import * as GlyphOperations from './glyph-operations.js';
+import * as UnicodeCoverage from './unicode-coverage.js';
 
 //-------------------------------------------------------------
 //-------------------[   APPLICATION STATE   ]-----------------
@@ -29,6 +35,8 @@ const default_version_string = 'r128';
 const default_threejs_version_url = `https://cdnjs.cloudflare.com/ajax/libs/three.js/${default_version_string}/three.min.js`;
 let glyphSorterWorker = null;
 let sortedGlyphMaps = {};
+let pendingGlyphReveal = null; // { fontID, char } to show in the grid once it is sorted again
+let validationTimeout = null;
 
 let AppState = {
     inAppFonts: {},
@@ -36,7 +44,10 @@ let AppState = {
     isEditing: false,
     editingBuffer: "",
     isGlyphSortActive: true,
+    glyphHeatmap: { metric: null, sortByMetric: false }, // Complexity colouring of the glyph grid
     fontDataHasChanged: true,
+    optimizerPreview: null, // { fontID, options, fontData, maxError, commandsPerGlyph } while the optimizer previews
+    validation: null, // { fontID, fontData, problems, isCheckingContours } for the stored data, or the editor buffer while editing
     viewerState: {
         panEnabled: false,
         zoomEnabled: true,
@@ -48,6 +59,7 @@ let AppState = {
         rotateCameraEnabled: false,
         isWireframeModeActive: false,
         isBoundingBoxVisible: false,
+        isWindingOverlayVisible: false,
         savedViewState: null,
         currentColor: '#0077fe',
         currentAlpha: 1.0,
@@ -97,6 +109,7 @@ function _setCurrentFont(fontID, isInitialLoad = false) {
         console.error(`Font with ID ${fontID} not found in AppState.`);
         return;
     }
+    _clearOptimizerPreview();
     AppState.currentFontID = fontID;
     AppState.isEditing = false;
     AppState.editingBuffer = "";
@@ -110,23 +123,24 @@ function _setCurrentFont(fontID, isInitialLoad = false) {
     isProgrammaticEdit = false;
     editor.clearHistory();
     editor.setOption('readOnly', true);
+    GlyphInspector.closeGlyphInspector();
+    validateCurrentFont();
 
     const uiState = isInitialLoad ? 'initialLoad' : 'fontSelected';
     UI.updateUI(uiState, { appState: AppState });
 
     updateViewer({ shouldResetPosition: false, shouldFrame: false });
-    // FontManager.analyzeCurrentFont(fontData); // Consider adding a dedicated analyzer module
+    FontManager.analyzeCurrentFont(fontData);
 
-    if (glyphSorterWorker && fontData.glyphs && !sortedGlyphMaps[fontID]) {
-        glyphSorterWorker.postMessage({
-            fontKey: fontID,
-            glyphs: fontData.glyphs
-        });
-    }
+    if (!sortedGlyphMaps[fontID]) _sortGlyphs(fontID);
 }
 
 function addFont(fontObject, customID = null) {
-    const fontID = customID || `user_${Date.now()}`;
+    let fontID = customID || `user_${Date.now()}`;
+    // Batch loads can add several fonts within the same millisecond.
+    for (let suffix = 1; !customID && AppState.inAppFonts[fontID]; suffix++) {
+        fontID = `user_${Date.now()}_${suffix}`;
+    }
     AppState.inAppFonts[fontID] = {
         id: fontID,
         name: fontObject.originalName,
@@ -134,16 +148,73 @@ function addFont(fontObject, customID = null) {
         type: fontObject.originalType,
         data: fontObject.jsonData,
         url: fontObject.url || null,
-        isFallback: fontObject.isFallback || false
+        isFallback: fontObject.isFallback || false,
+        variationSource: fontObject.variationSource || null
     };
 
     UI.updateUI('fontAdded', { appState: AppState });
     return fontID;
 }
 
+/**
+ * Replaces the data of a font (e.g. a new variable font instance) and
+ * re-syncs the editor, UI and viewer through the regular change pipeline.
+ * The glyph grid sections are sorted again, as glyphs may have
+ * been added or removed.
+ * @param {string} fontID - The ID of the font to update.
+ * @param {object} fontData - The new typeface JSON.
+ */
+function updateFontData(fontID, fontData) {
+    const font = AppState.inAppFonts[fontID];
+    if (!font) return;
+    if (AppState.optimizerPreview?.fontID === fontID) _clearOptimizerPreview();
+
+    font.data = fontData;
+    font.fontName = FontManager.get_font_FullName(fontData, font.name);
+    if (sortedGlyphMaps[fontID] || AppState.currentFontID === fontID) _sortGlyphs(fontID);
+    if (AppState.currentFontID !== fontID) return;
+
+    AppState.fontDataHasChanged = true;
+    const editor = Editor.getEditorInstance();
+    isProgrammaticEdit = true;
+    editor.setValue(JSON.stringify(fontData, null, 2));
+    isProgrammaticEdit = false;
+    editor.clearHistory();
+    validateCurrentFont();
+
+    UI.updateUI('fontSaved', { appState: AppState });
+    liveUpdateViewer();
+    updateGlyphViewerIfActive();
+    FontManager.analyzeCurrentFont(fontData);
+}
+
+/**
+ * Sends temporary font data to the viewer without touching the state
+ * (live preview while a variation slider is being dragged).
+ * @param {string} fontID - The font the preview belongs to.
+ * @param {object} fontData - The partial typeface JSON to render.
+ */
+function previewFontData(fontID, fontData) {
+    if (AppState.currentFontID !== fontID || AppState.isEditing) return;
+    const text = document.getElementById('textInput').value;
+    if (!text) return;
+
+    Viewer.update({
+        fontData,
+        text,
+        is3D: AppState.viewerState.is3D,
+        shouldFrame: false,
+        shouldResetPosition: false,
+        fontHasChanged: true
+    });
+    // The stored data must be sent again on the next regular update.
+    AppState.fontDataHasChanged = true;
+}
+
 function startEditing() {
     const editor = Editor.getEditorInstance();
     if (!editor) return;
+    _clearOptimizerPreview();
     AppState.isEditing = true;
     AppState.editingBuffer = editor.getValue();
     editor.setOption('readOnly', false);
@@ -164,9 +235,11 @@ function _saveChanges() {
         AppState.editingBuffer = "";
         AppState.fontDataHasChanged = true;
         Editor.getEditorInstance().setOption('readOnly', true);
+        validateCurrentFont();
 
         UI.updateUI('fontSaved', { appState: AppState });
-        // FontManager.analyzeCurrentFont(updatedFontData);
+        FontManager.analyzeCurrentFont(updatedFontData);
+        _sortGlyphs(AppState.currentFontID);
         Utils.showToastMessage(`${font.fontName} saved.`);
     } catch (error) {
         UI.handle_error(error, { openConsole: true });
@@ -183,6 +256,7 @@ function _discardChanges() {
     editor.setOption('readOnly', true);
     AppState.isEditing = false;
     AppState.editingBuffer = "";
+    validateCurrentFont();
     Utils.showToastMessage("Changes discarded.");
     UI.updateUI('editingStateChanged', { appState: AppState });
 }
@@ -190,6 +264,7 @@ function _discardChanges() {
 function _onEditorChange() {
     if (isProgrammaticEdit) return;
     if (!AppState.isEditing) {
+        _clearOptimizerPreview();
         AppState.isEditing = true;
         UI.updateUI('editingStateChanged', { appState: AppState });
     }
@@ -197,6 +272,64 @@ function _onEditorChange() {
     AppState.fontDataHasChanged = true;
     AppState.editingBuffer = Editor.getEditorInstance().getValue();
     liveUpdateViewer();
+
+    clearTimeout(validationTimeout);
+    validationTimeout = setTimeout(validateCurrentFont, 400);
+}
+
+/**
+ * Writes a glyph changed in the glyph inspector into the editor as if
+ * it had been typed there: it goes into the editing buffer, the viewer
+ * shows it at once and Save/Discard keep or drop it.
+ * @param {string} char - The glyph key.
+ * @param {object} glyph - The new glyph ({ ha, x_min, x_max, o }).
+ * @returns {object|null} The font data with the change, or null when the
+ * editor's text is not valid JSON.
+ */
+function editGlyph(char, glyph) {
+    const editor = Editor.getEditorInstance();
+    const fontData = _getWorkingFontData();
+    if (!editor || !fontData) {
+        Utils.showToastMessage('Fix the JSON in the editor before editing glyphs.');
+        return null;
+    }
+    const updatedFontData = { ...fontData, glyphs: { ...fontData.glyphs, [char]: glyph } };
+
+    if (!AppState.isEditing) {
+        _clearOptimizerPreview();
+        AppState.isEditing = true;
+        editor.setOption('readOnly', false);
+        UI.updateUI('editingStateChanged', { appState: AppState });
+    }
+    AppState.editingBuffer = JSON.stringify(updatedFontData, null, 2);
+    const { left, top } = editor.getScrollInfo();
+    isProgrammaticEdit = true;
+    editor.setValue(AppState.editingBuffer);
+    isProgrammaticEdit = false;
+    editor.scrollTo(left, top);
+
+    AppState.fontDataHasChanged = true;
+    liveUpdateViewer();
+
+    clearTimeout(validationTimeout);
+    validationTimeout = setTimeout(validateCurrentFont, 400);
+    return updatedFontData;
+}
+
+/**
+ * The current font as it is being worked on: the editing buffer while
+ * editing (null when it is not valid JSON), otherwise the stored data.
+ * @returns {object|null}
+ */
+function _getWorkingFontData() {
+    const font = AppState.inAppFonts[AppState.currentFontID];
+    if (!font) return null;
+    if (!AppState.isEditing) return font.data;
+    try {
+        return JSON.parse(AppState.editingBuffer);
+    } catch (e) {
+        return null;
+    }
 }
 
 function reloadViewerWithState(newContent) {
@@ -204,6 +337,10 @@ function reloadViewerWithState(newContent) {
         ...AppState.viewerState,
         text: document.getElementById('textInput').value
     };
+    // The new viewer is restored from the stored data, without the overlay.
+    if (_clearOptimizerPreview()) {
+        UI.updateUI('fontSelected', { appState: AppState });
+    }
     // The bridge's requestAndReload function will handle the content.
     Viewer.requestAndReload(newContent, parentState);
 }
@@ -251,7 +388,8 @@ function updateViewer(options = {}) {
 
     try {
         const textInput = document.getElementById('textInput').value;
-        const fontSourceString = AppState.isEditing ? AppState.editingBuffer : JSON.stringify(AppState.inAppFonts[AppState.currentFontID].data);
+        const optimizerPreview = AppState.optimizerPreview?.fontID === AppState.currentFontID ? AppState.optimizerPreview.fontData : null;
+        const fontSourceString = AppState.isEditing ? AppState.editingBuffer : JSON.stringify(optimizerPreview || AppState.inAppFonts[AppState.currentFontID].data);
         const finalShouldFrame = frameOption || AppState.viewerState.isWireframeModeActive;
 
         const fontDataToSend = AppState.fontDataHasChanged ? JSON.parse(fontSourceString) : null;
@@ -304,6 +442,22 @@ function liveUpdateViewer() {
     });
 }
 
+/**
+ * Hands the heatmap settings to the glyph grid, with the viewer's current
+ * mode for the triangle estimate, and redraws the grid.
+ */
+function applyGlyphHeatmap() {
+    GlyphViewer.setHeatmap({ ...AppState.glyphHeatmap, is3D: AppState.viewerState.is3D });
+    updateGlyphViewerIfActive();
+}
+
+/**
+ * Redraws a triangle heatmap after the viewer switched between 2D and 3D.
+ */
+function _onViewerModeChanged() {
+    if (AppState.glyphHeatmap.metric === 'triangles') applyGlyphHeatmap();
+}
+
 function updateGlyphViewerIfActive() {
     if (document.getElementById('glyphs-view').classList.contains('active')) {
         const font = AppState.inAppFonts[AppState.currentFontID];
@@ -315,6 +469,269 @@ function updateGlyphViewerIfActive() {
         }
     }
 }
+
+/**
+ * Lets the user pick a character subset of the current font (preset,
+ * pasted text or glyph grid selection) and downloads it as a smaller file.
+ * Unsaved edits are included when the editor holds valid JSON.
+ */
+async function exportFontSubset() {
+    const font = AppState.inAppFonts[AppState.currentFontID];
+    if (!font) return;
+
+    let fontData = font.data;
+    if (AppState.isEditing) {
+        try {
+            fontData = JSON.parse(AppState.editingBuffer);
+        } catch (e) {
+            UI.handle_error(new Error("The editor contains invalid JSON. Fix or discard your edits before exporting a subset."), { showInAlert: true });
+            return;
+        }
+    }
+
+    const selection = GlyphViewer.getSelectedGlyphs();
+    const buildSubset = ({ preset, text }) => FontSubsetter.subsetFont(fontData, FontSubsetter.resolveSubsetCharacters(preset, { text, selection }));
+
+    const choice = await UI.showSubsetModal({
+        fontName: font.fontName,
+        presets: FontSubsetter.SUBSET_PRESETS,
+        selectionCount: selection.length,
+        originalSize: Utils.getJsonByteSize(fontData),
+        buildSubset
+    });
+    if (!choice) return;
+
+    const { fontData: subsetData } = buildSubset(choice);
+    const stem = font.name.replace(/(\.typeface)?\.(json|js|svg|ttf|otf|ttc|otc|woff2?)$/i, '');
+    FontManager.saveFont(JSON.stringify(subsetData), `${stem}-subset.typeface.json`, choice.format);
+}
+/**
+ * Previews, applies or discards a coordinate quantization or an outline
+ * simplification of the current font (Info tab). A preview only lives in the viewer, which keeps rendering
+ * it with the original outlines drawn on top until it is applied or discarded.
+ * @param {object} options - The quantizeFont or simplifyFont options, plus `showDiff`.
+ * @param {'preview'|'apply'|'reset'} action - What to do with the result.
+ * @returns {object|null} The active preview, or null when there is none.
+ */
+function handleOptimizerChange(options, action) {
+    const fontID = AppState.currentFontID;
+    const font = AppState.inAppFonts[fontID];
+    if (!font) return null;
+
+    if (action === 'reset') {
+        if (_clearOptimizerPreview()) updateViewer();
+        return null;
+    }
+    if (AppState.isEditing) {
+        Utils.showToastMessage('Save or discard your edits before optimizing the font.');
+        return null;
+    }
+
+    try {
+        const optimize = options.mode === 'simplify' ? FontOptimizer.simplifyFont : FontOptimizer.quantizeFont;
+        const { fontData, maxError } = optimize(font.data, options);
+        if (action === 'apply') {
+            updateFontData(fontID, fontData);
+            Utils.showToastMessage(`${font.fontName} optimized.`);
+            return null;
+        }
+
+        const commandsPerGlyph = {
+            before: FontOptimizer.getAverageCommandsPerGlyph(font.data),
+            after: FontOptimizer.getAverageCommandsPerGlyph(fontData)
+        };
+        AppState.optimizerPreview = { fontID, options, fontData, maxError, commandsPerGlyph };
+        AppState.fontDataHasChanged = true;
+        updateViewer();
+        Viewer.setDiffOverlay(options.showDiff ? font.data : null);
+        return AppState.optimizerPreview;
+    } catch (error) {
+        UI.handle_error(error, { showInAlert: true });
+        return null;
+    }
+}
+
+/**
+ * Validates the current font (the editor buffer while editing) and
+ * refreshes the Problems section. Lines refer to the editor's current text.
+ * The contours are then checked in a worker and its findings
+ * appended, unless the validation was replaced in the meantime.
+ * The glyph inspector is refreshed with the validated data.
+ */
+function validateCurrentFont() {
+    clearTimeout(validationTimeout);
+    const font = AppState.inAppFonts[AppState.currentFontID];
+    if (!font) return;
+
+    const sourceText = Editor.getEditorInstance().getValue();
+    let fontData = font.data;
+    if (AppState.isEditing) {
+        try {
+            fontData = JSON.parse(sourceText);
+        } catch (e) {
+            fontData = null;
+        }
+    }
+
+    const problems = fontData
+        ? FontValidator.validateFont(fontData, { sourceText })
+        : FontValidator.validateFontSource(sourceText);
+    const validation = { fontID: font.id, fontData, problems, isCheckingContours: !!fontData };
+    AppState.validation = validation;
+    UI.updateFontProblems(validation);
+    if (!fontData) return;
+    GlyphInspector.refreshGlyphInspector(fontData);
+
+    FontManager.checkFontContours(fontData).then(findings => {
+        if (AppState.validation !== validation) return;
+        validation.isCheckingContours = false;
+        if (findings) validation.problems = [...problems, ...FontValidator.describeContourFindings(findings, { sourceText })];
+        UI.updateFontProblems(validation);
+    });
+}
+
+/**
+ * Handles the links of the Problems section: shows the glyph in the
+ * grid or the line in the editor, or applies one fix or all of them.
+ * 'inspect' opens the glyph inspector on the places a contour
+ * finding refers to.
+ * @param {object|null} problem - The finding, null for 'fixAll'.
+ * @param {'glyph'|'line'|'inspect'|'fix'|'fixAll'} action - What was clicked.
+ */
+function handleProblemAction(problem, action) {
+    const fontID = AppState.currentFontID;
+    const font = AppState.inAppFonts[fontID];
+    if (!font || AppState.validation?.fontID !== fontID) return;
+
+    if (action === 'glyph') {
+        UI.showTab('glyphs');
+        GlyphViewer.revealGlyph(problem.char);
+        return;
+    }
+    if (action === 'line') {
+        UI.showTab('editor');
+        Editor.revealLine(problem.line);
+        return;
+    }
+    if (action === 'inspect') {
+        GlyphInspector.openGlyphInspector(problem.char, AppState.validation.fontData, {
+            highlights: problem.highlights,
+            message: problem.message
+        });
+        return;
+    }
+    if (AppState.isEditing) {
+        Utils.showToastMessage('Save or discard your edits before applying fixes.');
+        return;
+    }
+
+    const problems = action === 'fixAll' ? AppState.validation.problems.filter(finding => finding.fix) : [problem];
+    try {
+        updateFontData(fontID, FontValidator.applyFixes(font.data, problems));
+        Utils.showToastMessage(problems.length === 1 ? `Fixed: ${problems[0].fix}.` : `${problems.length} problems fixed.`);
+    } catch (error) {
+        UI.handle_error(error, { showInAlert: true });
+    }
+}
+
+/**
+ * Glyph operations of the glyph grid: creates an empty glyph,
+ * duplicates the glyph last clicked to another character, or deletes the
+ * selected glyphs (the one last clicked when nothing is selected). The
+ * result is stored like a fix, so the bounding box, the grid sections and
+ * the viewer follow it.
+ * @param {'create'|'duplicate'|'delete'} action
+ */
+async function handleGlyphAction(action) {
+    const fontID = AppState.currentFontID;
+    const font = AppState.inAppFonts[fontID];
+    if (!font) return;
+    if (AppState.isEditing) {
+        Utils.showToastMessage('Save or discard your edits before changing glyphs.');
+        return;
+    }
+
+    const activeGlyph = GlyphViewer.getActiveGlyph();
+    if (action === 'delete') {
+        const selection = GlyphViewer.getSelectedGlyphs();
+        const chars = selection.length ? selection : activeGlyph !== null ? [activeGlyph] : [];
+        if (chars.length === 0) {
+            Utils.showToastMessage('Click or select the glyphs to delete first.');
+            return;
+        }
+        const listed = chars.slice(0, 10).map(char => `"${char}"`).join(', ') + (chars.length > 10 ? ` and ${chars.length - 10} more` : '');
+        Utils.showConfirmationModal({
+            title: chars.length === 1 ? 'Delete Glyph' : 'Delete Glyphs',
+            text: `Delete ${listed} from ${font.fontName}?`,
+            buttons: [{
+                label: 'Cancel'
+            }, {
+                label: 'Delete',
+                callback: () => {
+                    const message = chars.length === 1 ? `Glyph "${chars[0]}" deleted.` : `${chars.length} glyphs deleted.`;
+                    if (!_applyGlyphOperation(fontID, fontData => GlyphOperations.deleteGlyphs(fontData, chars), message)) return;
+                    // The viewer refuses text with missing glyphs, so they leave the text too.
+                    const textInput = document.getElementById('textInput');
+                    textInput.value = Array.from(textInput.value).filter(char => !chars.includes(char)).join('');
+                    liveUpdateViewer();
+                }
+            }]
+        });
+        return;
+    }
+    if (action === 'duplicate' && activeGlyph === null) {
+        Utils.showToastMessage('Click the glyph to duplicate first.');
+        return;
+    }
+
+    const char = await UI.showGlyphKeyModal({
+        title: action === 'create' ? `New Glyph · ${font.fontName}` : `Duplicate "${activeGlyph}" · ${font.fontName}`,
+        confirmLabel: action === 'create' ? 'Create' : 'Duplicate',
+        glyphs: font.data.glyphs || {},
+        parseKey: GlyphOperations.parseGlyphKey
+    });
+    if (char === null) return;
+
+    const isApplied = _applyGlyphOperation(fontID, fontData => action === 'create'
+        ? GlyphOperations.createGlyph(fontData, char)
+        : GlyphOperations.duplicateGlyph(fontData, activeGlyph, char),
+        action === 'create' ? `Glyph "${char}" created.` : `Glyph "${activeGlyph}" duplicated to "${char}".`);
+    // Shown once the worker has sorted the grid again.
+    if (isApplied) pendingGlyphReveal = { fontID, char };
+}
+
+/**
+ * Stores the result of a glyph operation, unless the font was switched or
+ * is being edited since the operation was asked for.
+ * @returns {boolean} Whether it was applied.
+ * @private
+ */
+function _applyGlyphOperation(fontID, operation, message) {
+    const font = AppState.inAppFonts[fontID];
+    if (!font || AppState.currentFontID !== fontID || AppState.isEditing) return false;
+    try {
+        updateFontData(fontID, operation(font.data));
+        Utils.showToastMessage(message);
+        return true;
+    } catch (error) {
+        UI.handle_error(error, { showInAlert: true });
+        return false;
+    }
+}
+
+/**
+ * Drops the optimizer preview and its viewer overlay. The caller decides
+ * when the viewer is refreshed with the stored data.
+ * @returns {boolean} Whether a preview was active.
+ * @private
+ */
+function _clearOptimizerPreview() {
+    if (!AppState.optimizerPreview) return false;
+    AppState.optimizerPreview = null;
+    AppState.fontDataHasChanged = true;
+    Viewer.setDiffOverlay(null);
+    return true;
+}
 //----------------------------------------> END [CORE LOGIC & RENDER]
 
 
@@ -322,9 +739,21 @@ function updateGlyphViewerIfActive() {
 //---------------------[   INITIALIZATION   ]------------------
 //-------------------------------------------------------------
 
+/**
+ * Sends the glyphs of a font to the sorter worker. The grid keeps the
+ * previous map until the new one arrives.
+ * @param {string} fontID
+ */
+function _sortGlyphs(fontID) {
+    const glyphs = AppState.inAppFonts[fontID]?.data?.glyphs;
+    if (glyphSorterWorker && glyphs) {
+        glyphSorterWorker.postMessage({ fontKey: fontID, glyphs });
+    }
+}
+
 function initGlyphSorterWorker() {
     try {
-        glyphSorterWorker = new Worker('./js/workers/glyph-sorter.js');
+        glyphSorterWorker = new Worker('./js/workers/glyph-sorter.js', { type: 'module' });
         glyphSorterWorker.onmessage = function (e) {
             const { fontKey, glyphMap, error } = e.data;
             if (error) {
@@ -332,11 +761,17 @@ function initGlyphSorterWorker() {
                 return;
             }
             if (fontKey && glyphMap) {
+                // A font sorted again keeps its collapsed sections.
+                const previousOrder = sortedGlyphMaps[fontKey]?.categorizedOrder || [];
                 glyphMap.categorizedOrder.forEach(category => {
-                    category.isCollapsed = false;
+                    category.isCollapsed = previousOrder.find(previous => previous.name === category.name)?.isCollapsed || false;
                 });
                 sortedGlyphMaps[fontKey] = glyphMap;
                 updateGlyphViewerIfActive();
+                if (pendingGlyphReveal?.fontID === fontKey && fontKey === AppState.currentFontID) {
+                    GlyphViewer.revealGlyph(pendingGlyphReveal.char);
+                    pendingGlyphReveal = null;
+                }
             }
         };
         glyphSorterWorker.onerror = (err) => console.error("Error in GlyphSorter Worker:", err);
@@ -346,8 +781,9 @@ function initGlyphSorterWorker() {
 }
 
 function initializeApp() {
-    const stateManager = { addFont, selectFont, deleteFont, getState: () => AppState };
+    const stateManager = { addFont, selectFont, deleteFont, updateFontData, previewFontData, getState: () => AppState };
     Editor.initEditor('editor', _onEditorChange);
+    GlyphInspector.initGlyphInspector({ onGlyphEdit: editGlyph });
     initGlyphSorterWorker();
     window.hideInfoModal = Utils.hideInfoModal;
     
@@ -355,6 +791,7 @@ function initializeApp() {
         stateManager: stateManager,
         fontPreviewer: FontPreviewer,
         glyphViewer: GlyphViewer,
+        unicodeCoverage: UnicodeCoverage,
         utils: Utils, // <-- [CORRECTION] Pass the imported Utils module as a dependency.
         onCopyFontUrl: FontManager.copyFontUrl,
         onDeleteUserFont: FontManager.deleteUserFont,
@@ -389,6 +826,20 @@ function initializeApp() {
             AppState.viewerState.currentMaterialName = materialName;
             Viewer.setMaterial(materialName);
         },
+        onVariationChange: (coordinates, isFinal) => {
+            if (AppState.isEditing) {
+                Utils.showToastMessage('Save or discard your edits before changing the variation.');
+                return;
+            }
+            FontManager.applyFontVariation(AppState.currentFontID, coordinates, {
+                preview: !isFinal,
+                characters: document.getElementById('textInput').value
+            });
+        },
+        onOptimizerChange: handleOptimizerChange,
+        onProblemAction: handleProblemAction,
+        onMeasureGeometry: Viewer.measureGeometry,
+        onFilesDropped: FontManager.enqueueFontFiles,
         onResizeEnd: () => {
             if (document.getElementById('glyphs-view').classList.contains('active')) {
                 GlyphViewer.measureAndRender();
@@ -439,19 +890,31 @@ function setMouseMode(mode) {
 }
 
 window.liveUpdateViewer = liveUpdateViewer;
-window.handleGlyphClick = (char) => { document.getElementById('textInput').value = char; liveUpdateViewer(); };
+window.handleGlyphClick = (char) => {
+    document.getElementById('textInput').value = char;
+    liveUpdateViewer();
+    GlyphInspector.openGlyphInspector(char, _getWorkingFontData() || AppState.inAppFonts[AppState.currentFontID].data);
+};
 window.saveChanges = _saveChanges;
 window.discardChanges = _discardChanges;
 window.toggleTheme = () => UI.toggleTheme(Editor.getEditorInstance());
-window.saveFont = () => FontManager.saveFont(AppState.isEditing ? AppState.editingBuffer : JSON.stringify(AppState.inAppFonts[AppState.currentFontID].data), AppState.inAppFonts[AppState.currentFontID].name);
+window.saveFont = (format = 'json') => FontManager.saveFont(AppState.isEditing ? AppState.editingBuffer : JSON.stringify(AppState.inAppFonts[AppState.currentFontID].data), AppState.inAppFonts[AppState.currentFontID].name, format);
+window.toggleSaveFontMenu = UI.toggleSaveFontMenu;
+window.exportFontSubset = exportFontSubset;
+window.createGlyph = () => handleGlyphAction('create');
+window.duplicateGlyph = () => handleGlyphAction('duplicate');
+window.deleteGlyphs = () => handleGlyphAction('delete');
 window.handleFileLoad = FontManager.handleFileLoad;
 window.showTab = UI.showTab;
 window.toggleFontList = UI.toggleFontList;
 window.toggleAddFontMenu = UI.toggleAddFontMenu;
 window.loadFontFromFile = FontManager.loadFontFromFile;
+window.loadSvgGlyphFolder = FontManager.loadSvgGlyphFolder;
+window.handleSvgFolderLoad = FontManager.handleSvgFolderLoad;
 window.showUrlModal = UI.showUrlModal;
 window.hideUrlModal = UI.hideUrlModal;
 window.loadFontFromUrl = FontManager.loadFontFromUrl;
+window.cancelFontLoad = FontManager.cancelFontLoad;
 
 window.reloadViewer = () => {
     // Reset the internal state and UI buttons first
@@ -462,12 +925,13 @@ window.reloadViewer = () => {
 
     // Finally, re-render the text mesh in its new default position
     updateViewer({ shouldResetPosition: true });
+    _onViewerModeChanged();
 };
 window.copyCardUrl = Versioner.copyCardUrl;
 window.applyThreeJsVersion = Versioner.applyThreeJsVersion;
 window.toggleRotation = () => { AppState.viewerState.rotationEnabled = !AppState.viewerState.rotationEnabled; Viewer.toggleRotation(AppState.viewerState.rotationEnabled); UI.updateUI('editingStateChanged', { appState: AppState }); };
 window.toggleGrid = () => { AppState.viewerState.gridVisible = !AppState.viewerState.gridVisible; Viewer.toggleGrid(AppState.viewerState.gridVisible); UI.updateUI('editingStateChanged', { appState: AppState }); };
-window.toggleMode = () => { AppState.viewerState.is3D = !AppState.viewerState.is3D; updateViewer({ shouldResetPosition: true }); };
+window.toggleMode = () => { AppState.viewerState.is3D = !AppState.viewerState.is3D; updateViewer({ shouldResetPosition: true }); _onViewerModeChanged(); };
 window.toggleColorPicker = UI.toggleColorPicker;
 window.toggleMaterialModal = UI.toggleMaterialModal;
 window.toggleConsole = UI.toggleConsole;
@@ -486,6 +950,26 @@ window.toggleGlyphSort = () => {
     updateGlyphViewerIfActive();
 };
 
+window.setGlyphFilter = (query) => {
+    GlyphViewer.setGlyphFilter(query);
+};
+
+window.setGlyphHeatmap = (metric) => {
+    AppState.glyphHeatmap.metric = metric || null;
+    document.getElementById('heatmapSortBtn').style.display = AppState.glyphHeatmap.metric ? '' : 'none';
+    applyGlyphHeatmap();
+};
+
+window.toggleHeatmapSort = () => {
+    AppState.glyphHeatmap.sortByMetric = !AppState.glyphHeatmap.sortByMetric;
+    const sortBtn = document.getElementById('heatmapSortBtn');
+    sortBtn.classList.toggle('active', AppState.glyphHeatmap.sortByMetric);
+    const newTooltipText = AppState.glyphHeatmap.sortByMetric ? 'Restore glyph order' : 'Sort by metric (highest first)';
+    sortBtn.setAttribute('data-tooltip', newTooltipText);
+    Utils.updateActiveTooltip(sortBtn);
+    applyGlyphHeatmap();
+};
+
 window.handleCategoryToggle = (categoryName) => {
     const glyphMap = sortedGlyphMaps[AppState.currentFontID];
     if (!glyphMap || !glyphMap.categorizedOrder) return;
@@ -513,6 +997,7 @@ window.toggleWireframeView = () => {
     vs.isWireframeModeActive = newActiveState;
     Viewer.setWireframe(vs.isWireframeModeActive);
     UI.updateUI('editingStateChanged', { appState: AppState });
+    _onViewerModeChanged();
 };
 
 window.togglePan = () => setMouseMode(AppState.viewerState.panEnabled ? '' : 'pan');
@@ -527,6 +1012,13 @@ window.toggleBoundingBox = () => {
     Viewer.toggleBoundingBox(vs.isBoundingBoxVisible);
     UI.updateUI('editingStateChanged', { appState: AppState });
 };
+
+window.toggleWindingOverlay = () => {
+    const vs = AppState.viewerState;
+    vs.isWindingOverlayVisible = !vs.isWindingOverlayVisible;
+    Viewer.toggleWindingOverlay(vs.isWindingOverlayVisible);
+    UI.updateUI('editingStateChanged', { appState: AppState });
+};
 //----------------------------------------> END [GLOBAL EVENT HANDLERS]
 
 
@@ -557,6 +1049,7 @@ function _resetViewerStateToDefault() {
         rotateCameraEnabled: false,
         isWireframeModeActive: false,
         isBoundingBoxVisible: false,
+        isWindingOverlayVisible: false,
         savedViewState: null,
         currentColor: '#0077fe',
         currentAlpha: 1.0,
@@ -569,6 +1062,7 @@ function _resetViewerStateToDefault() {
     // Synchronize the viewer iframe with the new state
     Viewer.toggleGrid(AppState.viewerState.gridVisible);
     Viewer.toggleRotation(AppState.viewerState.rotationEnabled);
+    Viewer.toggleWindingOverlay(AppState.viewerState.isWindingOverlayVisible);
     Viewer.setMouseState({
         pan: AppState.viewerState.panEnabled,
         zoom: AppState.viewerState.zoomEnabled,
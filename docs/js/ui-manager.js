@@ -9,7 +9,8 @@
  * components. This module is the single source of truth for DOM manipulation.
  */
 
-import { initSmartTooltips, makeDraggable, setupModalResize, bringToFront, positionModal, formatBytes, formatLabelKey, linkify, truncateText, truncateUrl } from './utils.js';
+import { initSmartTooltips, makeDraggable, setupModalResize, bringToFront, positionModal, getJsonByteSize, formatBytes, formatLabelKey, linkify, truncateText, truncateUrl } from './utils.js';
+import { loadUnicodeNames, getUnicodeName, formatCodePoint } from './unicode-names.js';
 //-------------------------------------------------------------
 //--------------------[   MODULE STATE   ]---------------------
 //-------------------------------------------------------------
@@ -19,6 +20,12 @@ let fontListHideTimeout;
 let previewCache = {};
 let intersectionObserver = null;
 
+// A broken conversion can yield thousands of findings; the rest are summarized.
+const MAX_LISTED_PROBLEMS = 200;
+
+// Missing characters spelled out per coverage row; whole blocks can miss thousands.
+const MAX_LISTED_MISSING = 64;
+
 // Callbacks and dependencies injected from main.js
 let dependencies = {
     stateManager: null,
@@ -27,8 +34,14 @@ let dependencies = {
     onResizeEnd: () => {},
     onColorChange: () => {},
     onMaterialSelect: () => {},
+    onVariationChange: () => {},
+    onOptimizerChange: () => null,
+    onProblemAction: () => {},
+    onMeasureGeometry: () => Promise.reject(new Error('Geometry measurement is not available.')),
+    onFilesDropped: () => {},
     fontPreviewer: null,
-    glyphViewer: null
+    glyphViewer: null,
+    unicodeCoverage: null
 };
 
 //----------------------------------------> END [MODULE STATE]
@@ -49,8 +62,14 @@ function initUIManager(callbacks) {
     dependencies.onResizeEnd = callbacks.onResizeEnd || (() => {});
     dependencies.onColorChange = callbacks.onColorChange || (() => {});
     dependencies.onMaterialSelect = callbacks.onMaterialSelect || (() => {});
+    dependencies.onVariationChange = callbacks.onVariationChange || (() => {});
+    dependencies.onOptimizerChange = callbacks.onOptimizerChange || (() => null);
+    dependencies.onProblemAction = callbacks.onProblemAction || (() => {});
+    dependencies.onMeasureGeometry = callbacks.onMeasureGeometry || dependencies.onMeasureGeometry;
+    dependencies.onFilesDropped = callbacks.onFilesDropped || (() => {});
     dependencies.fontPreviewer = callbacks.fontPreviewer;
     dependencies.glyphViewer = callbacks.glyphViewer;
+    dependencies.unicodeCoverage = callbacks.unicodeCoverage;
     dependencies.onCopyFontUrl = callbacks.onCopyFontUrl || (() => {});
     dependencies.onDeleteUserFont = callbacks.onDeleteUserFont || (() => {});
     dependencies.utils = callbacks.utils || {};  
@@ -60,6 +79,8 @@ function initUIManager(callbacks) {
     initDraggableModals();
     initUIEventListeners();
     _initFontListListener(); 
+    _initFileDropZone();
+    _initGeometryCostPanel();
      setupResizers();
 }
 
@@ -207,6 +228,10 @@ function initDraggableModals() {
     makeDraggable(document.getElementById('materialModal'));
     makeDraggable(document.getElementById('urlModal'));
     makeDraggable(document.getElementById('infoModal'));  
+    makeDraggable(document.getElementById('facePickerModal'));
+    makeDraggable(document.getElementById('subsetModal'));
+    makeDraggable(document.getElementById('glyphKeyModal'));
+    makeDraggable(document.getElementById('glyphInspectorModal'));
 }
 
 /**
@@ -262,6 +287,82 @@ function initUIEventListeners() {
     if (infoModalOverlay) infoModalOverlay.addEventListener('click', dependencies.utils.hideInfoModal);
      if (infoModalOkBtn) infoModalOkBtn.addEventListener('click', dependencies.utils.hideInfoModal);
  }
+/**
+ * Lets the user drop font files or whole folders anywhere on the app. The
+ * dropped files (folders are walked recursively) are handed to the
+ * onFilesDropped callback as { file, path } entries.
+ */
+function _initFileDropZone() {
+    const overlay = document.getElementById('dropOverlay');
+    let dragDepth = 0; // dragenter/dragleave fire for every child element
+
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    document.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        overlay.classList.add('show');
+    });
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!hasFiles(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (!dragDepth) overlay.classList.remove('show');
+    });
+    document.addEventListener('drop', async (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        overlay.classList.remove('show');
+
+        try {
+            const entries = await _collectDroppedFiles(e.dataTransfer);
+            if (entries.length) dependencies.onFilesDropped(entries);
+        } catch (error) {
+            handle_error(error, { showInAlert: true });
+        }
+    });
+}
+
+/**
+ * Resolves the files of a drop, walking dropped folders recursively.
+ * @param {DataTransfer} dataTransfer - The drop event's data.
+ * @returns {Promise<Array<{file: File, path: string}>>} Files with their path relative to the drop.
+ */
+async function _collectDroppedFiles(dataTransfer) {
+    // Entries must be read synchronously, before the drop event returns.
+    const rootEntries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+
+    if (!rootEntries.length) {
+        return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+    }
+
+    const results = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file, path: entry.fullPath.replace(/^\//, '') });
+            return;
+        }
+        const reader = entry.createReader();
+        let batch;
+        // readEntries returns at most ~100 entries per call.
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) await walk(child);
+        } while (batch.length);
+    };
+
+    for (const entry of rootEntries) await walk(entry);
+    return results;
+}
 //----------------------------------------> END [INITIALIZATION]
 
 
@@ -474,19 +575,20 @@ function _setActiveFontItem(fontID) {
 
 function _updateSubheader(fontObject) {
     const fileInfoSpan = document.getElementById('fileInfo');
-    if (fontObject.type === 'ttf') {
-        fileInfoSpan.innerHTML = `<span class="subheader-format">(TTF)</span> <span>${fontObject.fontName}</span> <span style="margin: 0 4px; color: var(--color-text-light);">></span> <span>.json</span>`;
+    if (['ttf', 'otf', 'ttc', 'otc', 'woff', 'woff2', 'svg', 'js'].includes(fontObject.type)) {
+        const formatLabel = fontObject.type === 'js' ? 'TYPEFACE.JS' : fontObject.type.toUpperCase();
+        fileInfoSpan.innerHTML = `<span class="subheader-format">(${formatLabel})</span> <span>${fontObject.fontName}</span> <span style="margin: 0 4px; color: var(--color-text-light);">></span> <span>.json</span>`;
     } else {
         fileInfoSpan.innerHTML = `<span class="subheader-format">(JSON)</span> <span>${fontObject.fontName}</span>`;
     }
     _updateFontFileInfo(fontObject.data);
+    _renderAnalysisBadge(fontObject.analysis);
 }
 
 function _updateFontFileInfo(fontData) {
     const detailsSpan = document.getElementById('fontDetails');
     try {
-        const fontJsonString = JSON.stringify(fontData);
-        const sizeInBytes = new Blob([fontJsonString]).size;
+        const sizeInBytes = getJsonByteSize(fontData);
         const charCount = Object.keys(fontData.glyphs || {}).length;
         detailsSpan.textContent = `${formatBytes(sizeInBytes)}, ${charCount} chars`;
     } catch (e) {
@@ -505,9 +607,14 @@ function _renderInfoView(fontObject) {
     metadataList.innerHTML = '';
     metadataFallback.style.display = 'none';
 
+    _renderVariationPanel(fontObject);
+    _renderProblemsSection(dependencies.stateManager.getState().validation);
+    _renderCoverageSection(fontObject);
+    _renderAnalysisSection(fontObject.analysis);
+    _renderOptimizerPanel(fontObject);
+
     try {
-        const fontJsonString = JSON.stringify(fontObject.data);
-        const fileSize = new Blob([fontJsonString]).size;
+        const fileSize = getJsonByteSize(fontObject.data);
         const glyphCount = Object.keys(fontObject.data.glyphs || {}).length;
 
         const techData = {
@@ -542,6 +649,419 @@ function _renderInfoView(fontObject) {
     }
 }
 
+/**
+ * Renders the axis sliders and named instances of a variable font.
+ * Sliders preview live while dragging and apply the instance on release.
+ * @param {object} fontObject - The font entry from AppState.inAppFonts.
+ */
+function _renderVariationPanel(fontObject) {
+    const section = document.getElementById('variation-section');
+    const source = fontObject.variationSource;
+    if (!section) return;
+    if (!source) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const axesContainer = document.getElementById('variation-axes');
+    const instanceSelect = document.getElementById('variationInstanceSelect');
+    const coordinates = { ...source.coordinates };
+
+    const findInstanceIndex = () => source.instances.findIndex(instance =>
+        source.axes.every(axis => instance.coordinates[axis.tag] === coordinates[axis.tag]));
+
+    instanceSelect.innerHTML = '<option value="-1">Custom</option>';
+    source.instances.forEach((instance, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = instance.name || `Instance ${index + 1}`;
+        instanceSelect.appendChild(option);
+    });
+    instanceSelect.value = findInstanceIndex();
+
+    axesContainer.innerHTML = '';
+    source.axes.forEach(axis => {
+        const row = document.createElement('div');
+        row.className = 'variation-row';
+
+        const label = document.createElement('label');
+        label.textContent = `${axis.name} (${axis.tag})`;
+        label.title = `${axis.minValue} – ${axis.maxValue}, default ${axis.defaultValue}`;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = axis.minValue;
+        slider.max = axis.maxValue;
+        slider.step = (axis.maxValue - axis.minValue) > 20 ? 1 : 0.1;
+        slider.value = coordinates[axis.tag];
+
+        const value = document.createElement('span');
+        value.className = 'variation-value';
+        value.textContent = coordinates[axis.tag];
+
+        slider.addEventListener('input', () => {
+            coordinates[axis.tag] = Number(slider.value);
+            value.textContent = slider.value;
+            instanceSelect.value = findInstanceIndex();
+            dependencies.onVariationChange({ ...coordinates }, false);
+        });
+        slider.addEventListener('change', () => dependencies.onVariationChange({ ...coordinates }, true));
+
+        row.append(label, slider, value);
+        axesContainer.appendChild(row);
+    });
+
+    instanceSelect.onchange = () => {
+        const instance = source.instances[instanceSelect.value];
+        if (!instance) return;
+        Object.assign(coordinates, instance.coordinates);
+        dependencies.onVariationChange({ ...coordinates }, true);
+    };
+
+    section.style.display = '';
+}
+
+/**
+ * Refreshes the Problems section of the Info tab, if it is open.
+ * @param {object|null} validation - AppState.validation.
+ */
+function updateFontProblems(validation) {
+    if (document.getElementById('info-view').classList.contains('active')) {
+        _renderProblemsSection(validation);
+    }
+}
+
+/**
+ * Lists the validator findings of the current font with links to the glyph
+ * and the editor line, and a button for every finding that has a fix.
+ * @param {object|null} validation - { fontID, fontData, problems, isCheckingContours } from AppState.
+ */
+function _renderProblemsSection(validation) {
+    const list = document.getElementById('problems-list');
+    if (!list) return;
+
+    const problems = validation?.problems || [];
+    const errorCount = problems.filter(problem => problem.severity === 'error').length;
+    const warningCount = problems.length - errorCount;
+    const fixableCount = problems.filter(problem => problem.fix).length;
+
+    const countBadge = document.getElementById('problemsCount');
+    countBadge.textContent = validation ? problems.length : '';
+    countBadge.className = `font-analysis ${errorCount ? 'is-critical' : warningCount ? 'is-warning' : 'is-optimal'}`;
+
+    document.getElementById('problems-summary').textContent = !validation
+        ? 'Validating…'
+        : problems.length
+            ? `${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}.${validation.isCheckingContours ? ' Checking contours…' : ''}`
+            : validation.isCheckingContours ? 'Checking contours…' : 'No problems found: three.js can read every glyph.';
+
+    const fixAllBtn = document.getElementById('problemsFixAllBtn');
+    fixAllBtn.style.display = fixableCount > 1 ? '' : 'none';
+    fixAllBtn.textContent = `Fix all (${fixableCount})`;
+    fixAllBtn.onclick = () => dependencies.onProblemAction(null, 'fixAll');
+
+    list.innerHTML = '';
+    problems.slice(0, MAX_LISTED_PROBLEMS).forEach(problem => {
+        const item = document.createElement('li');
+        item.className = `problem-item is-${problem.severity}`;
+        item.title = problem.code;
+
+        const severity = document.createElement('span');
+        severity.className = 'problem-severity';
+        const message = document.createElement('span');
+        message.className = 'problem-message';
+        message.textContent = problem.message;
+        item.append(severity, message);
+
+        const addLink = (label, title, action) => {
+            const link = document.createElement('button');
+            link.className = 'problem-link';
+            link.textContent = label;
+            link.title = title;
+            link.onclick = () => dependencies.onProblemAction(problem, action);
+            item.appendChild(link);
+        };
+        if (problem.char !== null && Array.from(problem.char).length === 1) addLink(`Glyph ${problem.char}`, 'Show in the glyph grid', 'glyph');
+        if (problem.line !== null) addLink(`Line ${problem.line + 1}`, 'Show in the code editor', 'line');
+        if (problem.highlights?.length) addLink('View', 'Show the places on a large glyph view', 'inspect');
+        if (problem.fix) addLink(problem.fix, 'Apply this fix', 'fix');
+
+        list.appendChild(item);
+    });
+
+    if (problems.length > MAX_LISTED_PROBLEMS) {
+        const more = document.createElement('li');
+        more.className = 'problem-item info-fallback';
+        more.textContent = `… and ${problems.length - MAX_LISTED_PROBLEMS} more.`;
+        list.appendChild(more);
+    }
+}
+
+/**
+ * Lists how much of every language, or of every Unicode block the font
+ * touches, the current font covers, with the characters it lacks.
+ * @param {object} fontObject - The font entry from AppState.inAppFonts.
+ */
+function _renderCoverageSection(fontObject) {
+    const list = document.getElementById('coverage-list');
+    const modeSelect = document.getElementById('coverageModeSelect');
+    if (!list || !dependencies.unicodeCoverage) return;
+
+    const glyphs = fontObject.data.glyphs || {};
+    const toHex = codePoint => codePoint.toString(16).toUpperCase().padStart(4, '0');
+    const rows = modeSelect.value === 'blocks'
+        ? dependencies.unicodeCoverage.computeBlockCoverage(glyphs)
+            .map(block => ({ ...block, detail: `U+${toHex(block.start)}–U+${toHex(block.end)}` }))
+        : dependencies.unicodeCoverage.computeLanguageCoverage(glyphs)
+            .map(language => ({ ...language, detail: `${language.script} script` }));
+    modeSelect.onchange = () => _renderCoverageSection(fontObject);
+
+    list.innerHTML = '';
+    rows.forEach(row => {
+        const item = document.createElement('li');
+        item.className = `coverage-item${row.percent === 100 ? ' is-complete' : ''}`;
+        item.innerHTML = `
+            <div class="coverage-header">
+                <span class="coverage-name" title="${row.detail}">${row.name}</span>
+                <span class="coverage-count">${row.covered.toLocaleString()}/${row.total.toLocaleString()}</span>
+                <span class="coverage-percent">${row.percent}%</span>
+            </div>
+            <div class="coverage-bar"><div class="coverage-bar-fill" style="width: ${row.percent}%"></div></div>`;
+
+        if (row.missing.length) {
+            // Combining marks are shown on a dotted circle, as in the Unicode charts.
+            const spell = char => (/^\p{M}$/u.test(char) ? `◌${char}` : char);
+            const missing = document.createElement('div');
+            missing.className = 'coverage-missing';
+            missing.textContent = `Missing: ${row.missing.slice(0, MAX_LISTED_MISSING).map(spell).join(' ')}` +
+                (row.missing.length > MAX_LISTED_MISSING ? ` … +${(row.missing.length - MAX_LISTED_MISSING).toLocaleString()}` : '');
+            item.appendChild(missing);
+        }
+        list.appendChild(item);
+    });
+
+    if (rows.length === 0) {
+        list.innerHTML = '<li class="info-fallback">The font has no glyphs.</li>';
+    }
+}
+
+/**
+ * Shows the font analyzer verdict of the current font in the subheader
+ * badge and, when the Info tab is open, in its Performance Analysis section.
+ * @param {object} fontObject - The font entry from AppState.inAppFonts.
+ */
+function updateFontAnalysis(fontObject) {
+    _renderAnalysisBadge(fontObject.analysis);
+    if (document.getElementById('info-view').classList.contains('active')) {
+        _renderAnalysisSection(fontObject.analysis);
+    }
+}
+
+function _renderAnalysisBadge(analysis) {
+    const badge = document.getElementById('fontAnalysis');
+    if (!badge) return;
+
+    badge.className = `font-analysis ${_analysisLevelClass(analysis)}`;
+    badge.textContent = analysis ? analysis.overall : 'Analyzing…';
+    badge.title = analysis ? `${analysis.evaluation} ${analysis.conclusion}` : '';
+}
+
+/**
+ * Fills the Performance Analysis section with the verdict and the metrics
+ * it is based on; a missing verdict means the analysis is still running.
+ * @param {object|null} analysis - The font analyzer result.
+ */
+function _renderAnalysisSection(analysis) {
+    const list = document.getElementById('analysis-list');
+    const fallback = document.getElementById('analysis-fallback');
+    if (!list) return;
+
+    list.innerHTML = '';
+    fallback.style.display = analysis ? 'none' : 'block';
+    if (!analysis) return;
+
+    const metrics = analysis.detailedMetrics;
+    const report = {
+        'Overall': `<span class="font-analysis ${_analysisLevelClass(analysis)}">${analysis.overall}</span>`,
+        'Evaluation': analysis.evaluation,
+        'Conclusion': analysis.conclusion,
+        ...(metrics && {
+            'Glyph Count': metrics.glyphCount.toLocaleString(),
+            'Avg. Commands / Glyph': metrics.avgCommandsPerGlyph,
+            'Avg. Curve Ratio': `${metrics.avgCurveRatio}%`,
+            'Analyzed Size': formatBytes(metrics.fileSize)
+        })
+    };
+
+    for (const key in report) {
+        list.innerHTML += `<dt>${key}</dt><dd>${report[key]}</dd>`;
+    }
+}
+
+function _analysisLevelClass(analysis) {
+    const levels = {
+        'Fully Optimized': 'is-optimal',
+        'Well Optimized': 'is-good',
+        'Acceptable': 'is-warning',
+        'Critical': 'is-critical'
+    };
+    return analysis ? (levels[analysis.overall] || 'is-neutral') : 'is-pending';
+}
+
+/**
+ * Wires the Geometry Cost section: the text is built in the viewer
+ * with the chosen TextGeometry settings and the exact counts are listed,
+ * checked against the optional triangle budget.
+ */
+function _initGeometryCostPanel() {
+    const measureBtn = document.getElementById('geometryMeasureBtn');
+    if (!measureBtn) return;
+
+    const readNumber = (id) => Number(document.getElementById(id).value);
+    measureBtn.addEventListener('click', async () => {
+        const results = document.getElementById('geometry-cost-results');
+        const text = document.getElementById('geometryCostText').value || document.getElementById('textInput').value;
+        if (!text.trim()) {
+            results.innerHTML = '<dt>Text</dt><dd>Enter a text to measure.</dd>';
+            return;
+        }
+
+        const settings = {
+            curveSegments: Math.max(1, Math.round(readNumber('geometryCurveSegments'))),
+            depth: Math.max(0, readNumber('geometryDepth')),
+            bevelEnabled: document.getElementById('geometryBevelEnabled').checked,
+            bevelSegments: Math.max(0, Math.round(readNumber('geometryBevelSegments'))),
+            bevelThickness: Math.max(0, readNumber('geometryBevelThickness')),
+            bevelSize: Math.max(0, readNumber('geometryBevelSize'))
+        };
+        const budget = readNumber('geometryTriangleBudget');
+        const state = dependencies.stateManager.getState();
+        const fontName = state.inAppFonts[state.currentFontID]?.fontName || '';
+
+        measureBtn.disabled = true;
+        measureBtn.textContent = 'Measuring…';
+        try {
+            const stats = await dependencies.onMeasureGeometry({ text, is3D: settings.bevelEnabled || settings.depth > 0, settings });
+            const perCharacter = stats.characters > 0 ? Math.round(stats.triangles / stats.characters).toLocaleString() : '–';
+            let budgetStatus = '';
+            if (budget > 0) {
+                budgetStatus = stats.triangles <= budget
+                    ? ` <span class="geometry-budget-ok">(${Math.round(stats.triangles / budget * 100)}% of budget)</span>`
+                    : ` <span class="geometry-budget-over">(over budget by ${(stats.triangles - budget).toLocaleString()})</span>`;
+            }
+            results.innerHTML =
+                `<dt>Font</dt><dd>${fontName} · three.js r${stats.revision}</dd>` +
+                `<dt>Vertices</dt><dd>${stats.vertices.toLocaleString()}</dd>` +
+                `<dt>Triangles</dt><dd>${stats.triangles.toLocaleString()}${budgetStatus}</dd>` +
+                `<dt>Triangles / Char</dt><dd>${perCharacter}</dd>` +
+                `<dt>Build Time</dt><dd>${stats.buildTime.toFixed(2)} ms</dd>`;
+        } catch (error) {
+            results.innerHTML = `<dt>Error</dt><dd>${error.message}</dd>`;
+        } finally {
+            measureBtn.disabled = false;
+            measureBtn.textContent = 'Measure';
+        }
+    });
+}
+
+/**
+ * Renders the Outline Optimization controls. The slider previews the
+ * quantized or simplified font on release, Apply replaces the font data and Discard goes
+ * back to the original. A preview that is still active (e.g. after switching
+ * tabs) is restored from the app state.
+ * @param {object} fontObject - The font entry from AppState.inAppFonts.
+ */
+function _renderOptimizerPanel(fontObject) {
+    const section = document.getElementById('optimize-section');
+    if (!section) return;
+
+    const modeSelect = document.getElementById('optimizeModeSelect');
+    const slider = document.getElementById('optimizeSlider');
+    const sliderLabel = document.getElementById('optimizeSliderLabel');
+    const sliderValue = document.getElementById('optimizeSliderValue');
+    const diffToggle = document.getElementById('optimizeDiffToggle');
+    const summary = document.getElementById('optimize-summary');
+    const applyBtn = document.getElementById('optimizeApplyBtn');
+    const discardBtn = document.getElementById('optimizeDiscardBtn');
+
+    const resolution = fontObject.data.resolution || 1000;
+    const originalSize = getJsonByteSize(fontObject.data);
+    const statePreview = dependencies.stateManager.getState().optimizerPreview;
+    let hasPreview = false;
+
+    const configureSlider = (mode, value) => {
+        modeSelect.value = mode;
+        slider.step = 1;
+        if (mode === 'resolution') {
+            sliderLabel.textContent = 'Resolution';
+            slider.min = Math.min(10, resolution);
+            slider.max = resolution;
+            slider.value = value ?? resolution;
+        } else if (mode === 'simplify') {
+            sliderLabel.textContent = 'Tolerance';
+            slider.min = 0;
+            slider.max = 20;
+            slider.step = 0.5;
+            slider.value = value ?? 1;
+        } else {
+            sliderLabel.textContent = 'Decimals';
+            slider.min = 0;
+            slider.max = 4;
+            slider.value = value ?? 2;
+        }
+        sliderValue.textContent = slider.value;
+    };
+
+    // The option each mode reads the slider value from.
+    const sliderOption = { resolution: 'resolution', decimals: 'decimals', simplify: 'tolerance' };
+    const currentOptions = () => ({
+        mode: modeSelect.value,
+        [sliderOption[modeSelect.value]]: Number(slider.value),
+        showDiff: diffToggle.checked
+    });
+
+    const renderSummary = (preview) => {
+        hasPreview = !!preview;
+        applyBtn.disabled = !hasPreview;
+        discardBtn.disabled = !hasPreview;
+        summary.innerHTML = `<dt>Before</dt><dd>${formatBytes(originalSize)}</dd>`;
+        if (!preview) return;
+
+        const optimizedSize = getJsonByteSize(preview.fontData);
+        const saved = originalSize > 0 ? ((1 - optimizedSize / originalSize) * 100).toFixed(1) : '0.0';
+        const relativeError = (preview.maxError / resolution * 100).toFixed(3);
+        summary.innerHTML += `<dt>After</dt><dd>${formatBytes(optimizedSize)} <span class="optimize-saving">(${saved}% smaller)</span></dd>` +
+            `<dt>Commands / Glyph</dt><dd>${preview.commandsPerGlyph.before.toFixed(2)} → ${preview.commandsPerGlyph.after.toFixed(2)}</dd>` +
+            `<dt>Max. Deviation</dt><dd>${Number(preview.maxError.toFixed(2))} units (${relativeError}% of text size)</dd>`;
+    };
+
+    const requestPreview = () => renderSummary(dependencies.onOptimizerChange(currentOptions(), 'preview'));
+
+    modeSelect.onchange = () => {
+        configureSlider(modeSelect.value);
+        requestPreview();
+    };
+    slider.oninput = () => { sliderValue.textContent = slider.value; };
+    slider.onchange = requestPreview;
+    diffToggle.onchange = () => { if (hasPreview) requestPreview(); };
+    applyBtn.onclick = () => dependencies.onOptimizerChange(currentOptions(), 'apply');
+    discardBtn.onclick = () => {
+        dependencies.onOptimizerChange(currentOptions(), 'reset');
+        configureSlider(modeSelect.value);
+        renderSummary(null);
+    };
+
+    if (statePreview?.fontID === fontObject.id) {
+        const { options } = statePreview;
+        diffToggle.checked = options.showDiff;
+        configureSlider(options.mode, options[sliderOption[options.mode]]);
+        renderSummary(statePreview);
+    } else {
+        configureSlider(modeSelect.value);
+        renderSummary(null);
+    }
+}
+
 function _updateMainFontPreview(font, color) {
     const previewContainer = document.getElementById('fontPreviewContainer');
     if (!font || !previewContainer) {
@@ -627,6 +1147,7 @@ function _initButtonStates(viewerState, isEditing, isEditorReadOnly) {
     
     document.getElementById('wireframeModeBtn')?.classList.toggle('active', viewerState.isWireframeModeActive);
     document.getElementById('boundingBoxBtn')?.classList.toggle('active', viewerState.isBoundingBoxVisible);
+    document.getElementById('windingOverlayBtn')?.classList.toggle('active', viewerState.isWindingOverlayVisible);
 
     document.getElementById('playIcon').style.display = viewerState.rotationEnabled ? 'none' : 'block';
     document.getElementById('pauseIcon').style.display = viewerState.rotationEnabled ? 'block' : 'none';
@@ -711,6 +1232,22 @@ function toggleAddFontMenu(event) {
     event.stopPropagation();
     const menu = document.getElementById('addFontContextMenu');
     const btn = document.getElementById('loadFontBtn');
+    document.getElementById('saveFontContextMenu').style.display = 'none';
+    if (menu.style.display === 'block') {
+        menu.style.display = 'none';
+    } else {
+        const btnRect = btn.getBoundingClientRect();
+        menu.style.left = `${btnRect.left}px`;
+        menu.style.top = `${btnRect.bottom + 4}px`;
+        menu.style.display = 'block';
+    }
+}
+
+function toggleSaveFontMenu(event) {
+    event.stopPropagation();
+    const menu = document.getElementById('saveFontContextMenu');
+    const btn = document.getElementById('saveFontBtn');
+    document.getElementById('addFontContextMenu').style.display = 'none';
     if (menu.style.display === 'block') {
         menu.style.display = 'none';
     } else {
@@ -742,6 +1279,209 @@ function hideUrlModal() {
     document.getElementById('urlModal').style.display = 'none';
     document.getElementById('fontUrlInput').value = '';
 }
+
+/**
+ * Shows the face picker for a font collection (.ttc/.otc) and waits for
+ * the user's choice. Cancelling resolves with an empty array.
+ * @param {Array<object>} faces - Face descriptors from the font processor worker.
+ * @param {string} fileName - The collection file name, shown in the title.
+ * @param {AbortSignal} [signal=null] - Closes the picker and rejects with the
+ * signal's reason when the load is cancelled.
+ * @returns {Promise<Array<number>>} The indices of the selected faces.
+ */
+function showFacePickerModal(faces, fileName, signal = null) {
+    const overlay = document.getElementById('modalOverlay');
+    const modal = document.getElementById('facePickerModal');
+    const list = document.getElementById('facePickerList');
+    const selectAll = document.getElementById('facePickerSelectAll');
+
+    document.getElementById('facePickerTitle').textContent = `${fileName} (${faces.length} faces)`;
+    list.innerHTML = '';
+
+    faces.forEach(face => {
+        const label = document.createElement('label');
+        label.className = 'face-picker-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = face.index;
+        checkbox.checked = face.index === 0;
+
+        const name = document.createElement('span');
+        name.className = 'face-picker-name';
+        name.textContent = `${face.familyName || face.fullName || `Face ${face.index}`} — ${face.subfamilyName || 'Regular'}`;
+
+        const details = document.createElement('span');
+        details.className = 'face-picker-details';
+        details.textContent = `#${face.index} · ${face.outlines} · ${face.numGlyphs} glyphs`;
+
+        label.append(checkbox, name, details);
+        list.appendChild(label);
+    });
+
+    const checkboxes = [...list.querySelectorAll('input[type="checkbox"]')];
+    selectAll.checked = checkboxes.every(cb => cb.checked);
+    selectAll.onchange = () => checkboxes.forEach(cb => { cb.checked = selectAll.checked; });
+    list.onchange = () => { selectAll.checked = checkboxes.every(cb => cb.checked); };
+
+    overlay.style.display = 'block';
+    positionModal(modal, null, { centerX: true, centerY: true });
+    modal.style.display = 'flex';
+    bringToFront(modal);
+
+    return new Promise((resolve, reject) => {
+        const hide = () => {
+            overlay.style.display = 'none';
+            modal.style.display = 'none';
+            signal?.removeEventListener('abort', onAbort);
+        };
+        const close = (selection) => {
+            hide();
+            resolve(selection);
+        };
+        const onAbort = () => {
+            hide();
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        document.getElementById('facePickerImportBtn').onclick = () =>
+            close(checkboxes.filter(cb => cb.checked).map(cb => Number(cb.value)));
+        document.getElementById('facePickerCancelBtn').onclick = () => close([]);
+        document.getElementById('facePickerCloseBtn').onclick = () => close([]);
+    });
+}
+/**
+ * Shows the subset export dialog with a live summary of the result.
+ * @param {object} options
+ * @param {string} options.fontName - The current font's display name.
+ * @param {object} options.presets - Preset definitions ({ key: { label } }).
+ * @param {number} options.selectionCount - Glyphs selected in the glyph grid.
+ * @param {number} options.originalSize - Size of the full font JSON in bytes.
+ * @param {function} options.buildSubset - ({ preset, text }) => { fontData, kept, missing }.
+ * @returns {Promise<{preset: string, text: string, format: string}|null>} The choice, or null if cancelled.
+ */
+function showSubsetModal({ fontName, presets, selectionCount, originalSize, buildSubset }) {
+    const overlay = document.getElementById('modalOverlay');
+    const modal = document.getElementById('subsetModal');
+    const presetSelect = document.getElementById('subsetPreset');
+    const textArea = document.getElementById('subsetText');
+    const formatSelect = document.getElementById('subsetFormat');
+    const summary = document.getElementById('subsetSummary');
+    const exportBtn = document.getElementById('subsetExportBtn');
+
+    document.getElementById('saveFontContextMenu').style.display = 'none';
+    document.getElementById('subsetTitle').textContent = `Export subset · ${fontName}`;
+
+    presetSelect.innerHTML = '';
+    const options = [
+        ...Object.entries(presets).map(([value, preset]) => [value, preset.label]),
+        ['text', 'Pasted text'],
+        ['selection', `Glyph grid selection (${selectionCount})`]
+    ];
+    options.forEach(([value, label]) => presetSelect.add(new Option(label, value)));
+    presetSelect.querySelector('option[value="selection"]').disabled = selectionCount === 0;
+    presetSelect.value = selectionCount > 0 ? 'selection' : Object.keys(presets)[0];
+
+    const currentChoice = () => ({ preset: presetSelect.value, text: textArea.value, format: formatSelect.value });
+
+    const refresh = () => {
+        textArea.style.display = presetSelect.value === 'text' ? '' : 'none';
+        try {
+            const { fontData, kept, missing } = buildSubset(currentChoice());
+            const size = getJsonByteSize(fontData);
+            const saved = originalSize > 0 ? Math.round((1 - size / originalSize) * 100) : 0;
+            summary.innerHTML = `<strong>${kept.length}</strong> glyphs · ${formatBytes(size)} <span class="subset-saving">(−${saved}% of ${formatBytes(originalSize)})</span>` +
+                (missing.length ? `<div class="subset-missing" title="${missing.join(' ').replace(/"/g, '&quot;')}">${missing.length} characters are not in the font</div>` : '');
+            exportBtn.disabled = kept.length === 0;
+        } catch (error) {
+            summary.textContent = error.message;
+            exportBtn.disabled = true;
+        }
+    };
+
+    presetSelect.onchange = refresh;
+    textArea.oninput = refresh;
+    refresh();
+
+    overlay.style.display = 'block';
+    positionModal(modal, null, { centerX: true, centerY: true });
+    modal.style.display = 'flex';
+    bringToFront(modal);
+
+    return new Promise(resolve => {
+        const close = (choice) => {
+            overlay.style.display = 'none';
+            modal.style.display = 'none';
+            resolve(choice);
+        };
+        exportBtn.onclick = () => close(currentChoice());
+        document.getElementById('subsetCancelBtn').onclick = () => close(null);
+        document.getElementById('subsetCloseBtn').onclick = () => close(null);
+    });
+}
+
+/**
+ * Asks for the character of a new glyph, typed or as a U+XXXX code
+ * point, showing its Unicode name and refusing the ones already in the font.
+ * @param {object} options
+ * @param {string} options.title - The modal title.
+ * @param {string} options.confirmLabel - The label of the confirm button.
+ * @param {object} options.glyphs - The `glyphs` of the font.
+ * @param {Function} options.parseKey - text => character|null.
+ * @returns {Promise<string|null>} The character, or null when cancelled.
+ */
+function showGlyphKeyModal({ title, confirmLabel, glyphs, parseKey }) {
+    const overlay = document.getElementById('modalOverlay');
+    const modal = document.getElementById('glyphKeyModal');
+    const input = document.getElementById('glyphKeyInput');
+    const summary = document.getElementById('glyphKeySummary');
+    const confirmBtn = document.getElementById('glyphKeyConfirmBtn');
+
+    document.getElementById('glyphKeyTitle').textContent = title;
+    confirmBtn.textContent = confirmLabel;
+    input.value = '';
+
+    const refresh = () => {
+        const char = parseKey(input.value);
+        const exists = char !== null && Object.prototype.hasOwnProperty.call(glyphs, char);
+        if (char === null) {
+            summary.textContent = input.value ? 'Type a single character or its code point (U+00E9).' : '';
+        } else if (exists) {
+            summary.textContent = `"${char}" is already in the font.`;
+        } else {
+            const name = getUnicodeName(char);
+            summary.textContent = `${formatCodePoint(char.codePointAt(0))}${name ? ` · ${name}` : ''}`;
+        }
+        confirmBtn.disabled = char === null || exists;
+        return confirmBtn.disabled ? null : char;
+    };
+
+    input.oninput = refresh;
+    refresh();
+    loadUnicodeNames().then(loaded => loaded && refresh());
+
+    overlay.style.display = 'block';
+    positionModal(modal, null, { centerX: true, centerY: true });
+    modal.style.display = 'flex';
+    bringToFront(modal);
+    input.focus();
+
+    return new Promise(resolve => {
+        const close = (char) => {
+            overlay.style.display = 'none';
+            modal.style.display = 'none';
+            resolve(char);
+        };
+        confirmBtn.onclick = () => close(refresh());
+        input.onkeydown = (e) => {
+            const char = e.key === 'Enter' ? refresh() : null;
+            if (char !== null) close(char);
+            if (e.key === 'Escape') close(null);
+        };
+        document.getElementById('glyphKeyCancelBtn').onclick = () => close(null);
+        document.getElementById('glyphKeyCloseBtn').onclick = () => close(null);
+    });
+}
 //----------------------------------------> END [MODAL & POPOVER MANAGEMENT]
 
 
@@ -881,6 +1621,27 @@ function updateProgressBar(percentage) {
     subheader.style.setProperty('--progress-width', `${percentage}%`);
 }
 
+/**
+ * Shows the position of the current file in a batch next to the font name
+ * in the subheader (e.g. "3/12 · Roboto.woff2"). An empty text hides it.
+ * @param {string} text - The status text.
+ */
+function updateBatchStatus(text) {
+    const status = document.getElementById('batchStatus');
+    if (!status) return;
+    status.textContent = text;
+    status.title = text;
+}
+
+/**
+ * Shows or hides the cancel button next to the progress bar.
+ * @param {boolean} isCancellable - True while a cancellable load is running.
+ */
+function setLoadCancellable(isCancellable) {
+    const button = document.getElementById('cancelLoadBtn');
+    if (button) button.classList.toggle('show', isCancellable);
+}
+
 function finishLoadingProgress() {
     const subheader = document.getElementById('subheader');
     updateProgressBar(100);
@@ -907,14 +1668,22 @@ export {
     toggleMaterialModal,
     updateActiveMaterial, 
     toggleAddFontMenu,
+    toggleSaveFontMenu,
     showUrlModal,
     hideUrlModal,
+    showFacePickerModal,
+    showSubsetModal,
+    showGlyphKeyModal,
     toggleConsole,
     logToConsole,
     clearConsole,
     clearConsoleError,
     handle_error,
     updateProgressBar,
+    updateBatchStatus,
+    updateFontAnalysis,
+    updateFontProblems,
+    setLoadCancellable,
     finishLoadingProgress,
     resetLoadingProgressOnError,
 };
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/unicode-coverage.js
+ * Created: 2025-10-28
+ * Author: @lewopxd
+ *
+ * Description:
+ * Measures which languages and Unicode blocks a font can render. A
+ * language needs the letters of its alphabet in both cases plus its own
+ * punctuation; a block needs every assigned character in its range
+ * (controls, surrogates and unassigned code points are not counted).
+ * It has no knowledge of the DOM.
+ */
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+const BASIC_LATIN_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Lowercase letters of each orthography; the uppercase forms are derived.
+ * `extra` holds what has no case mapping to derive from: punctuation and
+ * capitals like the Turkish dotted İ.
+ */
+const ORTHOGRAPHIES = [
+    { name: 'English', script: 'Latin', letters: BASIC_LATIN_LETTERS },
+    { name: 'Spanish', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'áéíñóúü', extra: '¡¿' },
+    { name: 'Portuguese', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'áàâãçéêíóôõú' },
+    { name: 'French', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'àâæçéèêëîïôœùûüÿ', extra: '«»' },
+    { name: 'Italian', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'àèéìíòóù' },
+    { name: 'German', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'äöüß', extra: '„“' },
+    { name: 'Dutch', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'éëïóöü' },
+    { name: 'Nordic (Danish, Norwegian, Swedish)', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'åæøäö' },
+    { name: 'Polish', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'ąćęłńóśźż', extra: '„”' },
+    { name: 'Czech', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'áčďéěíňóřšťúůýž', extra: '„“' },
+    { name: 'Hungarian', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'áéíóöőúüű', extra: '„”' },
+    { name: 'Romanian', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'ăâîșț', extra: '„”' },
+    { name: 'Turkish', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'çğıöşü', extra: 'İ' },
+    { name: 'Vietnamese', script: 'Latin', letters: BASIC_LATIN_LETTERS + 'àáâãèéêìíòóôõùúýăđĩũơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ' },
+    { name: 'Russian', script: 'Cyrillic', letters: 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя', extra: '«»' },
+    { name: 'Ukrainian', script: 'Cyrillic', letters: 'абвгґдеєжзиіїйклмнопрстуфхцчшщьюя', extra: '«»' },
+    { name: 'Serbian (Cyrillic)', script: 'Cyrillic', letters: 'абвгдђежзијклљмнњопрстћуфхцчџш', extra: '„“' },
+    { name: 'Greek', script: 'Greek', letters: 'αβγδεζηθικλμνξοπρσςτυφχψωάέήίόύώϊϋΐΰ', extra: '«»' }
+];
+
+/**
+ * The Unicode blocks a typeface JSON is likely to touch, as
+ * [name, first code point, last code point].
+ */
+const UNICODE_BLOCKS = [
+    ['Basic Latin', 0x0000, 0x007F],
+    ['Latin-1 Supplement', 0x0080, 0x00FF],
+    ['Latin Extended-A', 0x0100, 0x017F],
+    ['Latin Extended-B', 0x0180, 0x024F],
+    ['IPA Extensions', 0x0250, 0x02AF],
+    ['Spacing Modifier Letters', 0x02B0, 0x02FF],
+    ['Combining Diacritical Marks', 0x0300, 0x036F],
+    ['Greek and Coptic', 0x0370, 0x03FF],
+    ['Cyrillic', 0x0400, 0x04FF],
+    ['Cyrillic Supplement', 0x0500, 0x052F],
+    ['Armenian', 0x0530, 0x058F],
+    ['Hebrew', 0x0590, 0x05FF],
+    ['Arabic', 0x0600, 0x06FF],
+    ['Syriac', 0x0700, 0x074F],
+    ['Arabic Supplement', 0x0750, 0x077F],
+    ['Thaana', 0x0780, 0x07BF],
+    ['Devanagari', 0x0900, 0x097F],
+    ['Bengali', 0x0980, 0x09FF],
+    ['Gurmukhi', 0x0A00, 0x0A7F],
+    ['Gujarati', 0x0A80, 0x0AFF],
+    ['Tamil', 0x0B80, 0x0BFF],
+    ['Telugu', 0x0C00, 0x0C7F],
+    ['Kannada', 0x0C80, 0x0CFF],
+    ['Malayalam', 0x0D00, 0x0D7F],
+    ['Thai', 0x0E00, 0x0E7F],
+    ['Lao', 0x0E80, 0x0EFF],
+    ['Georgian', 0x10A0, 0x10FF],
+    ['Hangul Jamo', 0x1100, 0x11FF],
+    ['Latin Extended Additional', 0x1E00, 0x1EFF],
+    ['Greek Extended', 0x1F00, 0x1FFF],
+    ['General Punctuation', 0x2000, 0x206F],
+    ['Superscripts and Subscripts', 0x2070, 0x209F],
+    ['Currency Symbols', 0x20A0, 0x20CF],
+    ['Letterlike Symbols', 0x2100, 0x214F],
+    ['Number Forms', 0x2150, 0x218F],
+    ['Arrows', 0x2190, 0x21FF],
+    ['Mathematical Operators', 0x2200, 0x22FF],
+    ['Miscellaneous Technical', 0x2300, 0x23FF],
+    ['Control Pictures', 0x2400, 0x243F],
+    ['Enclosed Alphanumerics', 0x2460, 0x24FF],
+    ['Box Drawing', 0x2500, 0x257F],
+    ['Block Elements', 0x2580, 0x259F],
+    ['Geometric Shapes', 0x25A0, 0x25FF],
+    ['Miscellaneous Symbols', 0x2600, 0x26FF],
+    ['Dingbats', 0x2700, 0x27BF],
+    ['Miscellaneous Mathematical Symbols-A', 0x27C0, 0x27EF],
+    ['Supplemental Arrows-A', 0x27F0, 0x27FF],
+    ['Braille Patterns', 0x2800, 0x28FF],
+    ['Supplemental Arrows-B', 0x2900, 0x297F],
+    ['Latin Extended-C', 0x2C60, 0x2C7F],
+    ['Cyrillic Extended-A', 0x2DE0, 0x2DFF],
+    ['Supplemental Punctuation', 0x2E00, 0x2E7F],
+    ['CJK Symbols and Punctuation', 0x3000, 0x303F],
+    ['Hiragana', 0x3040, 0x309F],
+    ['Katakana', 0x30A0, 0x30FF],
+    ['Bopomofo', 0x3100, 0x312F],
+    ['Hangul Compatibility Jamo', 0x3130, 0x318F],
+    ['CJK Unified Ideographs', 0x4E00, 0x9FFF],
+    ['Cyrillic Extended-B', 0xA640, 0xA69F],
+    ['Latin Extended-D', 0xA720, 0xA7FF],
+    ['Hangul Syllables', 0xAC00, 0xD7AF],
+    ['Private Use Area', 0xE000, 0xF8FF],
+    ['Alphabetic Presentation Forms', 0xFB00, 0xFB4F],
+    ['Arabic Presentation Forms-A', 0xFB50, 0xFDFF],
+    ['Arabic Presentation Forms-B', 0xFE70, 0xFEFF],
+    ['Halfwidth and Fullwidth Forms', 0xFF00, 0xFFEF],
+    ['Specials', 0xFFF0, 0xFFFF],
+    ['Miscellaneous Symbols and Pictographs', 0x1F300, 0x1F5FF],
+    ['Emoticons', 0x1F600, 0x1F64F],
+    ['Transport and Map Symbols', 0x1F680, 0x1F6FF],
+    ['Supplemental Symbols and Pictographs', 0x1F900, 0x1F9FF]
+];
+
+// Code points that are never drawn: controls, surrogates and unassigned ones.
+const NON_CHARACTER = /^[\p{Cc}\p{Cs}\p{Cn}]$/u;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//--------------------[   MODULE STATE   ]---------------------
+//-------------------------------------------------------------
+
+let blockCharactersCache = new Map(); // block name -> its assigned characters
+
+//----------------------------------------> END [MODULE STATE]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Coverage of every orthography in ORTHOGRAPHIES.
+ * @param {object} glyphs - The `glyphs` object of a typeface JSON.
+ * @returns {Array<{name: string, script: string, total: number, covered: number,
+ * percent: number, missing: string[]}>} In ORTHOGRAPHIES order.
+ */
+function computeLanguageCoverage(glyphs) {
+    return ORTHOGRAPHIES.map(({ name, script, letters, extra = '' }) => ({
+        name,
+        script,
+        ..._measure(_orthographyCharacters(letters, extra), glyphs)
+    }));
+}
+
+/**
+ * Coverage of the Unicode blocks the font has at least one glyph in.
+ * @param {object} glyphs - The `glyphs` object of a typeface JSON.
+ * @returns {Array<{name: string, start: number, end: number, total: number,
+ * covered: number, percent: number, missing: string[]}>} In code point order.
+ */
+function computeBlockCoverage(glyphs) {
+    const codePoints = Object.keys(glyphs || {})
+        .filter(char => Array.from(char).length === 1)
+        .map(char => char.codePointAt(0));
+
+    return UNICODE_BLOCKS
+        .filter(([, start, end]) => codePoints.some(codePoint => codePoint >= start && codePoint <= end))
+        .map(([name, start, end]) => ({ name, start, end, ..._measure(_blockCharacters(name, start, end), glyphs) }));
+}
+
+/**
+ * The block a code point belongs to.
+ * @param {number} codePoint
+ * @returns {string|null} The block name, or null when it is not in UNICODE_BLOCKS.
+ */
+function getUnicodeBlock(codePoint) {
+    const block = UNICODE_BLOCKS.find(([, start, end]) => codePoint >= start && codePoint <= end);
+    return block ? block[0] : null;
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+function _measure(characters, glyphs) {
+    const missing = characters.filter(char => !glyphs?.[char]);
+    const covered = characters.length - missing.length;
+    // Rounded down, so 100% always means nothing is missing.
+    const percent = characters.length ? Math.floor((covered / characters.length) * 100) : 100;
+    return { total: characters.length, covered, percent, missing };
+}
+
+/**
+ * The letters in both cases plus the extra characters. Letters whose
+ * uppercase is more than one character (ß -> SS, ΐ) only count in lowercase.
+ * @private
+ */
+function _orthographyCharacters(letters, extra) {
+    const characters = new Set();
+    Array.from(letters).forEach(letter => {
+        characters.add(letter);
+        const upper = letter.toUpperCase();
+        if (Array.from(upper).length === 1) characters.add(upper);
+    });
+    Array.from(extra).forEach(char => characters.add(char));
+    return [...characters];
+}
+
+function _blockCharacters(name, start, end) {
+    if (!blockCharactersCache.has(name)) {
+        const characters = [];
+        for (let codePoint = start; codePoint <= end; codePoint++) {
+            const char = String.fromCodePoint(codePoint);
+            if (!NON_CHARACTER.test(char)) characters.push(char);
+        }
+        blockCharactersCache.set(name, characters);
+    }
+    return blockCharactersCache.get(name);
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { ORTHOGRAPHIES, UNICODE_BLOCKS, computeLanguageCoverage, computeBlockCoverage, getUnicodeBlock };
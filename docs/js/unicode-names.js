@@ -0,0 +1,114 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/unicode-names.js
+ * Created: 2025-10-29
+ * Author: @lewopxd
+ *
+ * Description:
+ * Unicode character names for tooltips and lookups. The names of the
+ * blocks listed in unicode-coverage.js are fetched once from
+ * assets/unicode-names.json; CJK ideographs and Hangul syllables are named
+ * by the algorithms of the Unicode standard instead of being stored.
+ */
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+const UNICODE_NAMES_URL = './assets/unicode-names.json';
+
+// CJK Unified Ideographs and Extension A, named "CJK UNIFIED IDEOGRAPH-XXXX".
+const CJK_IDEOGRAPH_RANGES = [[0x3400, 0x4DBF], [0x4E00, 0x9FFF]];
+
+// Hangul syllables are named from their jamo (Unicode chapter 3.12).
+const HANGUL_FIRST = 0xAC00;
+const HANGUL_LAST = 0xD7A3;
+const HANGUL_LEADS = ['G', 'GG', 'N', 'D', 'DD', 'R', 'M', 'B', 'BB', 'S', 'SS', '', 'J', 'JJ', 'C', 'K', 'T', 'P', 'H'];
+const HANGUL_VOWELS = ['A', 'AE', 'YA', 'YAE', 'EO', 'E', 'YEO', 'YE', 'O', 'WA', 'WAE', 'OE', 'YO', 'U', 'WEO', 'WE', 'WI', 'YU', 'EU', 'YI', 'I'];
+const HANGUL_TAILS = ['', 'G', 'GG', 'GS', 'N', 'NJ', 'NH', 'D', 'L', 'LG', 'LM', 'LB', 'LS', 'LT', 'LP', 'LH', 'M', 'B', 'BS', 'S', 'SS', 'NG', 'J', 'C', 'K', 'T', 'P', 'H'];
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//--------------------[   MODULE STATE   ]---------------------
+//-------------------------------------------------------------
+
+let nameRanges = null; // [{ start, names: string[] }] once loaded
+let loadingPromise = null;
+
+//----------------------------------------> END [MODULE STATE]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Fetches the name table. Concurrent calls share the request; a failed
+ * request is retried on the next call.
+ * @returns {Promise<boolean>} Whether the names are available.
+ */
+function loadUnicodeNames() {
+    if (nameRanges) return Promise.resolve(true);
+    if (!loadingPromise) {
+        loadingPromise = fetch(UNICODE_NAMES_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                nameRanges = data.ranges.map(([start, names]) => ({ start, names: names.split('|') }));
+                return true;
+            })
+            .catch(error => {
+                console.error('Failed to load the Unicode character names:', error);
+                loadingPromise = null;
+                return false;
+            });
+    }
+    return loadingPromise;
+}
+
+function areUnicodeNamesLoaded() {
+    return nameRanges !== null;
+}
+
+/**
+ * The Unicode name of a character.
+ * @param {string} char - A single character.
+ * @returns {string|null} The name, or null when it is unknown or the table
+ * has not been loaded yet.
+ */
+function getUnicodeName(char) {
+    const codePoint = char.codePointAt(0);
+    if (codePoint === undefined) return null;
+
+    if (CJK_IDEOGRAPH_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end)) {
+        return `CJK UNIFIED IDEOGRAPH-${codePoint.toString(16).toUpperCase()}`;
+    }
+    if (codePoint >= HANGUL_FIRST && codePoint <= HANGUL_LAST) {
+        const index = codePoint - HANGUL_FIRST;
+        const lead = Math.floor(index / (HANGUL_VOWELS.length * HANGUL_TAILS.length));
+        const vowel = Math.floor((index % (HANGUL_VOWELS.length * HANGUL_TAILS.length)) / HANGUL_TAILS.length);
+        const tail = index % HANGUL_TAILS.length;
+        return `HANGUL SYLLABLE ${HANGUL_LEADS[lead]}${HANGUL_VOWELS[vowel]}${HANGUL_TAILS[tail]}`;
+    }
+
+    const range = nameRanges?.find(({ start, names }) => codePoint >= start && codePoint < start + names.length);
+    return range?.names[codePoint - range.start] || null;
+}
+
+/**
+ * Formats a code point as U+XXXX (at least four hex digits).
+ * @param {number} codePoint
+ * @returns {string}
+ */
+function formatCodePoint(codePoint) {
+    return `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+export { loadUnicodeNames, areUnicodeNamesLoaded, getUnicodeName, formatCodePoint };
@@ -448,6 +448,16 @@ function updateActiveTooltip(targetElement) {
 //----------------[   TEXT & DATA FORMATTING   ]---------------
 //-------------------------------------------------------------
 
+/**
+ * Returns the size in bytes of a value serialized as compact JSON, the way
+ * the subheader and the Info tab report the size of a font file.
+ * @param {*} data - Any JSON-serializable value.
+ * @returns {number} The UTF-8 byte length of JSON.stringify(data).
+ */
+function getJsonByteSize(data) {
+    return new Blob([JSON.stringify(data)]).size;
+}
+
 /**
  * Formats a number of bytes into a human-readable string (KB, MB, etc.).
  * @param {number} bytes - The number of bytes.
@@ -586,6 +596,7 @@ export {
     hideConfirmationModal,
     initSmartTooltips,
     updateActiveTooltip,
+    getJsonByteSize,
     formatBytes,
     formatLabelKey,
     linkify,
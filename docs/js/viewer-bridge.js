@@ -18,6 +18,10 @@
 let isViewerReady = false;
 let completeStateToRestore = {}; // Holds the merged state (UI from parent + Scene from iframe)
 let pendingReloadUrl = null;      // Holds the URL for the upcoming reload
+let pendingMeasurements = new Map(); // requestId -> { resolve, reject, timeout } of geometry measurements
+let nextMeasurementID = 1;
+
+const MEASUREMENT_TIMEOUT_MS = 15000;
 
 let dependencies = {
     ui: null
@@ -70,6 +74,16 @@ function initViewerBridge(injectedDependencies, onReadyCallback) {
                 }
                 break;
             
+            case 'geometryStats': {
+                const measurement = pendingMeasurements.get(payload.requestId);
+                if (!measurement) break;
+                pendingMeasurements.delete(payload.requestId);
+                clearTimeout(measurement.timeout);
+                if (payload.error) measurement.reject(new Error(payload.error));
+                else measurement.resolve(payload);
+                break;
+            }
+
                case 'reportError': {
                 dependencies.ui.handle_error(new Error(payload.message), {
                     source: 'iframe',
@@ -188,6 +202,47 @@ function toggleBoundingBox(visible) {
     sendViewerMessage('toggleBoundingBox', { visible });
 }
 
+/**
+ * Shows or hides the contour winding overlay (solids and holes in
+ * different colours, as ShapePath.toShapes classified them).
+ */
+function toggleWindingOverlay(visible) {
+    sendViewerMessage('toggleWindingOverlay', { visible });
+}
+
+/**
+ * Draws the outlines of `fontData` over the rendered text so two
+ * versions of a font can be compared. Pass null to remove the overlay.
+ */
+function setDiffOverlay(fontData) {
+    sendViewerMessage('setDiffOverlay', { fontData });
+}
+
+/**
+ * Builds `text` in the viewer with the given TextGeometry settings and
+ * measures the real geometry.
+ * @param {object} options
+ * @param {string} options.text - The string to build.
+ * @param {boolean} [options.is3D=true] - Bevel/extrusion defaults of the viewer's 3D mode.
+ * @param {object} [options.settings] - curveSegments, bevelEnabled, bevelThickness, bevelSize, bevelSegments, depth.
+ * @returns {Promise<{vertices: number, triangles: number, buildTime: number, characters: number, revision: string}>}
+ */
+function measureGeometry({ text, is3D = true, settings = {} }) {
+    return new Promise((resolve, reject) => {
+        if (!isViewerReady) {
+            reject(new Error('The viewer is not ready yet.'));
+            return;
+        }
+        const requestId = nextMeasurementID++;
+        const timeout = setTimeout(() => {
+            pendingMeasurements.delete(requestId);
+            reject(new Error('The viewer did not answer the geometry measurement.'));
+        }, MEASUREMENT_TIMEOUT_MS);
+        pendingMeasurements.set(requestId, { resolve, reject, timeout });
+        sendViewerMessage('measureGeometry', { requestId, text, is3D, settings });
+    });
+}
+
 /**
  * Sends a previously saved state to the viewer for restoration.
  */
@@ -246,5 +301,8 @@ export {
     updateTheme,
     setMouseState,
     setWireframe,
-    toggleBoundingBox
+    toggleBoundingBox,
+    toggleWindingOverlay,
+    setDiffOverlay,
+    measureGeometry
 };
\ No newline at end of file
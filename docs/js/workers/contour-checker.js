@@ -0,0 +1,242 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/workers/contour-checker.js
+ * Created: 2025-10-27
+ * Author: @lewopxd
+ *
+ * Description:
+ * A dedicated web worker that looks for contours three.js cannot
+ * triangulate cleanly: contours crossing themselves, contours without
+ * area and contours doubling back on themselves (spikes). Contours are
+ * flattened the way TextGeometry does it, so what is reported is what the
+ * triangulation sees. The `checkId` of each message is echoed in its reply.
+ *
+ * Findings refer to outline commands by index: the n-th `m`, `l`, `q` or
+ * `b` of the glyph (`z` does not count). The edge closing a contour back to
+ * its start belongs to the `m` that opened it. Runs as a module worker to
+ * read outlines with the editor's own parser.
+ */
+
+import { parseContours } from '../glyph-outline.js';
+
+// Points per curve, TextGeometry's default curveSegments.
+const CURVE_SEGMENTS = 12;
+
+// Locations kept per finding; the rest are only counted.
+const MAX_LOCATIONS = 20;
+
+// Relative tolerance of the orientation tests, so points on an edge (a
+// contour touching itself) are not taken for crossings.
+const EPSILON = 1e-9;
+
+self.onmessage = function (e) {
+    const { checkId, glyphs } = e.data;
+    try {
+        const findings = [];
+        Object.keys(glyphs || {}).forEach(char => findings.push(...checkGlyph(char, glyphs[char])));
+        self.postMessage({ checkId, findings });
+    } catch (error) {
+        self.postMessage({ checkId, error: error.message });
+    }
+};
+
+/**
+ * Checks every contour of a glyph.
+ * @returns {Array<{char: string, type: 'self-intersection'|'zero-area'|'spike',
+ * contour: number, count: number, locations: Array<{x: number, y: number, commands: number[]}>}>}
+ * One finding per contour and type. Malformed outlines are left to the validator.
+ */
+function checkGlyph(char, glyph) {
+    const contours = flattenOutline(glyph?.o);
+    if (!contours) return [];
+
+    const findings = [];
+    contours.forEach((contour, index) => {
+        const report = (type, locations) => {
+            if (locations.length === 0) return;
+            findings.push({ char, type, contour: index, count: locations.length, locations: locations.slice(0, MAX_LOCATIONS) });
+        };
+
+        if (isZeroArea(contour.points)) {
+            const [x, y] = contour.points[0];
+            report('zero-area', [{ x, y, commands: contour.commands }]);
+            return;
+        }
+        report('self-intersection', findCrossings(contour));
+        report('spike', findSpikes(contour));
+    });
+    return findings;
+}
+
+/**
+ * Splits an outline into contours of { points, edges, commands }. `edges[i]`
+ * goes from `points[i]` to the next point (wrapping around) and holds the
+ * index of the command it comes from. Repeated points are dropped, as
+ * three.js does. Returns null for malformed outlines.
+ */
+function flattenOutline(outline) {
+    const parsed = parseContours(outline);
+    if (!parsed) return null;
+    let commandIndex = 0;
+
+    return parsed.map(({ start, segments }) => {
+        // The closing edge of the contour, added last, belongs to its `m`.
+        const moveCommand = commandIndex++;
+        const contour = { points: [start], edges: [], commands: [moveCommand] };
+        const addPoint = (point, command) => {
+            const last = contour.points[contour.points.length - 1];
+            if (last[0] === point[0] && last[1] === point[1]) return;
+            contour.points.push(point);
+            contour.edges.push(command);
+        };
+
+        let current = start;
+        segments.forEach(({ command, points: [end, ...controls] }) => {
+            const index = commandIndex++;
+            contour.commands.push(index);
+            if (command === 'l') {
+                addPoint(end, index);
+            } else {
+                for (let step = 1; step <= CURVE_SEGMENTS; step++) {
+                    addPoint(curvePoint(current, controls, end, step / CURVE_SEGMENTS), index);
+                }
+            }
+            current = end;
+        });
+
+        const first = contour.points[0];
+        const last = contour.points[contour.points.length - 1];
+        if (contour.points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+            // Already back at the start: the last edge is the closing one.
+            contour.points.pop();
+        } else {
+            contour.edges.push(moveCommand);
+        }
+        return contour;
+    });
+}
+
+function curvePoint(start, controls, end, t) {
+    const mt = 1 - t;
+    if (controls.length === 1) {
+        const [c] = controls;
+        return [
+            mt * mt * start[0] + 2 * mt * t * c[0] + t * t * end[0],
+            mt * mt * start[1] + 2 * mt * t * c[1] + t * t * end[1]
+        ];
+    }
+    const [c1, c2] = controls;
+    const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+    return [
+        a * start[0] + b * c1[0] + c * c2[0] + d * end[0],
+        a * start[1] + b * c1[1] + c * c2[1] + d * end[1]
+    ];
+}
+
+/**
+ * A contour with fewer than three points, or whose area is negligible next to
+ * its bounding box (a line traced back and forth).
+ */
+function isZeroArea(points) {
+    if (points.length < 3) return true;
+
+    let area = 0;
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        area += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+        xMin = Math.min(xMin, points[i][0]);
+        xMax = Math.max(xMax, points[i][0]);
+        yMin = Math.min(yMin, points[i][1]);
+        yMax = Math.max(yMax, points[i][1]);
+    }
+    return Math.abs(area / 2) <= 1e-6 * Math.max(1, (xMax - xMin) * (yMax - yMin));
+}
+
+/**
+ * Edges of a contour that cross each other, found with a sweep over x.
+ * Neighbouring edges share a point and are skipped; so are contours that
+ * only touch themselves.
+ */
+function findCrossings({ points, edges }) {
+    const count = points.length;
+    const segments = points.map((point, index) => {
+        const next = points[(index + 1) % count];
+        return {
+            index,
+            a: point,
+            b: next,
+            xMin: Math.min(point[0], next[0]),
+            xMax: Math.max(point[0], next[0]),
+            yMin: Math.min(point[1], next[1]),
+            yMax: Math.max(point[1], next[1])
+        };
+    }).sort((s1, s2) => s1.xMin - s2.xMin);
+
+    const locations = [];
+    const seen = new Set();
+    for (let i = 0; i < segments.length; i++) {
+        const s1 = segments[i];
+        for (let j = i + 1; j < segments.length && segments[j].xMin <= s1.xMax; j++) {
+            const s2 = segments[j];
+            const gap = Math.abs(s1.index - s2.index);
+            if (gap <= 1 || gap === count - 1) continue;
+            if (s2.yMin > s1.yMax || s2.yMax < s1.yMin) continue;
+
+            const point = intersect(s1.a, s1.b, s2.a, s2.b);
+            if (!point) continue;
+
+            const commands = [edges[s1.index], edges[s2.index]].sort((c1, c2) => c1 - c2);
+            const key = commands.join(',');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            locations.push({ x: point[0], y: point[1], commands: [...new Set(commands)] });
+        }
+    }
+    return locations;
+}
+
+/**
+ * Point where two segments cross, or null when they do not cross or only
+ * touch at an end.
+ */
+function intersect(a, b, c, d) {
+    const orient = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+    const scale = Math.max(
+        Math.abs(b[0] - a[0]) + Math.abs(b[1] - a[1]),
+        Math.abs(d[0] - c[0]) + Math.abs(d[1] - c[1])
+    );
+    const tolerance = EPSILON * scale * scale;
+
+    const o1 = orient(a, b, c);
+    const o2 = orient(a, b, d);
+    const o3 = orient(c, d, a);
+    const o4 = orient(c, d, b);
+    if (!((o1 > tolerance && o2 < -tolerance) || (o1 < -tolerance && o2 > tolerance))) return null;
+    if (!((o3 > tolerance && o4 < -tolerance) || (o3 < -tolerance && o4 > tolerance))) return null;
+
+    const t = o3 / (o3 - o4);
+    return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+}
+
+/**
+ * Points where a contour turns back along the edge it came from, which the
+ * extrusion draws as a needle.
+ */
+function findSpikes({ points, edges }) {
+    const count = points.length;
+    const locations = [];
+    for (let i = 0; i < count; i++) {
+        const previous = points[(i + count - 1) % count];
+        const point = points[i];
+        const next = points[(i + 1) % count];
+        const ux = point[0] - previous[0], uy = point[1] - previous[1];
+        const vx = next[0] - point[0], vy = next[1] - point[1];
+        const cross = ux * vy - uy * vx;
+        const dot = ux * vx + uy * vy;
+        if (dot < 0 && Math.abs(cross) <= 1e-6 * Math.hypot(ux, uy) * Math.hypot(vx, vy)) {
+            const commands = [edges[(i + count - 1) % count], edges[i]];
+            locations.push({ x: point[0], y: point[1], commands: [...new Set(commands)] });
+        }
+    }
+    return locations;
+}
@@ -7,7 +7,8 @@
  * Description:
  * This script runs in a dedicated Web Worker thread. It receives font
  * data, performs a lightweight performance analysis, and posts the
- * result back to the main application.
+ * result back to the main application. The `analysisId` of each message
+ * is echoed in its reply.
  */
 
 const dev = false; //  
@@ -143,8 +144,8 @@ function analisis_font({ fontData, fileSize }) {
     for (const char of chars) {
         const outline = glyphs[char].o;
         if (typeof outline === 'string' && outline.length > 0) {
-            const commands = (outline.match(/[mlqc]/g) || []).length;
-            const curves = (outline.match(/[qc]/g) || []).length;
+            const commands = (outline.match(/[mlqb]/g) || []).length;
+            const curves = (outline.match(/[qb]/g) || []).length;
             totalCommands += commands;
             totalCurves += curves;
         }
@@ -238,9 +239,9 @@ function classifyScore(score, thresholds) {
 }
 
 self.onmessage = function (e) {
-    const { fontData, fileSize } = e.data; 
+    const { analysisId, fontData, fileSize } = e.data; 
     const result = analisis_font({ fontData, fileSize });
     
     // Send the result back to the main thread in JSON format
-    self.postMessage(JSON.stringify(result));
+    self.postMessage(JSON.stringify({ analysisId, ...result }));
 };
\ No newline at end of file
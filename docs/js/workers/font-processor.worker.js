@@ -1,34 +1,98 @@
 /**
  * Project: Three.js JSON Font Editor
  * File: editor/js/workers/font-processor.worker.js
- * (CORRECTED VERSION)
  *
  * Description:
- * A module worker using absolute URLs from an ES Module CDN (esm.sh)
- * to resolve dependencies correctly within the isolated worker context.
+ * A module worker that converts binary fonts into three.js typeface JSON.
+ * All dependencies are bundled locally (see ./libs), so conversion works
+ * offline and behind proxies: WOFF/WOFF2 containers are unwrapped by
+ * woff-decoder.js and the resulting SFNT is converted by typeface-converter.js.
+ *
+ * Messages: { buffer, type, faceIndex? } converts a font (for .ttc/.otc the
+ * given face, default 0); { buffer, type, action: 'listFaces' } only lists
+ * the faces of a collection so the user can pick which ones to convert.
+ * Variable fonts are instanced at `variation` ({ wght: 700, ... }) when given;
+ * `characters` limits the output to those glyphs (live slider previews).
+ * Success replies carry `variations` (axes and named instances) for
+ * variable fonts, or null. Variable fonts also get their source buffer back
+ * as `sourceBuffer` (transferred), so the editor keeps it for later instances
+ * without copying every font it loads.
+ *
+ * SVG sources are handled by svg-font-converter.js: { buffer, type: 'svg',
+ * fileName } converts an SVG font (or a single glyph SVG named by codepoint)
+ * and { files: [{ name, text }], type: 'svg', familyName } builds a font
+ * from a set of per-glyph SVG files, replying with { fontData, skipped }
+ * (the files left out, each with the reason: not named by codepoint or
+ * unreadable).
+ *
+ * Several instances of this worker run as a pool: every reply echoes the
+ * `requestId` of the message it answers.
  */
 
-// 1. Importar directamente desde una CDN de módulos ES.
-//    esm.sh resolverá las dependencias internas de TTFLoader (como 'three') por nosotros.
-import { TTFLoader } from 'https://cdn.esm.sh/three@0.180.0/examples/jsm/loaders/TTFLoader.js';
+import { parseFont, convertFont } from './typeface-converter.js';
+import { getVariationInfo, instantiateVariableFont } from './font-variations.js';
+import { unwrapFontContainer, listCollectionFaces } from './woff-decoder.js';
+import { convertSvgFont, convertSvgGlyphFiles } from './svg-font-converter.js';
 
+const SUPPORTED_TYPES = ['ttf', 'otf', 'woff', 'woff2', 'ttc', 'otc', 'svg'];
  
-self.onmessage = function (e) {
-    const { buffer, type } = e.data;
+self.onmessage = async function (e) {
+    const { requestId, buffer, type, action, faceIndex = 0, variation = null, characters = null, fileName = '', files = null, familyName = '' } = e.data;
 
     try {
-        self.postMessage({ status: 'processing' });
+        self.postMessage({ requestId, status: 'processing' });
 
-        if (type !== 'ttf') {
-            throw new Error(`Unsupported file type: '${type}'. This worker only processes .TTF binary fonts.`);
+        if (!SUPPORTED_TYPES.includes(type)) {
+            throw new Error(`Unsupported file type: '${type}'. This worker only processes .TTF, .OTF, .TTC, .OTC, .WOFF, .WOFF2 and .SVG fonts.`);
         }
+
+        if (type === 'svg') {
+            self.postMessage({ requestId, status: 'success', result: _convertSvgSource(buffer, fileName, files, familyName), variations: null });
+            return;
+        }
+
+        if (action === 'listFaces') {
+            self.postMessage({ requestId, status: 'success', result: listCollectionFaces(buffer) });
+            return;
+        }
+
+        // WOFF/WOFF2 are decompressed locally into a plain SFNT first,
+        // collections are reduced to the requested face.
+        const sfntBuffer = await unwrapFontContainer(buffer, faceIndex);
+
+        // opentype.js reads both TrueType (glyf) and CFF outlines.
+        // Cubic CFF segments are emitted as 'b' commands.
+        const font = parseFont(sfntBuffer);
+        const variations = getVariationInfo(font);
+
+        if (variations && variation) {
+            const glyphIndices = characters ? Array.from(characters, char => font.charToGlyphIndex(char)) : null;
+            instantiateVariableFont(font, sfntBuffer, variation, glyphIndices);
+        }
+
+        const typefaceJson = convertFont(font, { characters });
         
-        const ttfLoader = new TTFLoader();
-        const typefaceJson = ttfLoader.parse(buffer);
-        
-        self.postMessage({ status: 'success', result: typefaceJson });
+        const sourceBuffer = variations ? buffer : null;
+        self.postMessage({ requestId, status: 'success', result: typefaceJson, variations, sourceBuffer }, sourceBuffer ? [sourceBuffer] : []);
 
     } catch (error) {
-        self.postMessage({ status: 'error', message: `Failed to parse font: ${error.message}` });
+        self.postMessage({ requestId, status: 'error', message: `Failed to parse font: ${error.message}` });
+    }
+};
+
+/**
+ * Converts an SVG font, a single per-glyph SVG or a set of per-glyph SVGs
+ * (the latter with the files it skipped).
+ * @private
+ */
+function _convertSvgSource(buffer, fileName, files, familyName) {
+    if (files) {
+        return convertSvgGlyphFiles(files, { familyName });
     }
-};
\ No newline at end of file
+    const text = new TextDecoder().decode(buffer);
+    const baseName = fileName.replace(/\.svg$/i, '');
+    // A document without <font> is treated as one glyph named by codepoint.
+    return /<(svg:)?font[\s>]/.test(text)
+        ? convertSvgFont(text, { familyName: baseName })
+        : convertSvgGlyphFiles([{ name: fileName, text }], { familyName: baseName }).fontData;
+}
@@ -0,0 +1,610 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/workers/font-variations.js
+ * Created: 2025-10-19
+ * Author: @lewopxd
+ *
+ * Description:
+ * Variable font support for the typeface converter. Reads the 'fvar' axes
+ * and named instances exposed by opentype.js and instantiates TrueType
+ * (glyf) variable fonts at a given location by applying the 'gvar' point
+ * deltas (with 'avar' normalization) to every glyph, so the regular
+ * conversion produces a static typeface JSON for that location.
+ */
+
+import opentype from './libs/opentype.module.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+// TupleVariationHeader flags.
+const EMBEDDED_PEAK_TUPLE = 0x8000;
+const INTERMEDIATE_REGION = 0x4000;
+const PRIVATE_POINT_NUMBERS = 0x2000;
+const TUPLE_INDEX_MASK = 0x0FFF;
+
+// GlyphVariationData flags.
+const SHARED_POINT_NUMBERS = 0x8000;
+const TUPLE_COUNT_MASK = 0x0FFF;
+
+// Packed point numbers / packed deltas control bytes.
+const POINTS_ARE_WORDS = 0x80;
+const POINT_RUN_COUNT_MASK = 0x7F;
+const DELTAS_ARE_ZERO = 0x80;
+const DELTAS_ARE_WORDS = 0x40;
+const DELTA_RUN_COUNT_MASK = 0x3F;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Describes the design space of a variable font.
+ * @param {object} font - An opentype.js Font.
+ * @returns {{axes: Array<object>, instances: Array<object>}|null} Null for static fonts.
+ */
+function getVariationInfo(font) {
+    const fvar = font.tables.fvar;
+    if (!fvar || !fvar.axes.length) return null;
+
+    return {
+        axes: fvar.axes.map(axis => ({
+            tag: axis.tag,
+            name: _englishName(axis.name) || axis.tag,
+            minValue: axis.minValue,
+            defaultValue: axis.defaultValue,
+            maxValue: axis.maxValue
+        })),
+        instances: fvar.instances.map(instance => ({
+            name: _englishName(instance.name),
+            coordinates: { ...instance.coordinates }
+        }))
+    };
+}
+
+/**
+ * Applies the 'gvar' deltas for the given axis values to every glyph of the
+ * font, in place. Glyph paths, advance widths and bounds are replaced by the
+ * instanced ones and the 'head' bounding box is recomputed.
+ * @param {object} font - An opentype.js Font parsed from `buffer`.
+ * @param {ArrayBuffer} buffer - The SFNT data the font was parsed from.
+ * @param {Object<string, number>} coordinates - User-space axis values keyed by tag (e.g. { wght: 700 }).
+ * @param {Array<number>} [glyphIndices] - Only instance these glyphs (used for fast live previews).
+ */
+function instantiateVariableFont(font, buffer, coordinates, glyphIndices = null) {
+    const variationInfo = getVariationInfo(font);
+    if (!variationInfo) {
+        throw new Error('This font has no variation axes.');
+    }
+
+    const tables = _readTableDirectory(buffer);
+    if (!tables.gvar || !tables.glyf) {
+        throw new Error('Only TrueType (glyf/gvar) variable fonts can be instanced.');
+    }
+
+    const normalized = _normalizeCoordinates(variationInfo.axes, coordinates, tables.avar && _parseAvar(buffer, tables.avar));
+    if (normalized.every(value => value === 0)) return; // Default location: nothing to apply.
+
+    const gvar = _parseGvarHeader(buffer, tables.gvar);
+    const instanced = new Map();
+
+    if (glyphIndices) {
+        glyphIndices.forEach(index => _instantiateGlyph(font, gvar, normalized, index, instanced));
+    } else {
+        for (let index = 0; index < font.glyphs.length; index++) {
+            _instantiateGlyph(font, gvar, normalized, index, instanced);
+        }
+    }
+
+    _updateFontBounds(font, instanced);
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//------------------[   GLYPH INSTANCING   ]-------------------
+//-------------------------------------------------------------
+
+/**
+ * Computes (once) the instanced points and advance of a glyph. Composite
+ * glyphs first instance their components and then move each component by
+ * its own offset delta.
+ * @returns {{points: Array<object>, advanceWidth: number}}
+ * @private
+ */
+function _instantiateGlyph(font, gvar, normalized, index, instanced) {
+    if (instanced.has(index)) return instanced.get(index);
+
+    const glyph = font.glyphs.get(index);
+    glyph.getPath(); // Forces opentype.js to parse the outline (and set .points/.components).
+
+    const isComposite = !!glyph.isComposite;
+    const basePoints = isComposite
+        ? glyph.components.map(component => ({ x: component.dx, y: component.dy }))
+        : (glyph.points || []);
+
+    const originX = glyph.points && glyph.points.length ? glyph.xMin - glyph.leftSideBearing : 0;
+    const phantoms = [
+        { x: originX, y: 0 },
+        { x: originX + glyph.advanceWidth, y: 0 },
+        { x: 0, y: 0 },
+        { x: 0, y: 0 }
+    ];
+
+    const deltas = _computeGlyphDeltas(gvar, normalized, index, [...basePoints, ...phantoms], isComposite ? null : glyph.endPointIndices);
+
+    let points;
+    if (isComposite) {
+        points = [];
+        glyph.components.forEach((component, i) => {
+            const componentPoints = _instantiateGlyph(font, gvar, normalized, component.glyphIndex, instanced).points;
+            const transform = {
+                xScale: component.xScale, scale01: component.scale01,
+                scale10: component.scale10, yScale: component.yScale,
+                dx: Math.round(component.dx + deltas.x[i]),
+                dy: Math.round(component.dy + deltas.y[i])
+            };
+
+            if (component.matchedPoints !== undefined) {
+                const firstPt = points[component.matchedPoints[0]];
+                const secondPt = _transformPoints([componentPoints[component.matchedPoints[1]]], { ...transform, dx: 0, dy: 0 })[0];
+                if (!firstPt || !secondPt) {
+                    throw new Error(`Matched points out of range in glyph ${index}.`);
+                }
+                transform.dx = firstPt.x - secondPt.x;
+                transform.dy = firstPt.y - secondPt.y;
+            }
+
+            points = points.concat(_transformPoints(componentPoints, transform));
+        });
+    } else {
+        points = basePoints.map((point, i) => ({
+            x: Math.round(point.x + deltas.x[i]),
+            y: Math.round(point.y + deltas.y[i]),
+            onCurve: point.onCurve,
+            lastPointOfContour: point.lastPointOfContour
+        }));
+    }
+
+    const count = basePoints.length;
+    const advanceWidth = Math.max(0, Math.round(glyph.advanceWidth + deltas.x[count + 1] - deltas.x[count]));
+    const result = { points, advanceWidth };
+    instanced.set(index, result);
+
+    if (deltas.changed || isComposite) {
+        glyph.points = points;
+        glyph.path = _pointsToPath(points);
+        glyph.path.unitsPerEm = font.unitsPerEm;
+        glyph.advanceWidth = advanceWidth;
+        if (points.length) {
+            glyph.xMin = Math.min(...points.map(p => p.x));
+            glyph.xMax = Math.max(...points.map(p => p.x));
+            glyph.yMin = Math.min(...points.map(p => p.y));
+            glyph.yMax = Math.max(...points.map(p => p.y));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Sums the scaled deltas of every tuple variation of a glyph.
+ * @returns {{x: Float64Array, y: Float64Array, changed: boolean}}
+ * @private
+ */
+function _computeGlyphDeltas(gvar, normalized, index, points, endPointIndices) {
+    const total = points.length;
+    const result = { x: new Float64Array(total), y: new Float64Array(total), changed: false };
+
+    const start = gvar.glyphOffsets[index];
+    const end = gvar.glyphOffsets[index + 1];
+    if (end <= start) return result;
+
+    const view = gvar.view;
+    const base = gvar.dataStart + start;
+    const tupleInfo = view.getUint16(base);
+    const tupleCount = tupleInfo & TUPLE_COUNT_MASK;
+    let dataOffset = base + view.getUint16(base + 2);
+    let headerOffset = base + 4;
+
+    let sharedPoints = null;
+    if (tupleInfo & SHARED_POINT_NUMBERS) {
+        const packed = _readPackedPoints(view, dataOffset, total);
+        sharedPoints = packed.points;
+        dataOffset = packed.offset;
+    }
+
+    const axisCount = normalized.length;
+    for (let t = 0; t < tupleCount; t++) {
+        const variationDataSize = view.getUint16(headerOffset);
+        const tupleIndex = view.getUint16(headerOffset + 2);
+        headerOffset += 4;
+
+        let peak;
+        if (tupleIndex & EMBEDDED_PEAK_TUPLE) {
+            peak = _readTuple(view, headerOffset, axisCount);
+            headerOffset += axisCount * 2;
+        } else {
+            peak = gvar.sharedTuples[tupleIndex & TUPLE_INDEX_MASK];
+        }
+
+        let startTuple = null;
+        let endTuple = null;
+        if (tupleIndex & INTERMEDIATE_REGION) {
+            startTuple = _readTuple(view, headerOffset, axisCount);
+            endTuple = _readTuple(view, headerOffset + axisCount * 2, axisCount);
+            headerOffset += axisCount * 4;
+        }
+
+        const tupleDataStart = dataOffset;
+        dataOffset += variationDataSize;
+
+        const scalar = _tupleScalar(normalized, peak, startTuple, endTuple);
+        if (scalar === 0) continue;
+
+        let offset = tupleDataStart;
+        let pointNumbers = sharedPoints;
+        if (tupleIndex & PRIVATE_POINT_NUMBERS) {
+            const packed = _readPackedPoints(view, offset, total);
+            pointNumbers = packed.points;
+            offset = packed.offset;
+        }
+
+        const deltaCount = pointNumbers ? pointNumbers.length : total;
+        const xs = _readPackedDeltas(view, offset, deltaCount);
+        const ys = _readPackedDeltas(view, xs.offset, deltaCount);
+
+        let tupleX = xs.deltas;
+        let tupleY = ys.deltas;
+        if (pointNumbers && endPointIndices) {
+            // Untouched outline points get interpolated deltas (IUP).
+            const expanded = _interpolateUntouched(points, endPointIndices, pointNumbers, tupleX, tupleY);
+            tupleX = expanded.x;
+            tupleY = expanded.y;
+            pointNumbers = null;
+        }
+
+        const appliedCount = pointNumbers ? pointNumbers.length : total;
+        for (let i = 0; i < appliedCount; i++) {
+            const pointIndex = pointNumbers ? pointNumbers[i] : i;
+            if (pointIndex >= total) continue;
+            result.x[pointIndex] += tupleX[i] * scalar;
+            result.y[pointIndex] += tupleY[i] * scalar;
+        }
+        result.changed = true;
+    }
+
+    return result;
+}
+
+/**
+ * Infers the deltas of points that a tuple does not reference, per contour,
+ * by interpolating between the nearest referenced points (gvar IUP).
+ * @returns {{x: Float64Array, y: Float64Array}} Deltas for every point (phantoms included).
+ * @private
+ */
+function _interpolateUntouched(points, endPointIndices, pointNumbers, deltasX, deltasY) {
+    const total = points.length;
+    const x = new Float64Array(total);
+    const y = new Float64Array(total);
+    const touched = new Uint8Array(total);
+
+    pointNumbers.forEach((pointIndex, i) => {
+        if (pointIndex >= total) return;
+        x[pointIndex] = deltasX[i];
+        y[pointIndex] = deltasY[i];
+        touched[pointIndex] = 1;
+    });
+
+    let first = 0;
+    endPointIndices.forEach(last => {
+        const length = last - first + 1;
+        const references = [];
+        for (let i = first; i <= last; i++) {
+            if (touched[i]) references.push(i);
+        }
+
+        if (references.length && references.length < length) {
+            references.forEach((ref1, k) => {
+                const ref2 = references[(k + 1) % references.length];
+                // Walk the untouched points between ref1 and ref2, wrapping around the contour.
+                for (let i = first + ((ref1 - first + 1) % length); i !== ref2; i = first + ((i - first + 1) % length)) {
+                    x[i] = _interpolateDelta(points[i].x, points[ref1].x, points[ref2].x, x[ref1], x[ref2]);
+                    y[i] = _interpolateDelta(points[i].y, points[ref1].y, points[ref2].y, y[ref1], y[ref2]);
+                }
+            });
+        }
+        first = last + 1;
+    });
+
+    return { x, y };
+}
+
+function _interpolateDelta(coord, coord1, coord2, delta1, delta2) {
+    if (coord1 === coord2) return delta1 === delta2 ? delta1 : 0;
+
+    const [lowCoord, lowDelta, highCoord, highDelta] = coord1 < coord2
+        ? [coord1, delta1, coord2, delta2]
+        : [coord2, delta2, coord1, delta1];
+
+    if (coord <= lowCoord) return lowDelta;
+    if (coord >= highCoord) return highDelta;
+    return lowDelta + (coord - lowCoord) / (highCoord - lowCoord) * (highDelta - lowDelta);
+}
+
+/**
+ * Scalar contribution of one tuple variation at the normalized location.
+ * @private
+ */
+function _tupleScalar(normalized, peak, startTuple, endTuple) {
+    let scalar = 1;
+    for (let i = 0; i < normalized.length; i++) {
+        const peakValue = peak[i];
+        if (peakValue === 0) continue;
+        const value = normalized[i];
+        if (value === peakValue) continue;
+        if (value === 0) return 0;
+
+        if (startTuple) {
+            const startValue = startTuple[i];
+            const endValue = endTuple[i];
+            if (startValue > peakValue || peakValue > endValue) continue;
+            if (startValue < 0 && endValue > 0) continue;
+            if (value < startValue || value > endValue) return 0;
+            scalar *= value < peakValue
+                ? (value - startValue) / (peakValue - startValue)
+                : (endValue - value) / (endValue - peakValue);
+        } else {
+            if (value < Math.min(0, peakValue) || value > Math.max(0, peakValue)) return 0;
+            scalar *= value / peakValue;
+        }
+    }
+    return scalar;
+}
+
+//----------------------------------------> END [GLYPH INSTANCING]
+
+
+//-------------------------------------------------------------
+//------------------[   TABLE PARSING   ]----------------------
+//-------------------------------------------------------------
+
+function _readTableDirectory(buffer) {
+    const view = new DataView(buffer);
+    const numTables = view.getUint16(4);
+    const tables = {};
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        const tag = String.fromCharCode(view.getUint8(record), view.getUint8(record + 1), view.getUint8(record + 2), view.getUint8(record + 3));
+        tables[tag.trim()] = { offset: view.getUint32(record + 8), length: view.getUint32(record + 12) };
+    }
+    return tables;
+}
+
+function _parseGvarHeader(buffer, entry) {
+    const view = new DataView(buffer, entry.offset, entry.length);
+    const axisCount = view.getUint16(4);
+    const sharedTupleCount = view.getUint16(6);
+    const sharedTuplesOffset = view.getUint32(8);
+    const glyphCount = view.getUint16(12);
+    const flags = view.getUint16(14);
+    const dataStart = view.getUint32(16);
+    const longOffsets = (flags & 1) === 1;
+
+    const glyphOffsets = new Uint32Array(glyphCount + 1);
+    for (let i = 0; i <= glyphCount; i++) {
+        glyphOffsets[i] = longOffsets ? view.getUint32(20 + i * 4) : view.getUint16(20 + i * 2) * 2;
+    }
+
+    const sharedTuples = [];
+    for (let i = 0; i < sharedTupleCount; i++) {
+        sharedTuples.push(_readTuple(view, sharedTuplesOffset + i * axisCount * 2, axisCount));
+    }
+
+    return { view, axisCount, sharedTuples, glyphOffsets, dataStart };
+}
+
+/**
+ * Reads the 'avar' segment maps, one list of [from, to] pairs per axis.
+ * @private
+ */
+function _parseAvar(buffer, entry) {
+    const view = new DataView(buffer, entry.offset, entry.length);
+    const axisCount = view.getUint16(6);
+    const segmentMaps = [];
+    let offset = 8;
+    for (let i = 0; i < axisCount; i++) {
+        const count = view.getUint16(offset);
+        offset += 2;
+        const pairs = [];
+        for (let j = 0; j < count; j++) {
+            pairs.push([_f2dot14(view, offset), _f2dot14(view, offset + 2)]);
+            offset += 4;
+        }
+        segmentMaps.push(pairs);
+    }
+    return segmentMaps;
+}
+
+/**
+ * Converts user-space axis values to normalized [-1, 1] coordinates,
+ * applying the 'avar' mapping and 2.14 rounding like a shaping engine.
+ * @private
+ */
+function _normalizeCoordinates(axes, coordinates, avarMaps) {
+    return axes.map((axis, i) => {
+        const requested = coordinates[axis.tag];
+        const value = Math.min(axis.maxValue, Math.max(axis.minValue, requested === undefined ? axis.defaultValue : Number(requested)));
+
+        let normalized = 0;
+        if (value < axis.defaultValue) normalized = -(axis.defaultValue - value) / (axis.defaultValue - axis.minValue);
+        else if (value > axis.defaultValue) normalized = (value - axis.defaultValue) / (axis.maxValue - axis.defaultValue);
+
+        const map = avarMaps && avarMaps[i];
+        if (map && map.length) {
+            for (let k = 1; k < map.length; k++) {
+                if (normalized <= map[k][0]) {
+                    const [fromA, toA] = map[k - 1];
+                    const [fromB, toB] = map[k];
+                    normalized = fromB === fromA ? toA : toA + (normalized - fromA) / (fromB - fromA) * (toB - toA);
+                    break;
+                }
+            }
+        }
+
+        return Math.round(normalized * 16384) / 16384;
+    });
+}
+
+function _readTuple(view, offset, axisCount) {
+    const tuple = [];
+    for (let i = 0; i < axisCount; i++) tuple.push(_f2dot14(view, offset + i * 2));
+    return tuple;
+}
+
+function _f2dot14(view, offset) {
+    return view.getInt16(offset) / 16384;
+}
+
+function _readPackedPoints(view, offset, totalPoints) {
+    let count = view.getUint8(offset++);
+    if (count & POINTS_ARE_WORDS) {
+        count = ((count & POINT_RUN_COUNT_MASK) << 8) | view.getUint8(offset++);
+    }
+    if (count === 0) return { points: null, offset }; // All points.
+
+    const points = [];
+    let current = 0;
+    while (points.length < count) {
+        const control = view.getUint8(offset++);
+        const runLength = (control & POINT_RUN_COUNT_MASK) + 1;
+        for (let i = 0; i < runLength && points.length < count; i++) {
+            if (control & POINTS_ARE_WORDS) {
+                current += view.getUint16(offset);
+                offset += 2;
+            } else {
+                current += view.getUint8(offset++);
+            }
+            points.push(current);
+        }
+    }
+    return { points: points.length === totalPoints ? null : points, offset };
+}
+
+function _readPackedDeltas(view, offset, count) {
+    const deltas = new Float64Array(count);
+    let filled = 0;
+    while (filled < count) {
+        const control = view.getUint8(offset++);
+        const runLength = (control & DELTA_RUN_COUNT_MASK) + 1;
+        for (let i = 0; i < runLength && filled < count; i++) {
+            if ((control & (DELTAS_ARE_ZERO | DELTAS_ARE_WORDS)) === (DELTAS_ARE_ZERO | DELTAS_ARE_WORDS)) {
+                deltas[filled++] = view.getInt32(offset);
+                offset += 4;
+            } else if (control & DELTAS_ARE_ZERO) {
+                deltas[filled++] = 0;
+            } else if (control & DELTAS_ARE_WORDS) {
+                deltas[filled++] = view.getInt16(offset);
+                offset += 2;
+            } else {
+                deltas[filled++] = view.getInt8(offset++);
+            }
+        }
+    }
+    return { deltas, offset };
+}
+
+//----------------------------------------> END [TABLE PARSING]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+function _englishName(name) {
+    if (!name) return '';
+    return name.en || Object.values(name)[0] || '';
+}
+
+function _transformPoints(points, transform) {
+    return points.map(pt => ({
+        x: transform.xScale * pt.x + transform.scale01 * pt.y + transform.dx,
+        y: transform.scale10 * pt.x + transform.yScale * pt.y + transform.dy,
+        onCurve: pt.onCurve,
+        lastPointOfContour: pt.lastPointOfContour
+    }));
+}
+
+/**
+ * Builds an opentype.js Path from TrueType points, exactly like
+ * opentype.js does for unvaried glyphs (implied on-curve midpoints).
+ * @private
+ */
+function _pointsToPath(points) {
+    const path = new opentype.Path();
+    let contour = [];
+
+    points.forEach(point => {
+        contour.push(point);
+        if (!point.lastPointOfContour) return;
+
+        let curr = contour[contour.length - 1];
+        let next = contour[0];
+
+        if (curr.onCurve) {
+            path.moveTo(curr.x, curr.y);
+        } else if (next.onCurve) {
+            path.moveTo(next.x, next.y);
+        } else {
+            path.moveTo((curr.x + next.x) * 0.5, (curr.y + next.y) * 0.5);
+        }
+
+        for (let i = 0; i < contour.length; ++i) {
+            const prev = curr;
+            curr = next;
+            next = contour[(i + 1) % contour.length];
+
+            if (curr.onCurve) {
+                path.lineTo(curr.x, curr.y);
+            } else {
+                const next2 = next.onCurve ? next : { x: (curr.x + next.x) * 0.5, y: (curr.y + next.y) * 0.5 };
+                path.quadraticCurveTo(curr.x, curr.y, next2.x, next2.y);
+            }
+        }
+
+        path.closePath();
+        contour = [];
+    });
+
+    return path;
+}
+
+function _updateFontBounds(font, instanced) {
+    let xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+    instanced.forEach(({ points }) => {
+        points.forEach(p => {
+            if (p.x < xMin) xMin = p.x;
+            if (p.x > xMax) xMax = p.x;
+            if (p.y < yMin) yMin = p.y;
+            if (p.y > yMax) yMax = p.y;
+        });
+    });
+
+    if (xMin !== Infinity) {
+        const head = font.tables.head;
+        head.xMin = Math.round(xMin);
+        head.yMin = Math.round(yMin);
+        head.xMax = Math.round(xMax);
+        head.yMax = Math.round(yMax);
+    }
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { getVariationInfo, instantiateVariableFont };
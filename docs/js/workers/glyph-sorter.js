@@ -7,8 +7,45 @@
  * Description:
  * A dedicated web worker to categorize and sort font glyph keys without
  * blocking the main UI thread. It returns a structured, categorized map.
+ * Categories follow the Unicode general category and block of
+ * each character, sorted by code point. Runs as a module worker to share
+ * the block table with the coverage report.
  */
 
+import { UNICODE_BLOCKS, getUnicodeBlock } from '../unicode-coverage.js';
+
+// Basic Latin is split by general category, as the first sections of the grid.
+const BASIC_LATIN_CATEGORIES = [
+    { name: 'Uppercase A-Z', pattern: /^\p{Lu}$/u },
+    { name: 'Lowercase a-z', pattern: /^\p{Ll}$/u },
+    { name: 'Digits 0-9', pattern: /^\p{Nd}$/u },
+    { name: 'Punctuation', pattern: /^\p{P}$/u },
+    { name: 'Common Symbols', pattern: /^\p{S}$/u }
+];
+
+// Spaces and invisible characters from every block are kept together.
+const INVISIBLE_CATEGORY = { name: 'Spaces & Invisible Characters', pattern: /^[\p{Z}\p{Cc}\p{Cf}]$/u };
+
+// Characters outside the known blocks, by the major class of their general category.
+const FALLBACK_CATEGORIES = [
+    { name: 'Other Letters', pattern: /^\p{L}$/u },
+    { name: 'Other Marks', pattern: /^\p{M}$/u },
+    { name: 'Other Numbers', pattern: /^\p{N}$/u },
+    { name: 'Other Punctuation', pattern: /^\p{P}$/u },
+    { name: 'Other Symbols', pattern: /^\p{S}$/u }
+];
+
+// Keys that are not a single character, and anything left.
+const OTHER_CATEGORY = 'Other Glyphs';
+
+const CATEGORY_ORDER = [
+    ...BASIC_LATIN_CATEGORIES.map(category => category.name),
+    ...UNICODE_BLOCKS.map(([name]) => name).filter(name => name !== 'Basic Latin'),
+    INVISIBLE_CATEGORY.name,
+    ...FALLBACK_CATEGORIES.map(category => category.name),
+    OTHER_CATEGORY
+];
+
 self.onmessage = function(e) {
     const { fontKey, glyphs } = e.data;
     if (!glyphs) {
@@ -18,62 +55,18 @@ self.onmessage = function(e) {
 
     const originalOrder = Object.keys(glyphs);
 
-    // Define character sets and their display names
-    const sets = {
-        uppercase: "ABCDEFGHIJKLMNOPQRSTUVWXYZ",
-        lowercase: "abcdefghijklmnopqrstuvwxyz",
-        digits: "0123456789",
-        punctuation: `.,;:!?-_"'()[]{}`,
-        symbols: `@#$%^&*+=<>|/\\~`
-    };
-    const categoryDisplayNames = {
-        uppercase: 'Uppercase A-Z',
-        lowercase: 'Lowercase a-z',
-        digits: 'Digits 0-9',
-        punctuation: 'Punctuation',
-        symbols: 'Common Symbols',
-        other: 'Other Glyphs'
-    };
-    const categoryOrder = ['uppercase', 'lowercase', 'digits', 'punctuation', 'symbols', 'other'];
-
-    const categorized = {
-        uppercase: [],
-        lowercase: [],
-        digits: [],
-        punctuation: [],
-        symbols: [],
-        other: []
-    };
-
     // Categorize each glyph key
+    const categorized = new Map();
     for (const char of originalOrder) {
-        let found = false;
-        for (const category in sets) {
-            if (sets[category].includes(char)) {
-                categorized[category].push(char);
-                found = true;
-                break;
-            }
-        }
-        if (!found) {
-            categorized.other.push(char);
-        }
+        const category = categorize(char);
+        if (!categorized.has(category)) categorized.set(category, []);
+        categorized.get(category).push(char);
     }
 
-    // Build the hierarchical categorizedOrder array
-    const categorizedOrder = [];
-    for (const categoryKey of categoryOrder) {
-        // Sort characters within each category alphabetically/numerically
-        categorized[categoryKey].sort();
-
-        // Only add the category if it contains glyphs
-        if (categorized[categoryKey].length > 0) {
-            categorizedOrder.push({
-                name: categoryDisplayNames[categoryKey],
-                keys: categorized[categoryKey]
-            });
-        }
-    }
+    // Build the hierarchical categorizedOrder array, skipping empty categories
+    const categorizedOrder = CATEGORY_ORDER
+        .filter(name => categorized.has(name))
+        .map(name => ({ name, keys: categorized.get(name).sort(compareCodePoints) }));
 
     const glyphMap = {
         originalOrder,
@@ -81,4 +74,27 @@ self.onmessage = function(e) {
     };
 
     self.postMessage({ fontKey, glyphMap });
-};
\ No newline at end of file
+};
+
+/**
+ * Name of the grid section a glyph key belongs to.
+ */
+function categorize(char) {
+    if (Array.from(char).length !== 1) return OTHER_CATEGORY;
+    if (INVISIBLE_CATEGORY.pattern.test(char)) return INVISIBLE_CATEGORY.name;
+
+    const block = getUnicodeBlock(char.codePointAt(0));
+    if (block === 'Basic Latin') {
+        return BASIC_LATIN_CATEGORIES.find(category => category.pattern.test(char))?.name || OTHER_CATEGORY;
+    }
+    if (block) return block;
+    return FALLBACK_CATEGORIES.find(category => category.pattern.test(char))?.name || OTHER_CATEGORY;
+}
+
+/**
+ * Code point order, which unlike the default sort keeps characters beyond
+ * U+FFFF (two UTF-16 units) after the rest.
+ */
+function compareCodePoints(a, b) {
+    return a.codePointAt(0) - b.codePointAt(0) || (a < b ? -1 : a > b ? 1 : 0);
+}
@@ -0,0 +1,709 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/workers/svg-font-converter.js
+ * Created: 2025-10-19
+ * Author: @lewopxd
+ *
+ * Description:
+ * Builds three.js typeface JSON from SVG sources: an SVG font
+ * (<font>/<font-face>/<glyph d="...">) or a set of standalone SVG files,
+ * one glyph per file, named by codepoint (e.g. "0041.svg", "U+00E9.svg",
+ * "uni20AC.svg" or a single character such as "A.svg"). SVG path data is
+ * converted into the typeface outline language (m/l/q/b) using the same
+ * scaling and rounding as the TTF converter. Runs without DOM APIs so it
+ * can be used inside the font processor worker.
+ */
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+const DEFAULT_UNITS_PER_EM = 1000;
+
+// Elements whose children are never rendered directly.
+const NON_RENDERED_ELEMENTS = ['defs', 'clipPath', 'mask', 'symbol', 'pattern', 'marker', 'metadata', 'title', 'desc', 'style'];
+
+// Number of parameters taken by each SVG path command.
+const PATH_PARAM_COUNT = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// File names of per-glyph SVGs: "U+0041.svg", "u0041.svg", "uni0041.svg" (optionally "uni0041-name.svg").
+const PREFIXED_CODEPOINT_FILE_NAME = /^(?:U\+|uni|u)([0-9A-F]{4,6})(?:[-_. ].*)?\.svg$/i;
+// Bare hex names ("0041.svg") need a digit, so words like "face.svg" or "cafe.svg" are not code points.
+const BARE_CODEPOINT_FILE_NAME = /^(?=[A-F]*[0-9])([0-9A-F]{4,6})\.svg$/i;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Converts an SVG font document to typeface JSON.
+ * @param {string} svgText - The SVG document containing a <font> element.
+ * @param {object} [options]
+ * @param {string} [options.familyName] - Fallback family name.
+ * @returns {object} The typeface JSON.
+ */
+function convertSvgFont(svgText, { familyName = '' } = {}) {
+    const elements = _parseElements(svgText);
+    const fontElement = elements.find(el => el.name === 'font');
+    if (!fontElement) {
+        throw new Error('No <font> element found in the SVG document.');
+    }
+
+    const fontFace = elements.find(el => el.name === 'font-face')?.attributes || {};
+    const unitsPerEm = _number(fontFace['units-per-em'], DEFAULT_UNITS_PER_EM);
+    const defaultAdvance = _number(fontElement.attributes['horiz-adv-x'], unitsPerEm);
+
+    const glyphs = [];
+    elements.filter(el => el.name === 'glyph').forEach(el => {
+        const codePoints = Array.from(_decodeEntities(el.attributes.unicode || ''));
+        if (codePoints.length !== 1) return; // Ligatures and unmapped glyphs have no single character.
+
+        glyphs.push({
+            char: codePoints[0],
+            advance: _number(el.attributes['horiz-adv-x'], defaultAdvance),
+            segments: parseSvgPath(el.attributes.d || '')
+        });
+    });
+
+    if (!glyphs.length) {
+        throw new Error('The SVG font does not contain any <glyph> with a unicode value.');
+    }
+
+    const family = fontFace['font-family'] || fontElement.attributes.id || familyName || 'SVG Font';
+    return _buildTypeface(glyphs, {
+        unitsPerEm,
+        ascender: _number(fontFace.ascent, unitsPerEm * 0.8),
+        descender: _number(fontFace.descent, -unitsPerEm * 0.2),
+        underlinePosition: _number(fontFace['underline-position'], Math.round(-unitsPerEm * 0.1)),
+        underlineThickness: _number(fontFace['underline-thickness'], Math.round(unitsPerEm * 0.05)),
+        familyName: family,
+        subfamilyName: _subfamilyName(fontFace)
+    });
+}
+
+/**
+ * Converts a set of standalone SVG files, one glyph per file named by
+ * codepoint, to typeface JSON. Each viewBox becomes the glyph's em box:
+ * its height maps to the units-per-em, its width to the advance and its
+ * bottom edge to the baseline.
+ * @param {Array<{name: string, text: string}>} files - The SVG files.
+ * @param {object} [options]
+ * @param {string} [options.familyName] - The family name (e.g. the folder name).
+ * @returns {{fontData: object, skipped: Array<{name: string, reason: string}>}}
+ * The typeface JSON and the files left out: those not named by codepoint
+ * (reason 'not named by codepoint') and those that could not be read.
+ */
+function convertSvgGlyphFiles(files, { familyName = 'SVG Glyphs' } = {}) {
+    const sources = [];
+    const skipped = [];
+
+    files.forEach(file => {
+        const char = characterFromFileName(file.name);
+        if (!char) {
+            skipped.push({ name: file.name, reason: 'not named by codepoint' });
+            return;
+        }
+        // One broken file (no viewBox, truncated path data...) does not sink the whole set.
+        try {
+            sources.push({ char, ..._readGlyphSvg(file.text, file.name) });
+        } catch (error) {
+            skipped.push({ name: file.name, reason: error.message });
+        }
+    });
+
+    if (!sources.length) {
+        const unreadable = skipped.find(file => file.reason !== 'not named by codepoint');
+        throw new Error(unreadable
+            ? `None of the SVG files named by codepoint could be read. ${unreadable.name}: ${unreadable.reason}`
+            : 'No SVG file is named by a codepoint (expected names like "0041.svg", "U+00E9.svg" or "A.svg").');
+    }
+    const unitsPerEm = Math.max(...sources.map(source => source.viewBox.height));
+
+    const glyphs = sources.map(({ char, viewBox, segments }) => {
+        const scale = unitsPerEm / viewBox.height;
+        // SVG is y-down with the origin at the top-left of the viewBox; fonts are y-up on the baseline.
+        const toFont = (x, y) => [(x - viewBox.x) * scale, (viewBox.y + viewBox.height - y) * scale];
+        return {
+            char,
+            advance: viewBox.width * scale,
+            segments: _mapSegments(segments, toFont)
+        };
+    });
+
+    const fontData = _buildTypeface(glyphs, {
+        unitsPerEm,
+        ascender: unitsPerEm,
+        descender: 0,
+        underlinePosition: Math.round(-unitsPerEm * 0.1),
+        underlineThickness: Math.round(unitsPerEm * 0.05),
+        familyName,
+        subfamilyName: 'Regular'
+    });
+    return { fontData, skipped };
+}
+
+/**
+ * Returns the character a per-glyph SVG file stands for, or null.
+ * @param {string} fileName - e.g. "0041.svg", "U+00E9.svg", "uni20AC.svg", "A.svg"
+ * (but not "face.svg").
+ * @returns {string|null}
+ */
+function characterFromFileName(fileName) {
+    const baseName = fileName.split('/').pop();
+    const match = baseName.match(PREFIXED_CODEPOINT_FILE_NAME) || baseName.match(BARE_CODEPOINT_FILE_NAME);
+    if (match) {
+        const codePoint = parseInt(match[1], 16);
+        return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : null;
+    }
+    const stem = baseName.replace(/\.svg$/i, '');
+    return Array.from(stem).length === 1 ? stem : null;
+}
+
+/**
+ * Parses SVG path data into absolute M/L/Q/C/Z segments. H/V become lines,
+ * S/T are reflected into full curves and arcs are approximated by cubics.
+ * @param {string} d - The path data.
+ * @returns {Array<object>} Segments: {type, x, y, x1?, y1?, x2?, y2?}.
+ */
+function parseSvgPath(d) {
+    const segments = [];
+    const tokens = _tokenizePath(d);
+    let index = 0;
+    let command = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let lastControl = null; // Reflection point for S/T: { type: 'C'|'Q', x, y }
+
+    const next = () => tokens[index++].value;
+
+    while (index < tokens.length) {
+        if (tokens[index].type === 'command') {
+            command = tokens[index++].value;
+        } else if (!command) {
+            throw new Error(`Path data must start with a command: "${d.slice(0, 20)}"`);
+        }
+
+        const upper = command.toUpperCase();
+        const relative = command !== upper;
+
+        if (upper === 'Z') {
+            segments.push({ type: 'Z' });
+            x = startX;
+            y = startY;
+            lastControl = null;
+            // 'Z' takes no parameters; a following number would be invalid.
+            if (index < tokens.length && tokens[index].type !== 'command') {
+                throw new Error('Unexpected number after a closepath command.');
+            }
+            continue;
+        }
+
+        if (index + PATH_PARAM_COUNT[upper] > tokens.length) {
+            throw new Error(`Incomplete '${command}' command in path data.`);
+        }
+
+        const dx = relative ? x : 0;
+        const dy = relative ? y : 0;
+
+        switch (upper) {
+            case 'M': {
+                x = next() + dx; y = next() + dy;
+                startX = x; startY = y;
+                segments.push({ type: 'M', x, y });
+                command = relative ? 'l' : 'L'; // Extra coordinate pairs are implicit linetos.
+                lastControl = null;
+                break;
+            }
+            case 'L':
+                x = next() + dx; y = next() + dy;
+                segments.push({ type: 'L', x, y });
+                lastControl = null;
+                break;
+            case 'H':
+                x = next() + dx;
+                segments.push({ type: 'L', x, y });
+                lastControl = null;
+                break;
+            case 'V':
+                y = next() + dy;
+                segments.push({ type: 'L', x, y });
+                lastControl = null;
+                break;
+            case 'C': {
+                const x1 = next() + dx, y1 = next() + dy, x2 = next() + dx, y2 = next() + dy;
+                x = next() + dx; y = next() + dy;
+                segments.push({ type: 'C', x1, y1, x2, y2, x, y });
+                lastControl = { type: 'C', x: x2, y: y2 };
+                break;
+            }
+            case 'S': {
+                const [x1, y1] = lastControl && lastControl.type === 'C' ? [2 * x - lastControl.x, 2 * y - lastControl.y] : [x, y];
+                const x2 = next() + dx, y2 = next() + dy;
+                x = next() + dx; y = next() + dy;
+                segments.push({ type: 'C', x1, y1, x2, y2, x, y });
+                lastControl = { type: 'C', x: x2, y: y2 };
+                break;
+            }
+            case 'Q': {
+                const x1 = next() + dx, y1 = next() + dy;
+                x = next() + dx; y = next() + dy;
+                segments.push({ type: 'Q', x1, y1, x, y });
+                lastControl = { type: 'Q', x: x1, y: y1 };
+                break;
+            }
+            case 'T': {
+                const [x1, y1] = lastControl && lastControl.type === 'Q' ? [2 * x - lastControl.x, 2 * y - lastControl.y] : [x, y];
+                x = next() + dx; y = next() + dy;
+                segments.push({ type: 'Q', x1, y1, x, y });
+                lastControl = { type: 'Q', x: x1, y: y1 };
+                break;
+            }
+            case 'A': {
+                const rx = next(), ry = next(), rotation = next(), largeArc = next(), sweep = next();
+                const endX = next() + dx, endY = next() + dy;
+                _arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, endX, endY).forEach(segment => segments.push(segment));
+                x = endX; y = endY;
+                lastControl = null;
+                break;
+            }
+            default:
+                throw new Error(`Unknown path command '${command}'.`);
+        }
+    }
+
+    return segments;
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//------------------[   TYPEFACE ASSEMBLY   ]------------------
+//-------------------------------------------------------------
+
+/**
+ * Assembles the typeface JSON from glyph outlines in font units (y-up),
+ * using TTFLoader's scale (100000 / (unitsPerEm * 72)) and rounding.
+ * @private
+ */
+function _buildTypeface(glyphSources, metrics) {
+    const round = Math.round;
+    const scale = 100000 / (metrics.unitsPerEm * 72);
+    const glyphs = {};
+    const bounds = { xMin: Infinity, yMin: Infinity, xMax: -Infinity, yMax: -Infinity };
+
+    glyphSources.forEach(({ char, advance, segments }) => {
+        let o = '';
+        let xMin = Infinity, xMax = -Infinity;
+        const include = (x, y) => {
+            if (x < xMin) xMin = x;
+            if (x > xMax) xMax = x;
+            if (x < bounds.xMin) bounds.xMin = x;
+            if (x > bounds.xMax) bounds.xMax = x;
+            if (y < bounds.yMin) bounds.yMin = y;
+            if (y > bounds.yMax) bounds.yMax = y;
+        };
+        const point = (x, y) => {
+            include(x, y);
+            return round(x * scale) + ' ' + round(y * scale) + ' ';
+        };
+
+        segments.forEach(segment => {
+            switch (segment.type) {
+                case 'M': o += 'm ' + point(segment.x, segment.y); break;
+                case 'L': o += 'l ' + point(segment.x, segment.y); break;
+                case 'Q': o += 'q ' + point(segment.x, segment.y) + point(segment.x1, segment.y1); break;
+                case 'C': o += 'b ' + point(segment.x, segment.y) + point(segment.x1, segment.y1) + point(segment.x2, segment.y2); break;
+                case 'Z': o += 'z '; break;
+            }
+        });
+
+        const token = { ha: round(advance * scale), x_min: 0, x_max: 0, o };
+        if (xMin !== Infinity) {
+            token.x_min = round(xMin * scale);
+            token.x_max = round(xMax * scale);
+        }
+        glyphs[char] = token;
+    });
+
+    const hasOutlines = bounds.xMin !== Infinity;
+    const familyName = metrics.familyName;
+    const subfamilyName = metrics.subfamilyName || 'Regular';
+
+    return {
+        glyphs,
+        familyName: subfamilyName === 'Regular' ? familyName : `${familyName} ${subfamilyName}`,
+        ascender: round(metrics.ascender * scale),
+        descender: round(metrics.descender * scale),
+        underlinePosition: metrics.underlinePosition,
+        underlineThickness: metrics.underlineThickness,
+        boundingBox: {
+            xMin: hasOutlines ? round(bounds.xMin) : 0,
+            xMax: hasOutlines ? round(bounds.xMax) : 0,
+            yMin: hasOutlines ? round(bounds.yMin) : 0,
+            yMax: hasOutlines ? round(bounds.yMax) : 0
+        },
+        resolution: 1000,
+        original_font_information: {
+            format: 0,
+            font_family_name: familyName,
+            font_subfamily_name: subfamilyName,
+            full_font_name: subfamilyName === 'Regular' ? familyName : `${familyName} ${subfamilyName}`
+        }
+    };
+}
+
+function _subfamilyName(fontFace) {
+    const weight = fontFace['font-weight'];
+    const isBold = weight === 'bold' || Number(weight) >= 600;
+    const isItalic = /italic|oblique/i.test(fontFace['font-style'] || '');
+    if (isBold && isItalic) return 'Bold Italic';
+    if (isBold) return 'Bold';
+    if (isItalic) return 'Italic';
+    return 'Regular';
+}
+
+//----------------------------------------> END [TYPEFACE ASSEMBLY]
+
+
+//-------------------------------------------------------------
+//-----------------[   PER-GLYPH SVG FILES   ]-----------------
+//-------------------------------------------------------------
+
+/**
+ * Collects every rendered shape of a standalone SVG file as path segments
+ * in viewBox coordinates (transforms applied).
+ * @returns {{viewBox: {x: number, y: number, width: number, height: number}, segments: Array<object>}}
+ * @private
+ */
+function _readGlyphSvg(svgText, fileName) {
+    const elements = _parseElements(svgText);
+    const root = elements.find(el => el.name === 'svg');
+    if (!root) {
+        throw new Error(`'${fileName}' is not an SVG document.`);
+    }
+
+    const viewBox = _readViewBox(root.attributes);
+    if (!viewBox) {
+        throw new Error(`'${fileName}' has no viewBox or width/height to measure the glyph.`);
+    }
+
+    const segments = [];
+    const transformStack = [_identity()];
+    let hiddenDepth = 0;
+
+    elements.forEach(el => {
+        if (el === root) return;
+
+        if (el.closing) {
+            if (NON_RENDERED_ELEMENTS.includes(el.name)) hiddenDepth--;
+            else if (el.name === 'g' || el.name === 'svg' || el.name === 'a') transformStack.pop();
+            return;
+        }
+
+        if (NON_RENDERED_ELEMENTS.includes(el.name)) {
+            if (!el.selfClosing) hiddenDepth++;
+            return;
+        }
+        if (hiddenDepth > 0) return;
+
+        const transform = _multiply(transformStack[transformStack.length - 1], _parseTransform(el.attributes.transform));
+
+        if (el.name === 'g' || el.name === 'svg' || el.name === 'a') {
+            if (!el.selfClosing) transformStack.push(transform);
+            return;
+        }
+
+        const d = _shapeToPathData(el.name, el.attributes);
+        if (d) {
+            const apply = (x, y) => [transform[0] * x + transform[2] * y + transform[4], transform[1] * x + transform[3] * y + transform[5]];
+            _mapSegments(parseSvgPath(d), apply).forEach(segment => segments.push(segment));
+        }
+    });
+
+    return { viewBox, segments };
+}
+
+function _readViewBox(attributes) {
+    if (attributes.viewBox) {
+        const values = attributes.viewBox.trim().split(/[\s,]+/).map(Number);
+        if (values.length === 4 && values.every(Number.isFinite) && values[2] > 0 && values[3] > 0) {
+            return { x: values[0], y: values[1], width: values[2], height: values[3] };
+        }
+    }
+    const width = parseFloat(attributes.width);
+    const height = parseFloat(attributes.height);
+    return width > 0 && height > 0 ? { x: 0, y: 0, width, height } : null;
+}
+
+/**
+ * Converts basic SVG shapes to equivalent path data.
+ * @returns {string|null}
+ * @private
+ */
+function _shapeToPathData(name, attributes) {
+    const n = key => _number(attributes[key], 0);
+
+    switch (name) {
+        case 'path':
+            return attributes.d || null;
+        case 'rect': {
+            const x = n('x'), y = n('y'), w = n('width'), h = n('height');
+            if (w <= 0 || h <= 0) return null;
+            let rx = attributes.rx !== undefined ? n('rx') : n('ry');
+            let ry = attributes.ry !== undefined ? n('ry') : rx;
+            rx = Math.min(Math.max(rx, 0), w / 2);
+            ry = Math.min(Math.max(ry, 0), h / 2);
+            if (!rx || !ry) return `M${x} ${y}H${x + w}V${y + h}H${x}Z`;
+            return `M${x + rx} ${y}H${x + w - rx}A${rx} ${ry} 0 0 1 ${x + w} ${y + ry}V${y + h - ry}` +
+                `A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}` +
+                `V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`;
+        }
+        case 'circle':
+        case 'ellipse': {
+            const cx = n('cx'), cy = n('cy');
+            const rx = name === 'circle' ? n('r') : n('rx');
+            const ry = name === 'circle' ? n('r') : n('ry');
+            if (rx <= 0 || ry <= 0) return null;
+            return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+        }
+        case 'polygon':
+        case 'polyline': {
+            const points = (attributes.points || '').trim();
+            if (!points) return null;
+            return `M${points}${name === 'polygon' ? 'Z' : ''}`;
+        }
+        default:
+            return null; // line, text, image... have no fillable area.
+    }
+}
+
+//----------------------------------------> END [PER-GLYPH SVG FILES]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+/**
+ * Minimal XML scanner: returns every start/end tag with its attributes, in
+ * document order. Comments, CDATA and processing instructions are skipped.
+ * @private
+ */
+function _parseElements(text) {
+    const source = text.replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+    const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+    const attributePattern = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+    const elements = [];
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+        const attributes = {};
+        let attr;
+        while ((attr = attributePattern.exec(match[3])) !== null) {
+            const value = attr[2] !== undefined ? attr[2] : (attr[3] !== undefined ? attr[3] : '');
+            attributes[attr[1]] = value.includes('&') ? _decodeEntities(value) : value;
+        }
+        elements.push({
+            name: match[2].replace(/^svg:/, ''),
+            closing: match[1] === '/',
+            selfClosing: match[4] === '/',
+            attributes
+        });
+    }
+    return elements;
+}
+
+function _decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, code) => {
+        if (code[0] !== '#') return named[code];
+        const value = code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+    });
+}
+
+function _number(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Splits path data into command and number tokens. Arc flags may be written
+ * without separators ("a1 1 0 0110 10"), so they are read one digit at a time.
+ * @private
+ */
+function _tokenizePath(d) {
+    const tokens = [];
+    const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+    let i = 0;
+    let command = null;
+    let paramIndex = 0;
+
+    while (i < d.length) {
+        const char = d[i];
+        if (/[\s,]/.test(char)) {
+            i++;
+            continue;
+        }
+        if (/[MmLlHhVvCcSsQqTtAaZz]/.test(char)) {
+            tokens.push({ type: 'command', value: char });
+            command = char.toUpperCase();
+            paramIndex = 0;
+            i++;
+            continue;
+        }
+
+        const isArcFlag = command === 'A' && (paramIndex % 7 === 3 || paramIndex % 7 === 4);
+        if (isArcFlag && (char === '0' || char === '1')) {
+            tokens.push({ type: 'number', value: Number(char) });
+            i++;
+            paramIndex++;
+            continue;
+        }
+
+        numberPattern.lastIndex = i;
+        const match = numberPattern.exec(d);
+        if (!match) {
+            throw new Error(`Invalid character '${char}' in path data.`);
+        }
+        tokens.push({ type: 'number', value: parseFloat(match[0]) });
+        i += match[0].length;
+        paramIndex++;
+    }
+    return tokens;
+}
+
+/**
+ * Approximates an SVG elliptical arc with cubic Béziers (at most 90° each),
+ * using the endpoint-to-center conversion from the SVG spec (B.2.4).
+ * @private
+ */
+function _arcToCubics(x1, y1, rx, ry, rotationDeg, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (!rx || !ry) return [{ type: 'L', x: x2, y: y2 }];
+
+    const phi = rotationDeg * Math.PI / 180;
+    const cosPhi = Math.cos(phi), sinPhi = Math.sin(phi);
+    const dx2 = (x1 - x2) / 2, dy2 = (y1 - y2) / 2;
+    const x1p = cosPhi * dx2 + sinPhi * dy2;
+    const y1p = -sinPhi * dx2 + cosPhi * dy2;
+
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc === sweep) coefficient = -coefficient;
+
+    const cxp = coefficient * (rx * y1p / ry);
+    const cyp = coefficient * -(ry * x1p / rx);
+    const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => {
+        const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+        const cos = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+        return sign * Math.acos(Math.min(1, Math.max(-1, cos)));
+    };
+
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let deltaTheta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && deltaTheta > 0) deltaTheta -= 2 * Math.PI;
+    if (sweep && deltaTheta < 0) deltaTheta += 2 * Math.PI;
+
+    const count = Math.ceil(Math.abs(deltaTheta) / (Math.PI / 2) - 1e-9);
+    const step = deltaTheta / count;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const map = (ex, ey) => [cosPhi * rx * ex - sinPhi * ry * ey + cx, sinPhi * rx * ex + cosPhi * ry * ey + cy];
+
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+        const a1 = theta1 + i * step;
+        const a2 = a1 + step;
+        const cos1 = Math.cos(a1), sin1 = Math.sin(a1), cos2 = Math.cos(a2), sin2 = Math.sin(a2);
+        const [c1x, c1y] = map(cos1 - k * sin1, sin1 + k * cos1);
+        const [c2x, c2y] = map(cos2 + k * sin2, sin2 - k * cos2);
+        const [ex, ey] = i === count - 1 ? [x2, y2] : map(cos2, sin2);
+        segments.push({ type: 'C', x1: c1x, y1: c1y, x2: c2x, y2: c2y, x: ex, y: ey });
+    }
+    return segments;
+}
+
+function _mapSegments(segments, mapPoint) {
+    return segments.map(segment => {
+        if (segment.type === 'Z') return segment;
+        const mapped = { type: segment.type };
+        [mapped.x, mapped.y] = mapPoint(segment.x, segment.y);
+        if (segment.x1 !== undefined) [mapped.x1, mapped.y1] = mapPoint(segment.x1, segment.y1);
+        if (segment.x2 !== undefined) [mapped.x2, mapped.y2] = mapPoint(segment.x2, segment.y2);
+        return mapped;
+    });
+}
+
+// 2D affine matrices as [a, b, c, d, e, f] (SVG matrix() order).
+function _identity() {
+    return [1, 0, 0, 1, 0, 0];
+}
+
+function _multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+function _parseTransform(value) {
+    let matrix = _identity();
+    if (!value) return matrix;
+
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        const args = match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+        let next;
+        switch (match[1]) {
+            case 'matrix':
+                next = args.length === 6 ? args : _identity();
+                break;
+            case 'translate':
+                next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                break;
+            case 'scale':
+                next = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+                break;
+            case 'rotate': {
+                const rad = (args[0] || 0) * Math.PI / 180;
+                const cos = Math.cos(rad), sin = Math.sin(rad);
+                const [cx, cy] = [args[1] || 0, args[2] || 0];
+                next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                break;
+            }
+            case 'skewX':
+                next = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                break;
+            case 'skewY':
+                next = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                break;
+        }
+        matrix = _multiply(matrix, next);
+    }
+    return matrix;
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { convertSvgFont, convertSvgGlyphFiles, characterFromFileName, parseSvgPath };
@@ -0,0 +1,185 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/workers/typeface-converter.js
+ * Created: 2025-10-19
+ * Author: @lewopxd
+ *
+ * Description:
+ * Self-contained SFNT (TTF/OTF) to three.js typeface JSON converter. It is a
+ * dependency-free port of the conversion in three.js r180 TTFLoader, running
+ * on the vendored opentype.js build, so it works offline and produces the
+ * same JSON as TTFLoader for the same input.
+ */
+
+import opentype from './libs/opentype.module.js';
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Parses a TTF/OTF buffer with the vendored opentype.js.
+ * @param {ArrayBuffer} buffer - The raw SFNT data.
+ * @returns {object} An opentype.js Font.
+ */
+function parseFont(buffer) {
+    return opentype.parse(buffer);
+}
+
+/**
+ * Parses a TTF/OTF buffer and converts it to typeface JSON.
+ * @param {ArrayBuffer} buffer - The raw SFNT data.
+ * @param {object} [options]
+ * @param {boolean} [options.reversed=false] - Reverse contour direction (TTFLoader.reversed).
+ * @returns {object} The typeface JSON.
+ */
+function convertToTypeface(buffer, { reversed = false } = {}) {
+    return convertFont(opentype.parse(buffer), { reversed });
+}
+
+/**
+ * Converts an already parsed opentype.js Font to typeface JSON.
+ * @param {object} font - An opentype.js Font.
+ * @param {object} [options]
+ * @param {boolean} [options.reversed=false] - Reverse contour direction.
+ * @param {string} [options.characters] - Only convert the glyphs of these characters.
+ * @returns {object} The typeface JSON.
+ */
+function convertFont(font, { reversed = false, characters = null } = {}) {
+    const round = Math.round;
+
+    const glyphs = {};
+    const scale = 100000 / ((font.unitsPerEm || 2048) * 72);
+
+    const glyphIndexMap = font.encoding.cmap.glyphIndexMap;
+    let unicodes = Object.keys(glyphIndexMap);
+
+    if (characters) {
+        const wanted = new Set(Array.from(characters, char => String(char.codePointAt(0))));
+        unicodes = unicodes.filter(unicode => wanted.has(unicode));
+    }
+
+    for (let i = 0; i < unicodes.length; i++) {
+        const unicode = unicodes[i];
+        const glyph = font.glyphs.glyphs[glyphIndexMap[unicode]];
+
+        if (unicode === undefined) continue;
+
+        const token = {
+            ha: round(glyph.advanceWidth * scale),
+            x_min: round(glyph.xMin * scale),
+            x_max: round(glyph.xMax * scale),
+            o: ''
+        };
+
+        if (reversed) {
+            glyph.path.commands = _reverseCommands(glyph.path.commands);
+        }
+
+        glyph.path.commands.forEach(command => {
+            if (command.type.toLowerCase() === 'c') {
+                command.type = 'b';
+            }
+
+            token.o += command.type.toLowerCase() + ' ';
+
+            if (command.x !== undefined && command.y !== undefined) {
+                token.o += round(command.x * scale) + ' ' + round(command.y * scale) + ' ';
+            }
+            if (command.x1 !== undefined && command.y1 !== undefined) {
+                token.o += round(command.x1 * scale) + ' ' + round(command.y1 * scale) + ' ';
+            }
+            if (command.x2 !== undefined && command.y2 !== undefined) {
+                token.o += round(command.x2 * scale) + ' ' + round(command.y2 * scale) + ' ';
+            }
+        });
+
+        if (Array.isArray(glyph.unicodes) && glyph.unicodes.length > 0) {
+            glyph.unicodes.forEach(codePoint => {
+                glyphs[String.fromCodePoint(codePoint)] = token;
+            });
+        } else {
+            glyphs[String.fromCodePoint(glyph.unicode)] = token;
+        }
+    }
+
+    return {
+        glyphs: glyphs,
+        familyName: font.getEnglishName('fullName'),
+        ascender: round(font.ascender * scale),
+        descender: round(font.descender * scale),
+        underlinePosition: font.tables.post.underlinePosition,
+        underlineThickness: font.tables.post.underlineThickness,
+        boundingBox: {
+            xMin: font.tables.head.xMin,
+            xMax: font.tables.head.xMax,
+            yMin: font.tables.head.yMin,
+            yMax: font.tables.head.yMax
+        },
+        resolution: 1000,
+        original_font_information: font.tables.name
+    };
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//--------------------[   HELPER FUNCTIONS   ]-----------------
+//-------------------------------------------------------------
+
+/**
+ * Reverses the drawing direction of every contour in an opentype.js command list.
+ * @param {Array<object>} commands - The path commands.
+ * @returns {Array<object>} The reversed commands.
+ * @private
+ */
+function _reverseCommands(commands) {
+    const paths = [];
+    let path;
+
+    commands.forEach(c => {
+        if (c.type.toLowerCase() === 'm') {
+            path = [c];
+            paths.push(path);
+        } else if (c.type.toLowerCase() !== 'z') {
+            path.push(c);
+        }
+    });
+
+    const reversed = [];
+
+    paths.forEach(p => {
+        reversed.push({
+            type: 'm',
+            x: p[p.length - 1].x,
+            y: p[p.length - 1].y
+        });
+
+        for (let i = p.length - 1; i > 0; i--) {
+            const command = p[i];
+            const result = { type: command.type };
+
+            if (command.x2 !== undefined && command.y2 !== undefined) {
+                result.x1 = command.x2;
+                result.y1 = command.y2;
+                result.x2 = command.x1;
+                result.y2 = command.y1;
+            } else if (command.x1 !== undefined && command.y1 !== undefined) {
+                result.x1 = command.x1;
+                result.y1 = command.y1;
+            }
+
+            result.x = p[i - 1].x;
+            result.y = p[i - 1].y;
+            reversed.push(result);
+        }
+    });
+
+    return reversed;
+}
+
+//----------------------------------------> END [HELPER FUNCTIONS]
+
+
+export { parseFont, convertToTypeface, convertFont };
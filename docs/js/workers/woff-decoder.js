@@ -0,0 +1,788 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/js/workers/woff-decoder.js
+ * Created: 2025-10-19
+ * Author: @lewopxd
+ *
+ * Description:
+ * Unwraps WOFF and WOFF2 web font containers into a plain SFNT (TTF/OTF)
+ * ArrayBuffer that the font converter can parse. WOFF tables are inflated
+ * with the native DecompressionStream (zlib), WOFF2 uses the vendored Brotli
+ * decoder and rebuilds the transformed 'glyf', 'loca' and 'hmtx' tables.
+ * TrueType/OpenType collections (.ttc/.otc) are split into standalone faces.
+ * Everything runs locally inside the font processor worker; nothing is
+ * fetched from a CDN.
+ */
+
+import { BrotliDecompressBuffer } from './libs/brotli-decode.module.js';
+
+//-------------------------------------------------------------
+//----------------------[   CONSTANTS   ]----------------------
+//-------------------------------------------------------------
+
+const SIGNATURE_WOFF = 0x774F4646;  // 'wOFF'
+const SIGNATURE_WOFF2 = 0x774F4632; // 'wOF2'
+const FLAVOR_COLLECTION = 0x74746366; // 'ttcf'
+
+// 'name' table IDs shown in the collection face picker.
+const NAME_ID_FAMILY = 1;
+const NAME_ID_SUBFAMILY = 2;
+const NAME_ID_FULL_NAME = 4;
+const NAME_ID_POSTSCRIPT = 6;
+const NAME_ID_TYPOGRAPHIC_FAMILY = 16;
+const NAME_ID_TYPOGRAPHIC_SUBFAMILY = 17;
+
+// Table tags addressed by index in the WOFF2 table directory (WOFF2 spec, 5.1).
+const WOFF2_KNOWN_TAGS = [
+    'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm',
+    'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern',
+    'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC',
+    'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar',
+    'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty',
+    'just', 'lcar', 'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat',
+    'Gloc', 'Feat', 'Sill'
+];
+
+// Composite glyph component flags (TrueType 'glyf' spec).
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+const WE_HAVE_INSTRUCTIONS = 0x0100;
+
+// Simple glyph point flags.
+const FLAG_ON_CURVE = 0x01;
+const FLAG_X_SHORT = 0x02;
+const FLAG_Y_SHORT = 0x04;
+const FLAG_X_SAME_OR_POSITIVE = 0x10;
+const FLAG_Y_SAME_OR_POSITIVE = 0x20;
+const FLAG_OVERLAP_SIMPLE = 0x40;
+
+//----------------------------------------> END [CONSTANTS]
+
+
+//-------------------------------------------------------------
+//---------------------[   PUBLIC API   ]----------------------
+//-------------------------------------------------------------
+
+/**
+ * Detects the container format of a font buffer by its signature.
+ * @param {ArrayBuffer} buffer - The raw font file.
+ * @returns {string} 'woff', 'woff2', 'collection' or 'sfnt'.
+ */
+function detectFontContainer(buffer) {
+    if (buffer.byteLength < 4) return 'sfnt';
+    const signature = new DataView(buffer).getUint32(0);
+    if (signature === SIGNATURE_WOFF) return 'woff';
+    if (signature === SIGNATURE_WOFF2) return 'woff2';
+    if (signature === FLAVOR_COLLECTION) return 'collection';
+    return 'sfnt';
+}
+
+/**
+ * Returns a plain SFNT buffer for any supported container. SFNT input is
+ * returned untouched; for collections the requested face is extracted.
+ * @param {ArrayBuffer} buffer - The raw font file.
+ * @param {number} [faceIndex=0] - The face to extract when the buffer is a collection.
+ * @returns {Promise<ArrayBuffer>} The decoded TTF/OTF data.
+ */
+async function unwrapFontContainer(buffer, faceIndex = 0) {
+    switch (detectFontContainer(buffer)) {
+        case 'woff': return decodeWoff(buffer);
+        case 'woff2': return decodeWoff2(buffer);
+        case 'collection': return extractCollectionFace(buffer, faceIndex);
+        default: return buffer;
+    }
+}
+
+/**
+ * Lists every face of a TrueType/OpenType collection with its naming
+ * information, without converting any outlines.
+ * @param {ArrayBuffer} buffer - The .ttc/.otc file.
+ * @returns {Array<{index: number, familyName: string, subfamilyName: string, fullName: string, postScriptName: string, outlines: string, numGlyphs: number}>}
+ */
+function listCollectionFaces(buffer) {
+    return _readCollectionOffsets(buffer).map((faceOffset, index) => {
+        const tables = _readTableRecords(buffer, faceOffset);
+        const names = tables.name ? _readNameTable(buffer, tables.name.offset, tables.name.length) : {};
+        const maxp = tables.maxp ? new DataView(buffer, tables.maxp.offset, tables.maxp.length) : null;
+
+        return {
+            index,
+            familyName: names[NAME_ID_TYPOGRAPHIC_FAMILY] || names[NAME_ID_FAMILY] || '',
+            subfamilyName: names[NAME_ID_TYPOGRAPHIC_SUBFAMILY] || names[NAME_ID_SUBFAMILY] || '',
+            fullName: names[NAME_ID_FULL_NAME] || '',
+            postScriptName: names[NAME_ID_POSTSCRIPT] || '',
+            outlines: tables['CFF '] || tables.CFF2 ? 'CFF' : 'TrueType',
+            numGlyphs: maxp ? maxp.getUint16(4) : 0
+        };
+    });
+}
+
+/**
+ * Copies one face of a collection (with its shared tables) into a standalone SFNT.
+ * @param {ArrayBuffer} buffer - The .ttc/.otc file.
+ * @param {number} faceIndex - The zero-based face index.
+ * @returns {ArrayBuffer} The SFNT data for that face.
+ */
+function extractCollectionFace(buffer, faceIndex) {
+    const offsets = _readCollectionOffsets(buffer);
+    if (!Number.isInteger(faceIndex) || faceIndex < 0 || faceIndex >= offsets.length) {
+        throw new Error(`Face ${faceIndex} does not exist in this collection (${offsets.length} faces).`);
+    }
+
+    const faceOffset = offsets[faceIndex];
+    const flavor = new DataView(buffer).getUint32(faceOffset);
+    const tables = Object.entries(_readTableRecords(buffer, faceOffset)).map(([tag, record]) => ({
+        tag,
+        data: new Uint8Array(buffer, record.offset, record.length)
+    }));
+
+    return _buildSfnt(flavor, tables);
+}
+
+/**
+ * Decodes a WOFF 1.0 file. Each table is zlib-compressed independently.
+ * @param {ArrayBuffer} buffer - The WOFF file.
+ * @returns {Promise<ArrayBuffer>} The decoded SFNT data.
+ */
+async function decodeWoff(buffer) {
+    const view = new DataView(buffer);
+    const flavor = view.getUint32(4);
+    if (flavor === FLAVOR_COLLECTION) {
+        throw new Error('WOFF font collections are not supported.');
+    }
+    const numTables = view.getUint16(12);
+
+    const tables = [];
+    for (let i = 0; i < numTables; i++) {
+        const entry = 44 + i * 20;
+        const tag = _readTag(view, entry);
+        const offset = view.getUint32(entry + 4);
+        const compLength = view.getUint32(entry + 8);
+        const origLength = view.getUint32(entry + 12);
+        const raw = new Uint8Array(buffer, offset, compLength);
+
+        let data;
+        if (compLength < origLength) {
+            data = await _inflateZlib(raw);
+            if (data.length !== origLength) {
+                throw new Error(`WOFF table '${tag}' inflated to ${data.length} bytes, expected ${origLength}.`);
+            }
+        } else {
+            data = raw;
+        }
+        tables.push({ tag, data });
+    }
+
+    return _buildSfnt(flavor, tables);
+}
+
+/**
+ * Decodes a WOFF 2.0 file: a single Brotli stream holding every table,
+ * with optional 'glyf'/'loca' and 'hmtx' transforms.
+ * @param {ArrayBuffer} buffer - The WOFF2 file.
+ * @returns {Promise<ArrayBuffer>} The decoded SFNT data.
+ */
+async function decodeWoff2(buffer) {
+    const reader = new ByteReader(buffer);
+    reader.seek(4);
+    const flavor = reader.uint32();
+    if (flavor === FLAVOR_COLLECTION) {
+        throw new Error('WOFF2 font collections are not supported.');
+    }
+    reader.skip(4); // length
+    const numTables = reader.uint16();
+    reader.skip(2 + 4); // reserved, totalSfntSize
+    const totalCompressedSize = reader.uint32();
+    reader.skip(2 + 2 + 4 * 5); // version, metadata and private block fields
+
+    // --- Table directory ---
+    const directory = [];
+    let streamOffset = 0;
+    for (let i = 0; i < numTables; i++) {
+        const flags = reader.uint8();
+        const tagIndex = flags & 0x3f;
+        const tag = tagIndex === 0x3f ? _readTag(reader.view, reader.advance(4)) : WOFF2_KNOWN_TAGS[tagIndex];
+        const transformVersion = (flags >> 6) & 0x03;
+        const origLength = reader.uintBase128();
+
+        // 'glyf'/'loca' are transformed unless version 3 (null transform);
+        // every other table is transformed only for a non-zero version.
+        const isGlyfOrLoca = tag === 'glyf' || tag === 'loca';
+        const isTransformed = isGlyfOrLoca ? transformVersion !== 3 : transformVersion !== 0;
+        const length = isTransformed ? reader.uintBase128() : origLength;
+
+        directory.push({ tag, origLength, length, isTransformed, offset: streamOffset });
+        streamOffset += length;
+    }
+
+    // --- Decompress the shared table stream ---
+    const compressed = new Uint8Array(buffer, reader.offset, totalCompressedSize);
+    const stream = BrotliDecompressBuffer(compressed, streamOffset);
+    if (stream.length < streamOffset) {
+        throw new Error('WOFF2 table stream is truncated.');
+    }
+
+    const tableData = {};
+    directory.forEach(entry => {
+        tableData[entry.tag] = stream.subarray(entry.offset, entry.offset + entry.length);
+    });
+
+    // --- Reverse the table transforms ---
+    const glyfEntry = directory.find(entry => entry.tag === 'glyf');
+    let glyphBounds = null;
+    if (glyfEntry && glyfEntry.isTransformed) {
+        const rebuilt = _reconstructGlyf(tableData.glyf);
+        tableData.glyf = rebuilt.glyf;
+        tableData.loca = rebuilt.loca;
+        glyphBounds = rebuilt.xMins;
+    }
+
+    const hmtxEntry = directory.find(entry => entry.tag === 'hmtx');
+    if (hmtxEntry && hmtxEntry.isTransformed) {
+        tableData.hmtx = _reconstructHmtx(tableData.hmtx, tableData.hhea, tableData.maxp, glyphBounds);
+    }
+
+    const tables = directory.map(entry => ({ tag: entry.tag, data: tableData[entry.tag] }));
+    return _buildSfnt(flavor, tables);
+}
+
+//----------------------------------------> END [PUBLIC API]
+
+
+//-------------------------------------------------------------
+//----------------[   WOFF2 TABLE TRANSFORMS   ]---------------
+//-------------------------------------------------------------
+
+/**
+ * Rebuilds the 'glyf' and 'loca' tables from the transformed WOFF2 'glyf' table.
+ * @param {Uint8Array} data - The transformed 'glyf' table.
+ * @returns {{glyf: Uint8Array, loca: Uint8Array, xMins: Int16Array}}
+ * @private
+ */
+function _reconstructGlyf(data) {
+    const header = new ByteReader(data.buffer, data.byteOffset, data.byteLength);
+    header.skip(2); // reserved
+    const optionFlags = header.uint16();
+    const numGlyphs = header.uint16();
+    const indexFormat = header.uint16();
+
+    const streamSizes = [];
+    for (let i = 0; i < 7; i++) streamSizes.push(header.uint32());
+
+    let offset = header.offset;
+    const subStream = (size) => {
+        const stream = new ByteReader(data.buffer, data.byteOffset + offset, size);
+        offset += size;
+        return stream;
+    };
+    const nContourStream = subStream(streamSizes[0]);
+    const nPointsStream = subStream(streamSizes[1]);
+    const flagStream = subStream(streamSizes[2]);
+    const glyphStream = subStream(streamSizes[3]);
+    const compositeStream = subStream(streamSizes[4]);
+    const bboxStream = subStream(streamSizes[5]);
+    const instructionStream = subStream(streamSizes[6]);
+
+    let overlapBitmap = null;
+    if (optionFlags & 0x0001) {
+        overlapBitmap = data.subarray(offset, offset + ((numGlyphs + 7) >> 3));
+    }
+
+    const bboxBitmapLength = ((numGlyphs + 31) >> 5) << 2;
+    const bboxBitmap = bboxStream.bytes(bboxBitmapLength);
+    const hasBit = (bitmap, index) => (bitmap[index >> 3] & (0x80 >> (index & 7))) !== 0;
+
+    const glyphs = [];
+    const xMins = new Int16Array(numGlyphs);
+
+    for (let glyphId = 0; glyphId < numGlyphs; glyphId++) {
+        const nContours = nContourStream.int16();
+        const hasExplicitBbox = hasBit(bboxBitmap, glyphId);
+
+        if (nContours === 0) {
+            if (hasExplicitBbox) throw new Error(`WOFF2 empty glyph ${glyphId} has a bounding box.`);
+            glyphs.push(new Uint8Array(0));
+            continue;
+        }
+
+        if (nContours === -1) {
+            if (!hasExplicitBbox) throw new Error(`WOFF2 composite glyph ${glyphId} is missing its bounding box.`);
+            const bbox = [bboxStream.int16(), bboxStream.int16(), bboxStream.int16(), bboxStream.int16()];
+            xMins[glyphId] = bbox[0];
+
+            const componentStart = compositeStream.offset;
+            let flags;
+            let hasInstructions = false;
+            do {
+                flags = compositeStream.uint16();
+                compositeStream.skip(2); // glyphIndex
+                compositeStream.skip(flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+                if (flags & WE_HAVE_A_SCALE) compositeStream.skip(2);
+                else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) compositeStream.skip(4);
+                else if (flags & WE_HAVE_A_TWO_BY_TWO) compositeStream.skip(8);
+                if (flags & WE_HAVE_INSTRUCTIONS) hasInstructions = true;
+            } while (flags & MORE_COMPONENTS);
+            const components = compositeStream.bytesView.subarray(componentStart, compositeStream.offset);
+
+            let instructions = null;
+            if (hasInstructions) {
+                const instructionLength = glyphStream.read255UInt16();
+                instructions = instructionStream.bytes(instructionLength);
+            }
+
+            const writer = new ByteWriter(10 + components.length + (instructions ? 2 + instructions.length : 0));
+            writer.int16(-1);
+            bbox.forEach(value => writer.int16(value));
+            writer.bytes(components);
+            if (instructions) {
+                writer.uint16(instructions.length);
+                writer.bytes(instructions);
+            }
+            glyphs.push(writer.data);
+            continue;
+        }
+
+        // --- Simple glyph ---
+        const endPoints = [];
+        let totalPoints = 0;
+        for (let c = 0; c < nContours; c++) {
+            totalPoints += nPointsStream.read255UInt16();
+            endPoints.push(totalPoints - 1);
+        }
+
+        const xs = new Int32Array(totalPoints);
+        const ys = new Int32Array(totalPoints);
+        const onCurve = new Uint8Array(totalPoints);
+        let x = 0;
+        let y = 0;
+        for (let p = 0; p < totalPoints; p++) {
+            const rawFlag = flagStream.uint8();
+            const delta = _decodeTriplet(rawFlag & 0x7f, glyphStream);
+            x += delta.dx;
+            y += delta.dy;
+            xs[p] = x;
+            ys[p] = y;
+            onCurve[p] = (rawFlag & 0x80) ? 0 : 1;
+        }
+
+        const instructionLength = glyphStream.read255UInt16();
+        const instructions = instructionStream.bytes(instructionLength);
+
+        let bbox;
+        if (hasExplicitBbox) {
+            bbox = [bboxStream.int16(), bboxStream.int16(), bboxStream.int16(), bboxStream.int16()];
+        } else {
+            bbox = [Infinity, Infinity, -Infinity, -Infinity];
+            for (let p = 0; p < totalPoints; p++) {
+                bbox[0] = Math.min(bbox[0], xs[p]);
+                bbox[1] = Math.min(bbox[1], ys[p]);
+                bbox[2] = Math.max(bbox[2], xs[p]);
+                bbox[3] = Math.max(bbox[3], ys[p]);
+            }
+            if (totalPoints === 0) bbox = [0, 0, 0, 0];
+        }
+        xMins[glyphId] = bbox[0];
+
+        const hasOverlap = overlapBitmap !== null && hasBit(overlapBitmap, glyphId);
+        glyphs.push(_encodeSimpleGlyph(nContours, bbox, endPoints, instructions, xs, ys, onCurve, hasOverlap));
+    }
+
+    // --- Assemble glyf + loca ---
+    // Every glyph is padded to 4 bytes so both loca formats stay valid.
+    const paddedLengths = glyphs.map(glyph => (glyph.length + 3) & ~3);
+    const glyfLength = paddedLengths.reduce((sum, length) => sum + length, 0);
+    const glyf = new Uint8Array(glyfLength);
+    const locaWriter = new ByteWriter((numGlyphs + 1) * (indexFormat === 0 ? 2 : 4));
+
+    let glyfOffset = 0;
+    for (let i = 0; i <= numGlyphs; i++) {
+        if (indexFormat === 0) locaWriter.uint16(glyfOffset >> 1);
+        else locaWriter.uint32(glyfOffset);
+        if (i < numGlyphs) {
+            glyf.set(glyphs[i], glyfOffset);
+            glyfOffset += paddedLengths[i];
+        }
+    }
+
+    return { glyf, loca: locaWriter.data, xMins };
+}
+
+/**
+ * Decodes one point delta from the WOFF2 triplet encoding (WOFF2 spec, 5.2).
+ * @param {number} flag - The 7-bit triplet flag.
+ * @param {ByteReader} glyphStream - The stream holding the coordinate bytes.
+ * @returns {{dx: number, dy: number}}
+ * @private
+ */
+function _decodeTriplet(flag, glyphStream) {
+    const withSign = (f, value) => (f & 1) ? value : -value;
+
+    if (flag < 10) {
+        return { dx: 0, dy: withSign(flag, ((flag & 14) << 7) + glyphStream.uint8()) };
+    }
+    if (flag < 20) {
+        return { dx: withSign(flag, (((flag - 10) & 14) << 7) + glyphStream.uint8()), dy: 0 };
+    }
+    if (flag < 84) {
+        const b0 = flag - 20;
+        const b1 = glyphStream.uint8();
+        return {
+            dx: withSign(flag, 1 + (b0 & 0x30) + (b1 >> 4)),
+            dy: withSign(flag >> 1, 1 + ((b0 & 0x0c) << 2) + (b1 & 0x0f))
+        };
+    }
+    if (flag < 120) {
+        const b0 = flag - 84;
+        const b1 = glyphStream.uint8();
+        const b2 = glyphStream.uint8();
+        return {
+            dx: withSign(flag, 1 + (Math.floor(b0 / 12) << 8) + b1),
+            dy: withSign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + b2)
+        };
+    }
+    if (flag < 124) {
+        const b1 = glyphStream.uint8();
+        const b2 = glyphStream.uint8();
+        const b3 = glyphStream.uint8();
+        return {
+            dx: withSign(flag, (b1 << 4) + (b2 >> 4)),
+            dy: withSign(flag >> 1, ((b2 & 0x0f) << 8) + b3)
+        };
+    }
+    const b1 = glyphStream.uint8();
+    const b2 = glyphStream.uint8();
+    const b3 = glyphStream.uint8();
+    const b4 = glyphStream.uint8();
+    return {
+        dx: withSign(flag, (b1 << 8) + b2),
+        dy: withSign(flag >> 1, (b3 << 8) + b4)
+    };
+}
+
+/**
+ * Serializes a simple glyph in the standard TrueType 'glyf' layout.
+ * @private
+ */
+function _encodeSimpleGlyph(nContours, bbox, endPoints, instructions, xs, ys, onCurve, hasOverlap) {
+    const pointCount = xs.length;
+    const flags = new Uint8Array(pointCount);
+    const xBytes = new ByteWriter(pointCount * 2);
+    const yBytes = new ByteWriter(pointCount * 2);
+
+    let prevX = 0;
+    let prevY = 0;
+    for (let p = 0; p < pointCount; p++) {
+        let flag = onCurve[p] ? FLAG_ON_CURVE : 0;
+        if (p === 0 && hasOverlap) flag |= FLAG_OVERLAP_SIMPLE;
+
+        const dx = xs[p] - prevX;
+        if (dx === 0) {
+            flag |= FLAG_X_SAME_OR_POSITIVE;
+        } else if (dx > -256 && dx < 256) {
+            flag |= FLAG_X_SHORT | (dx > 0 ? FLAG_X_SAME_OR_POSITIVE : 0);
+            xBytes.uint8(Math.abs(dx));
+        } else {
+            xBytes.int16(dx);
+        }
+
+        const dy = ys[p] - prevY;
+        if (dy === 0) {
+            flag |= FLAG_Y_SAME_OR_POSITIVE;
+        } else if (dy > -256 && dy < 256) {
+            flag |= FLAG_Y_SHORT | (dy > 0 ? FLAG_Y_SAME_OR_POSITIVE : 0);
+            yBytes.uint8(Math.abs(dy));
+        } else {
+            yBytes.int16(dy);
+        }
+
+        flags[p] = flag;
+        prevX = xs[p];
+        prevY = ys[p];
+    }
+
+    const xData = xBytes.data;
+    const yData = yBytes.data;
+    const writer = new ByteWriter(10 + nContours * 2 + 2 + instructions.length + pointCount + xData.length + yData.length);
+    writer.int16(nContours);
+    bbox.forEach(value => writer.int16(value));
+    endPoints.forEach(endPoint => writer.uint16(endPoint));
+    writer.uint16(instructions.length);
+    writer.bytes(instructions);
+    writer.bytes(flags);
+    writer.bytes(xData);
+    writer.bytes(yData);
+    return writer.data;
+}
+
+/**
+ * Rebuilds the 'hmtx' table from its WOFF2 transform (version 1), restoring
+ * left side bearings from the reconstructed glyph bounding boxes.
+ * @private
+ */
+function _reconstructHmtx(data, hhea, maxp, xMins) {
+    if (!hhea || !maxp || !xMins) {
+        throw new Error('WOFF2 transformed hmtx requires hhea, maxp and a transformed glyf table.');
+    }
+    const numHMetrics = new DataView(hhea.buffer, hhea.byteOffset, hhea.byteLength).getUint16(34);
+    const numGlyphs = new DataView(maxp.buffer, maxp.byteOffset, maxp.byteLength).getUint16(4);
+
+    const reader = new ByteReader(data.buffer, data.byteOffset, data.byteLength);
+    const flags = reader.uint8();
+    const hasProportionalLsbs = (flags & 0x01) === 0;
+    const hasMonospaceLsbs = (flags & 0x02) === 0;
+
+    const advances = [];
+    for (let i = 0; i < numHMetrics; i++) advances.push(reader.uint16());
+
+    const lsbs = [];
+    for (let i = 0; i < numHMetrics; i++) {
+        lsbs.push(hasProportionalLsbs ? reader.int16() : xMins[i]);
+    }
+    for (let i = numHMetrics; i < numGlyphs; i++) {
+        lsbs.push(hasMonospaceLsbs ? reader.int16() : xMins[i]);
+    }
+
+    const writer = new ByteWriter(numHMetrics * 4 + (numGlyphs - numHMetrics) * 2);
+    for (let i = 0; i < numHMetrics; i++) {
+        writer.uint16(advances[i]);
+        writer.int16(lsbs[i]);
+    }
+    for (let i = numHMetrics; i < numGlyphs; i++) {
+        writer.int16(lsbs[i]);
+    }
+    return writer.data;
+}
+
+//----------------------------------------> END [WOFF2 TABLE TRANSFORMS]
+
+
+//-------------------------------------------------------------
+//------------------[   FONT COLLECTIONS   ]-------------------
+//-------------------------------------------------------------
+
+function _readCollectionOffsets(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 12 || view.getUint32(0) !== FLAVOR_COLLECTION) {
+        throw new Error('Not a TrueType/OpenType collection.');
+    }
+    const numFonts = view.getUint32(8);
+    if (12 + numFonts * 4 > buffer.byteLength) {
+        throw new Error('Collection header is truncated.');
+    }
+
+    const offsets = [];
+    for (let i = 0; i < numFonts; i++) {
+        offsets.push(view.getUint32(12 + i * 4));
+    }
+    return offsets;
+}
+
+/**
+ * Reads the table directory of one face. Table offsets in a collection are
+ * relative to the start of the file, so they can be used directly.
+ * @private
+ */
+function _readTableRecords(buffer, faceOffset) {
+    const view = new DataView(buffer);
+    const numTables = view.getUint16(faceOffset + 4);
+    const tables = {};
+
+    for (let i = 0; i < numTables; i++) {
+        const record = faceOffset + 12 + i * 16;
+        const offset = view.getUint32(record + 8);
+        const length = view.getUint32(record + 12);
+        if (offset + length > buffer.byteLength) {
+            throw new Error(`Table '${_readTag(view, record)}' lies outside the collection file.`);
+        }
+        tables[_readTag(view, record)] = { offset, length };
+    }
+    return tables;
+}
+
+/**
+ * Extracts the English names of a face, preferring Windows Unicode records
+ * over Unicode and Macintosh Roman ones.
+ * @returns {Object<number, string>} Strings keyed by name ID.
+ * @private
+ */
+function _readNameTable(buffer, offset, length) {
+    const view = new DataView(buffer, offset, length);
+    const count = view.getUint16(2);
+    const stringOffset = view.getUint16(4);
+    const names = {};
+    const priorities = {};
+
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        const platformID = view.getUint16(record);
+        const languageID = view.getUint16(record + 4);
+        const nameID = view.getUint16(record + 6);
+        const strLength = view.getUint16(record + 8);
+        const strOffset = stringOffset + view.getUint16(record + 10);
+
+        let priority;
+        if (platformID === 3 && languageID === 0x0409) priority = 3;
+        else if (platformID === 0) priority = 2;
+        else if (platformID === 1 && languageID === 0) priority = 1;
+        else continue;
+
+        if ((priorities[nameID] || 0) >= priority || strOffset + strLength > length) continue;
+
+        const bytes = new Uint8Array(buffer, offset + strOffset, strLength);
+        names[nameID] = platformID === 1
+            ? String.fromCharCode(...bytes)
+            : new TextDecoder('utf-16be').decode(bytes);
+        priorities[nameID] = priority;
+    }
+    return names;
+}
+
+//----------------------------------------> END [FONT COLLECTIONS]
+
+
+//-------------------------------------------------------------
+//-------------------[   SFNT ASSEMBLY   ]---------------------
+//-------------------------------------------------------------
+
+/**
+ * Writes an SFNT file (offset table, table records and 4-byte aligned tables).
+ * @param {number} flavor - The sfntVersion (0x00010000 for TrueType, 'OTTO' for CFF).
+ * @param {Array<{tag: string, data: Uint8Array}>} tables - The decoded tables.
+ * @returns {ArrayBuffer} The SFNT data.
+ * @private
+ */
+function _buildSfnt(flavor, tables) {
+    const sorted = [...tables].sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+    const numTables = sorted.length;
+    const headerLength = 12 + numTables * 16;
+    const totalLength = sorted.reduce((sum, table) => sum + ((table.data.length + 3) & ~3), headerLength);
+
+    const output = new Uint8Array(totalLength);
+    const view = new DataView(output.buffer);
+
+    let entrySelector = 0;
+    while ((1 << (entrySelector + 1)) <= numTables) entrySelector++;
+    const searchRange = (1 << entrySelector) * 16;
+
+    view.setUint32(0, flavor);
+    view.setUint16(4, numTables);
+    view.setUint16(6, searchRange);
+    view.setUint16(8, entrySelector);
+    view.setUint16(10, numTables * 16 - searchRange);
+
+    let offset = headerLength;
+    sorted.forEach((table, index) => {
+        const record = 12 + index * 16;
+        for (let c = 0; c < 4; c++) view.setUint8(record + c, table.tag.charCodeAt(c));
+        output.set(table.data, offset);
+        view.setUint32(record + 4, _tableChecksum(output, offset, table.data.length));
+        view.setUint32(record + 8, offset);
+        view.setUint32(record + 12, table.data.length);
+        offset += (table.data.length + 3) & ~3;
+    });
+
+    return output.buffer;
+}
+
+function _tableChecksum(bytes, offset, length) {
+    let sum = 0;
+    const paddedEnd = offset + ((length + 3) & ~3);
+    for (let i = offset; i < paddedEnd; i += 4) {
+        sum = (sum + ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3])) >>> 0;
+    }
+    return sum;
+}
+
+//----------------------------------------> END [SFNT ASSEMBLY]
+
+
+//-------------------------------------------------------------
+//---------------------[   BINARY HELPERS   ]------------------
+//-------------------------------------------------------------
+
+async function _inflateZlib(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function _readTag(view, offset) {
+    return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+/**
+ * Minimal big-endian reader over a region of an ArrayBuffer.
+ * @private
+ */
+class ByteReader {
+    constructor(buffer, byteOffset = 0, byteLength = buffer.byteLength - byteOffset) {
+        this.view = new DataView(buffer, byteOffset, byteLength);
+        this.bytesView = new Uint8Array(buffer, byteOffset, byteLength);
+        this.offset = 0;
+    }
+    seek(offset) { this.offset = offset; }
+    skip(count) { this.offset += count; }
+    advance(count) { const current = this.offset; this.offset += count; return current; }
+    uint8() { return this.view.getUint8(this.offset++); }
+    uint16() { const value = this.view.getUint16(this.offset); this.offset += 2; return value; }
+    int16() { const value = this.view.getInt16(this.offset); this.offset += 2; return value; }
+    uint32() { const value = this.view.getUint32(this.offset); this.offset += 4; return value; }
+    bytes(count) { const value = this.bytesView.subarray(this.offset, this.offset + count); this.offset += count; return value; }
+
+    uintBase128() {
+        let accumulator = 0;
+        for (let i = 0; i < 5; i++) {
+            const byte = this.uint8();
+            if (i === 0 && byte === 0x80) throw new Error('Invalid UIntBase128 value (leading zeros).');
+            if (accumulator & 0xFE000000) throw new Error('UIntBase128 value overflows 32 bits.');
+            accumulator = ((accumulator << 7) | (byte & 0x7f)) >>> 0;
+            if ((byte & 0x80) === 0) return accumulator;
+        }
+        throw new Error('UIntBase128 value exceeds 5 bytes.');
+    }
+
+    read255UInt16() {
+        const code = this.uint8();
+        if (code === 253) return this.uint16();
+        if (code === 255) return this.uint8() + 253;
+        if (code === 254) return this.uint8() + 253 * 2;
+        return code;
+    }
+}
+
+/**
+ * Growable big-endian writer.
+ * @private
+ */
+class ByteWriter {
+    constructor(initialSize = 64) {
+        this.buffer = new Uint8Array(Math.max(initialSize, 16));
+        this.length = 0;
+    }
+    _ensure(count) {
+        if (this.length + count <= this.buffer.length) return;
+        const next = new Uint8Array(Math.max(this.buffer.length * 2, this.length + count));
+        next.set(this.buffer);
+        this.buffer = next;
+    }
+    uint8(value) { this._ensure(1); this.buffer[this.length++] = value & 0xff; }
+    uint16(value) { this._ensure(2); this.buffer[this.length++] = (value >> 8) & 0xff; this.buffer[this.length++] = value & 0xff; }
+    int16(value) { this.uint16(value & 0xffff); }
+    uint32(value) { this.uint16((value >>> 16) & 0xffff); this.uint16(value & 0xffff); }
+    bytes(array) { this._ensure(array.length); this.buffer.set(array, this.length); this.length += array.length; }
+    get data() { return this.buffer.subarray(0, this.length); }
+}
+
+//----------------------------------------> END [BINARY HELPERS]
+
+
+export {
+    detectFontContainer,
+    unwrapFontContainer,
+    listCollectionFaces,
+    extractCollectionFace,
+    decodeWoff,
+    decodeWoff2
+};
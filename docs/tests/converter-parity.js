@@ -0,0 +1,84 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/tests/converter-parity.js
+ * Created: 2025-10-19
+ * Author: @lewopxd
+ *
+ * Description:
+ * Browser parity check for the offline typeface converter. Every font in
+ * corpus/manifest.json is converted exactly like the font processor worker
+ * does it, and the SHA-256 of the resulting JSON is compared with the digest
+ * produced by the original three.js TTFLoader. OTF (CFF) fonts are also
+ * drawn through the glyph grid, as their glyphs come without x_min/x_max.
+ */
+
+import { convertToTypeface } from '../js/workers/typeface-converter.js';
+import { unwrapFontContainer } from '../js/workers/woff-decoder.js';
+import { drawGlyphOnCanvas } from '../js/glyph-viewer.js';
+
+const output = document.getElementById('results');
+
+async function sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Draws every glyph with an outline the way the glyph grid does and fails
+ * when any of them leaves its canvas blank.
+ */
+function checkGridPreviews(fontData) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const drawn = Object.keys(fontData.glyphs).filter(char => fontData.glyphs[char].o);
+    const blank = drawn.filter(char => {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        drawGlyphOnCanvas(canvas, fontData.glyphs[char], fontData.boundingBox);
+        return !ctx.getImageData(0, 0, canvas.width, canvas.height).data.some((value, index) => index % 4 === 3 && value > 0);
+    });
+
+    if (blank.length) throw new Error(`${blank.length}/${drawn.length} grid previews are blank (first: U+${blank[0].codePointAt(0).toString(16).toUpperCase()})`);
+}
+
+async function checkFont(entry) {
+    const response = await fetch(entry.file);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const sfnt = await unwrapFontContainer(await response.arrayBuffer());
+    const json = JSON.stringify(convertToTypeface(sfnt));
+    const glyphCount = Object.keys(JSON.parse(json).glyphs).length;
+    const hash = await sha256(json);
+
+    if (glyphCount !== entry.glyphCount) throw new Error(`expected ${entry.glyphCount} glyphs, got ${glyphCount}`);
+    if (hash !== entry.sha256) throw new Error(`hash mismatch (${hash})`);
+    if (/\.otf$/i.test(entry.file)) checkGridPreviews(JSON.parse(json));
+}
+
+async function run() {
+    const manifest = await (await fetch('./corpus/manifest.json')).json();
+    output.textContent = '';
+    let failures = 0;
+
+    for (const entry of manifest.fonts) {
+        const line = document.createElement('div');
+        try {
+            await checkFont(entry);
+            line.className = 'pass';
+            line.textContent = `PASS  ${entry.file}`;
+        } catch (err) {
+            failures++;
+            line.className = 'fail';
+            line.textContent = `FAIL  ${entry.file}: ${err.message}`;
+        }
+        output.appendChild(line);
+    }
+
+    const summary = document.createElement('div');
+    summary.textContent = `\n${manifest.fonts.length - failures}/${manifest.fonts.length} fonts match TTFLoader output.`;
+    output.appendChild(summary);
+}
+
+run().catch(err => { output.textContent = `Parity run failed: ${err.message}`; });
@@ -0,0 +1,66 @@
+/**
+ * Project: Three.js JSON Font Editor
+ * File: editor/tests/winding-checks.js
+ * Created: 2025-11-01
+ * Author: @lewopxd
+ *
+ * Description:
+ * Browser checks for the contour winding analysis. Every case is an outline
+ * (y up) with the contours ShapePath.toShapes would get wrong, and the
+ * validator must flag exactly those. Correcting a flagged glyph must leave
+ * nothing to flag.
+ */
+
+import { analyzeGlyphWinding, correctGlyphWinding } from '../js/contour-winding.js';
+
+const output = document.getElementById('results');
+
+// Squares drawn counter-clockwise (ccw) or clockwise (cw), y up.
+const ccw = (x, y, size) => `m ${x} ${y} l ${x + size} ${y} l ${x + size} ${y + size} l ${x} ${y + size} z`;
+const cw = (x, y, size) => `m ${x} ${y} l ${x} ${y + size} l ${x + size} ${y + size} l ${x + size} ${y} z`;
+
+const CASES = [
+    { name: 'one clockwise contour', outline: cw(0, 0, 100), reversed: [false] },
+    // toShapes keeps a lone contour solid whatever its direction.
+    { name: 'one counter-clockwise contour', outline: ccw(0, 0, 100), reversed: [false] },
+    { name: 'clockwise solid, counter-clockwise counter', outline: `${cw(0, 0, 100)} ${ccw(20, 20, 60)}`, reversed: [false, false] },
+    { name: 'counter wound like its solid', outline: `${cw(0, 0, 100)} ${cw(20, 20, 60)}`, reversed: [false, true] },
+    { name: 'counter-clockwise solid beside a clockwise one', outline: `${cw(0, 0, 100)} ${ccw(200, 0, 100)}`, reversed: [false, true] },
+    // Without clockwise contours toShapes makes every contour a solid.
+    { name: 'counter-clockwise solids side by side', outline: `${ccw(0, 0, 100)} ${ccw(200, 0, 100)}`, reversed: [false, false] },
+    { name: 'counter-clockwise solid and counter', outline: `${ccw(0, 0, 100)} ${ccw(20, 20, 60)}`, reversed: [true, false] }
+];
+
+function checkCase({ outline, reversed }) {
+    const glyph = { ha: 300, x_min: 0, x_max: 300, o: `${outline} ` };
+    const flagged = analyzeGlyphWinding(glyph).contours.map(contour => contour.isReversed);
+    if (flagged.join() !== reversed.join()) throw new Error(`flagged [${flagged}], expected [${reversed}]`);
+
+    const corrected = analyzeGlyphWinding(correctGlyphWinding(glyph));
+    if (corrected.reversedCount !== 0) throw new Error(`${corrected.reversedCount} contour(s) still reversed after the correction`);
+}
+
+function run() {
+    output.textContent = '';
+    let failures = 0;
+
+    CASES.forEach(testCase => {
+        const line = document.createElement('div');
+        try {
+            checkCase(testCase);
+            line.className = 'pass';
+            line.textContent = `PASS  ${testCase.name}`;
+        } catch (err) {
+            failures++;
+            line.className = 'fail';
+            line.textContent = `FAIL  ${testCase.name}: ${err.message}`;
+        }
+        output.appendChild(line);
+    });
+
+    const summary = document.createElement('div');
+    summary.textContent = `\n${CASES.length - failures}/${CASES.length} cases match ShapePath.toShapes.`;
+    output.appendChild(summary);
+}
+
+run();
@@ -25,12 +25,13 @@ const VERTICAL_ALIGN_MODE = 'baseline';
 const SHOW_BOUNDING_BOX_IN_WIREFRAME = true;
 
 // Scene and Core Three.js components
-let scene, camera, renderer, textMesh, gridHelper, pivotGroup, boundingBoxHelper;
+let scene, camera, renderer, textMesh, gridHelper, pivotGroup, boundingBoxHelper, diffOverlayGroup, windingOverlayGroup;
 
 // State variables
 let panEnabled = false, zoomEnabled = true, is3D = true, gridVisible = true, rotationEnabled = true;
 let rotateObjectEnabled = true, moveObjectEnabled = false, rotateCameraEnabled = false;
 let isBoundingBoxVisible = false;
+let isWindingOverlayVisible = false;
 
 // Material and color state
 let currentMaterialConstructor;
@@ -44,6 +45,9 @@ let savedViewState = null;
 let pendingStateRestore = null;
 let currentFontData = null;
 let currentText = '';
+let diffFontData = null; // Reference outlines drawn over the mesh (optimizer preview)
+let textGeometryCenter = null;
+let textGeometryFrontZ = 0;
 let isFirstRender = true;
 let originalConsoleError = console.error;
 
@@ -183,6 +187,8 @@ function updateViewer(args) {
         }
 
         updateBoundingBoxHelper(null);
+        clearDiffOverlay();
+        clearWindingOverlay();
 
         if (!text || !currentFontData) return;
 
@@ -233,6 +239,8 @@ function updateViewer(args) {
 
             updateBoundingBoxHelper(textMesh);
         }
+        updateDiffOverlay();
+        updateWindingOverlay();
     } catch (error) {
         originalConsoleError("Caught exception during viewer update:", error);
         reportErrorToParent(error);
@@ -245,10 +253,13 @@ function updateViewer(args) {
  * @param {THREE.Font} font - The parsed font object.
  * @param {string} text - The string to render.
  * @param {boolean} is3Dmode - Whether to render in 3D.
+ * @param {object} [settings=null] - Overrides for the TextGeometry options
+ * (curveSegments, bevel*, depth), used by geometry measurements.
  * @returns {THREE.BufferGeometry|null} The created text geometry.
  * @private
  */
-function createTextGeometry(font, text, is3Dmode) {
+function createTextGeometry(font, text, is3Dmode, settings = null) {
+    const { depth, ...overrides } = settings || {};
     const geometryOptions = {
         font: font,
         size: 1,
@@ -256,10 +267,11 @@ function createTextGeometry(font, text, is3Dmode) {
         bevelEnabled: is3Dmode,
         bevelThickness: 0.01,
         bevelSize: 0.01,
-        bevelSegments: 2
+        bevelSegments: 2,
+        ...overrides
     };
 
-    const extrusionValue = is3Dmode ? 0.2 : 0;
+    const extrusionValue = depth ?? (is3Dmode ? 0.2 : 0);
     if (appConfig.useDepthProperty) {
         geometryOptions.depth = extrusionValue;
     } else {
@@ -280,6 +292,13 @@ function createTextGeometry(font, text, is3Dmode) {
         geometry.boundingBox.getCenter(center);
     }
 
+    // Kept so overlays can be aligned with the centered geometry
+    // (measurements build with custom settings and must not move them).
+    if (!settings) {
+        textGeometryCenter = center;
+        textGeometryFrontZ = geometry.boundingBox.max.z - center.z;
+    }
+
     geometry.translate(-center.x, -center.y, -center.z);
 
     return geometry;
@@ -417,6 +436,173 @@ function updateBoundingBoxHelper(mesh) {
     pivotGroup.add(boundingBoxHelper);
 }
 
+/**
+ * Sets the font whose outlines are drawn over the text mesh, or null
+ * to remove them. Used to compare an optimized font against the original.
+ */
+function setDiffOverlay(fontData) {
+    diffFontData = fontData || null;
+    updateDiffOverlay();
+}
+
+/**
+ * Rebuilds the outline overlay for the current text, every
+ * contour in the same colour.
+ */
+function updateDiffOverlay() {
+    clearDiffOverlay();
+    if (!diffFontData || !textMesh || !currentText || !textGeometryCenter) return;
+
+    try {
+        diffOverlayGroup = createOutlineOverlay(diffFontData, 0xff3b30, 0xff3b30, 0.002);
+        if (diffOverlayGroup) pivotGroup.add(diffOverlayGroup);
+    } catch (error) {
+        clearDiffOverlay();
+        reportErrorToParent(error);
+    }
+}
+
+function clearDiffOverlay() {
+    disposeOverlay(diffOverlayGroup);
+    diffOverlayGroup = null;
+}
+
+/**
+ * Shows or hides the contour winding overlay.
+ */
+function toggleWindingOverlay(visible) {
+    isWindingOverlayVisible = visible;
+    updateWindingOverlay();
+}
+
+/**
+ * Draws the contours of the current text the way ShapePath.toShapes
+ * classified them: solid outlines in green, holes in orange. A letter whose
+ * counter is green, or whose outside is orange, has reversed contours.
+ */
+function updateWindingOverlay() {
+    clearWindingOverlay();
+    if (!isWindingOverlayVisible || !currentFontData || !textMesh || !currentText || !textGeometryCenter) return;
+
+    try {
+        windingOverlayGroup = createOutlineOverlay(currentFontData, 0x34c759, 0xff9500, 0.003);
+        if (windingOverlayGroup) pivotGroup.add(windingOverlayGroup);
+    } catch (error) {
+        clearWindingOverlay();
+        reportErrorToParent(error);
+    }
+}
+
+function clearWindingOverlay() {
+    disposeOverlay(windingOverlayGroup);
+    windingOverlayGroup = null;
+}
+
+/**
+ * Builds the outlines of the current text in `fontData` as closed lines.
+ * They are aligned with the mesh using the offset applied in
+ * createTextGeometry and drawn without depth test so they stay visible in 3D mode.
+ * @returns {THREE.Group|null} The overlay, or null for versions without Font.generateShapes.
+ * @private
+ */
+function createOutlineOverlay(fontData, outlineColor, holeColor, zOffset) {
+    const font = fontParser(fontData);
+    if (typeof font.generateShapes !== 'function') return null;
+    const shapes = font.generateShapes(currentText, 1);
+    const createMaterial = color => new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 });
+    const outlineMaterial = createMaterial(outlineColor);
+    const holeMaterial = holeColor === outlineColor ? outlineMaterial : createMaterial(holeColor);
+
+    const group = new THREE.Group();
+    shapes.forEach(shape => {
+        [shape, ...shape.holes].forEach((path, index) => {
+            const points = path.getPoints(12);
+            if (points.length < 2) return;
+            const line = new THREE.Line(createLineGeometry(points), index === 0 ? outlineMaterial : holeMaterial);
+            line.renderOrder = 999;
+            group.add(line);
+        });
+    });
+
+    group.position.set(-textGeometryCenter.x, -textGeometryCenter.y, textGeometryFrontZ + zOffset);
+    return group;
+}
+
+function disposeOverlay(group) {
+    if (!group) return;
+    pivotGroup.remove(group);
+    group.children.forEach(line => {
+        line.geometry.dispose();
+        line.material.dispose();
+    });
+}
+
+/**
+ * Builds a closed line geometry from 2D points, with a THREE.Geometry
+ * fallback for versions without BufferGeometry.setFromPoints.
+ * @private
+ */
+function createLineGeometry(points) {
+    const vertices = [...points, points[0]].map(point => new THREE.Vector3(point.x, point.y, 0));
+    if (THREE.BufferGeometry.prototype.setFromPoints) {
+        return new THREE.BufferGeometry().setFromPoints(vertices);
+    }
+    const geometry = new THREE.Geometry();
+    geometry.vertices.push(...vertices);
+    return geometry;
+}
+
+/**
+ * Builds the text with the current font and the given TextGeometry
+ * settings through createTextGeometry, and reports its exact vertex and
+ * triangle counts and the median build time to the parent.
+ * @param {object} args - { requestId, text, is3D, settings, iterations }.
+ */
+function measureGeometry({ requestId, text, is3D: is3Dmode = true, settings = {}, iterations = 5 }) {
+    try {
+        if (!currentFontData) throw new Error('No font is loaded in the viewer.');
+        const font = fontParser(currentFontData);
+        const buildTimes = [];
+        let stats = null;
+
+        for (let i = 0; i < Math.max(1, iterations); i++) {
+            const start = performance.now();
+            const geometry = createTextGeometry(font, text, is3Dmode, settings);
+            buildTimes.push(performance.now() - start);
+            if (!stats) stats = countGeometry(geometry);
+            geometry.dispose();
+        }
+
+        buildTimes.sort((a, b) => a - b);
+        window.parent.postMessage({
+            command: 'geometryStats',
+            payload: {
+                requestId,
+                ...stats,
+                buildTime: buildTimes[Math.floor(buildTimes.length / 2)],
+                characters: Array.from(text).filter(char => !/\s/.test(char)).length,
+                revision: THREE.REVISION
+            }
+        }, '*');
+    } catch (error) {
+        window.parent.postMessage({ command: 'geometryStats', payload: { requestId, error: error.message } }, '*');
+    }
+}
+
+/**
+ * Vertex and triangle counts of a BufferGeometry (indexed or not) or of a
+ * legacy THREE.Geometry.
+ * @private
+ */
+function countGeometry(geometry) {
+    if (geometry.attributes) {
+        const vertices = geometry.attributes.position.count;
+        const triangles = geometry.index ? geometry.index.count / 3 : vertices / 3;
+        return { vertices, triangles };
+    }
+    return { vertices: geometry.vertices.length, triangles: geometry.faces.length };
+}
+
 //----------------------------------------> END [CORE VIEWER LOGIC]
 
 
@@ -513,6 +699,9 @@ function setupMessageListener() {
                 case 'restoreState': applyRestoredState(args); break;
                 case 'requestViewerState': saveCameraAndPivot(args); break;
                 case 'fontDataForRestore': handleFontDataForRestore(args); break;
+                case 'setDiffOverlay': setDiffOverlay(args.fontData); break;
+                case 'toggleWindingOverlay': toggleWindingOverlay(args.visible); break;
+                case 'measureGeometry': measureGeometry(args); break;
             }
         } catch (error) {
             reportErrorToParent(error);
@@ -534,6 +723,7 @@ function applyRestoredState(state) {
     setMaterial(state.currentMaterialName);
     toggleGrid(state.gridVisible);
     toggleRotation(state.rotationEnabled);
+    isWindingOverlayVisible = !!state.isWindingOverlayVisible;
     setMouseState({ pan: state.panEnabled, zoom: state.zoomEnabled, rotateObject: state.rotateObjectEnabled, moveObject: state.moveObjectEnabled, rotateCamera: state.rotateCameraEnabled });
     if (state.cameraState) {
         camera.position.copy(state.cameraState.position);